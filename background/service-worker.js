@@ -14,6 +14,30 @@ chrome.runtime.onInstalled.addListener((details) => {
   }
 });
 
+// Key vault (see lib/storage.js): forget the unlocked key when the user goes idle or locks the screen
+const VAULT_KEY = 'whatfits_vault';
+const SESSION_VAULT_KEY = 'whatfits_vault_key';
+const DEFAULT_VAULT_IDLE_MINUTES = 15;
+
+async function applyVaultIdleDelay() {
+  const result = await chrome.storage.local.get(VAULT_KEY);
+  const minutes = result[VAULT_KEY]?.idle_minutes || DEFAULT_VAULT_IDLE_MINUTES;
+  chrome.idle.setDetectionInterval(minutes * 60);
+}
+
+applyVaultIdleDelay();
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[VAULT_KEY]) applyVaultIdleDelay();
+});
+
+chrome.idle.onStateChanged.addListener((state) => {
+  if (state === 'idle' || state === 'locked') {
+    chrome.storage.session.remove(SESSION_VAULT_KEY);
+    console.log(`[WhatFits] Vault locked (${state})`);
+  }
+});
+
 // Listen for tab URL changes
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   // Only notify on URL change, not other updates
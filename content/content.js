@@ -1,399 +1,268 @@
 /**
  * WhatFits Content Script
- * Runs on MyProtein pages to extract product data
+ * Runs on supported retailer pages to extract product data
+ * Site-specific DOM extraction lives in lib/adapters/ (one adapter per retailer),
+ * the Document -> product schema pipeline in lib/extract.js.
  */
 
 console.log('[WhatFits] Content script loaded on:', window.location.href);
 
-// Page type detection
-const PAGE_TYPE = {
-  PRODUCT: 'product',
-  CART: 'cart',
-  OTHER: 'other'
-};
-
-function detectPageType() {
-  const url = window.location.href;
-  if (url.includes('/p/') || url.includes('/sports-nutrition/')) {
-    return PAGE_TYPE.PRODUCT;
-  }
-  if (url.includes('/cart') || url.includes('/panier') || url.includes('/checkout') || url.includes('/account') || url.includes('/basket')) {
-    return PAGE_TYPE.CART;
+// Shared lib/ modules, loaded on demand (content scripts can't use static imports)
+let libs = null;
+
+async function loadLibs() {
+  if (!libs) {
+    const [extract, fetcher, storage, adapters] = await Promise.all([
+      import(chrome.runtime.getURL('lib/extract.js')),
+      import(chrome.runtime.getURL('lib/fetcher.js')),
+      import(chrome.runtime.getURL('lib/storage.js')),
+      import(chrome.runtime.getURL('lib/adapters/index.js'))
+    ]);
+    libs = { extract, fetcher, storage, adapters };
   }
-  return PAGE_TYPE.OTHER;
+  return libs;
+}
+
+/**
+ * Adapter for a page URL (defaults to the current page)
+ * The content script runs on supported shops only; unknown shops are parsed by the popup.
+ * @returns {Object|null}
+ */
+function getAdapter(url = window.location.href) {
+  return libs.adapters.getAdapterForUrl(url, { allowFallback: true });
 }
 
 // Message listener for popup communication
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'EXTRACT_PRODUCT') {
-    const productData = extractProductData(document);
-    console.log('[WhatFits] Extracted product data:', productData);
-    sendResponse({ success: true, data: productData });
+    loadLibs().then(() => {
+      const productData = extractProductData(document);
+      console.log('[WhatFits] Extracted product data:', productData);
+      sendResponse({ success: true, data: productData });
+    }).catch(err => sendResponse({ success: false, error: err.message }));
+    return true; // Async response
   } else if (message.type === 'EXTRACT_CART') {
-    const cartData = extractCartData();
-    // Start async enrichment immediately if requested, or just return shallow
-    // For now, return shallow, let popup request enrichment
-    console.log('[WhatFits] Extracted shallow cart data:', cartData);
-    sendResponse({ success: true, data: cartData });
+    loadLibs().then(() => {
+      // Shallow cart only: the popup requests enrichment separately
+      const cartData = extractCartData();
+      console.log('[WhatFits] Extracted shallow cart data:', cartData);
+      sendResponse({ success: true, data: cartData });
+    }).catch(err => sendResponse({ success: false, error: err.message }));
+    return true; // Async response
   } else if (message.type === 'ENRICH_CART') {
     // New handler for deep analysis
-    enrichCartItems(message.items).then(enriched => {
+    loadLibs().then(() => enrichCartItems(message.items, message.options)).then(enriched => {
+      const failed = enriched.filter(item => item.enrich_error).length;
       console.log('[WhatFits] Enriched cart data:', enriched);
-      sendResponse({ success: true, data: enriched });
-    });
+      sendResponse({ success: true, data: enriched, failed });
+    }).catch(err => sendResponse({ success: false, error: err.message }));
+    return true; // Async response
+  } else if (message.type === 'FETCH_VARIANTS') {
+    loadLibs().then(() => fetchVariantRecords(message.options)).then(variants => {
+      console.log('[WhatFits] Fetched variants:', variants);
+      sendResponse({ success: true, data: variants });
+    }).catch(err => sendResponse({ success: false, error: err.message }));
     return true; // Async response
   } else if (message.type === 'GET_PAGE_TYPE') {
-    sendResponse({ success: true, pageType: detectPageType() });
+    loadLibs().then(() => {
+      sendResponse({ success: true, pageType: libs.adapters.detectPageType(window.location.href) });
+    }).catch(err => sendResponse({ success: false, error: err.message }));
+    return true; // Async response
   }
   return true; // Keep channel open
 });
 
 /**
  * Fetch and parse a product page to extract details
+ * Throws after retries are exhausted (see lib/fetcher.js)
  */
-async function fetchProductDetails(url) {
-  try {
-    const response = await fetch(url);
-    const text = await response.text();
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(text, 'text/html');
-    return extractProductData(doc);
-  } catch (err) {
-    console.error('Failed to fetch product:', url, err);
-    return null;
-  }
+async function fetchProductDetails(url, options) {
+  const text = await libs.fetcher.fetchTextWithRetry(url, options);
+  const parser = new DOMParser();
+  const doc = parser.parseFromString(text, 'text/html');
+  return extractProductData(doc, url);
 }
 
 /**
  * Enrich a list of cart items with full product details
+ * Cached pages are reused; the rest go through the rate-limited fetch queue.
+ * Items that could not be read keep their cart data and carry `enrich_error`.
+ * @param {Array} items - Shallow cart items from extractCartData
+ * @param {Object} [options] - Fetch overrides: { concurrency, delayMs, retries, timeoutMs, cacheTtlMs }
  */
-async function enrichCartItems(items) {
-  const enriched = await Promise.all(items.map(async (item) => {
-    if (!item.url) return item;
+async function enrichCartItems(items, options = {}) {
+  const { fetcher, storage } = libs;
+
+  const details = await Promise.all(items.map(item =>
+    item.url ? storage.getCachedProduct(item.url, options.cacheTtlMs) : null));
+
+  const misses = items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item, index }) => item.url && !details[index]);
+
+  const results = await fetcher.runQueue(misses.map(({ item }) => async () => {
+    const data = await fetchProductDetails(item.url, options);
+    await storage.saveCachedProduct(item.url, data);
+    return data;
+  }), options);
+
+  const errors = new Array(items.length).fill(null);
+  results.forEach((result, i) => {
+    const { item, index } = misses[i];
+    if (result.status === 'fulfilled') {
+      details[index] = result.value;
+    } else {
+      console.error('[WhatFits] Failed to fetch product:', item.url, result.reason);
+      errors[index] = result.reason?.message || 'Fetch failed';
+    }
+  });
 
-    // Small delay to be polite to the server if many items
-    // await new Promise(r => setTimeout(r, 200));
+  return items.map((item, index) => {
+    if (!item.url) return { ...item, enriched: false, enrich_error: 'No product link in basket' };
+    if (errors[index]) return { ...item, enriched: false, enrich_error: errors[index] };
 
-    const details = await fetchProductDetails(item.url);
-    if (details) {
+    const product = details[index];
+    if (product) {
       return {
         ...item,
-        ingredients: details.ingredients, // Full ingredients!
-        claims: details.claims,
-        dietaryInfo: details.dietaryInfo,
-        warnings: details.warnings,
+        ingredients: product.ingredients, // Full ingredients!
+        ingredients_list: product.ingredients_list,
+        allergens: product.allergens,
+        nutrition: product.nutrition,
+        claims: product.claims,
+        usage: product.usage,
+        product_details: product.product_details,
+        dietaryInfo: product.dietaryInfo,
+        warnings: product.warnings,
         enriched: true
       };
     }
     return item;
-  }));
-  return enriched;
+  });
 }
 
-/**
- * Extract product badges (dietary labels) from visible DOM
- */
-function extractProductBadges(doc) {
-  const badges = [];
-  const badgeElements = doc.querySelectorAll('.badge.badge-neutral, .product-tags-container .badge');
-
-  for (const badge of badgeElements) {
-    const text = badge.textContent.trim();
-    if (text && !badges.includes(text)) {
-      badges.push(text);
-    }
-  }
-
-  return badges;
-}
+// Upper bound on variant pages fetched for one product
+const MAX_VARIANT_FETCHES = 12;
 
 /**
- * Extract product subtitle (short description near title)
+ * Reduce a product record to the fields that differ between variants
  */
-function extractProductSubtitle(doc) {
-  // Try specific MyProtein selector first
-  const subtitle = doc.querySelector('#product-details h2.text-gray-500, .product-subtitle, h2[class*="subtitle"]');
-  return subtitle ? subtitle.textContent.trim() : null;
+function variantSnapshot(product, fallbackVariant) {
+  const variant = product.variant || fallbackVariant;
+  return {
+    title: [variant?.size, variant?.flavour].filter(Boolean).join(' · ') || product.title,
+    url: product.url,
+    variant,
+    price: product.price,
+    nutrition: product.nutrition,
+    ingredients: product.ingredients,
+    ingredients_list: product.ingredients_list,
+    allergens: product.allergens,
+    diet: product.diet
+  };
 }
 
 /**
- * Extract product data from a specific document/context
- * Uses accordion HTML + DOM elements ONLY (no contentData JSON parsing)
+ * Fetch every size/flavour variant of the current product page
+ * Uses the product cache and the rate-limited fetch queue, like cart enrichment.
+ * @param {Object} [options] - Fetch overrides (see enrichCartItems)
+ * @returns {Promise<Array>} Variant snapshots, current variant first; unreadable variants carry `error`
  */
-function extractProductData(doc = document) {
-  const data = {
-    url: doc === document ? window.location.href : null,
-    title: null,
-    subtitle: null,
-    price: null,
-    missing_data: [],
-
-    // From DOM (badges near title)
-    badges: [],
-    diet: [],
-
-    // From Accordion HTML sections
-    description: null,
-    key_benefits: null,
-    why_choose: null,
-    usage: null,
-    ingredients: null,
-    nutrition_panel: null,
-    product_details: null,
-
-    // Legacy fields (for backward compatibility)
-    dietaryInfo: [],
-    claims: [],
-    warnings: null,
-    brand: null,
-    dietary_suitability: null
-  };
-
-  // 1. Extract basic info from DOM
-  data.title = extractTitle(doc);
-  if (!data.title) data.missing_data.push('title');
-
-  data.subtitle = extractProductSubtitle(doc);
-
-  data.price = extractPrice(doc);
-  if (!data.price) data.missing_data.push('price');
-
-  data.badges = extractProductBadges(doc);
-
-  // 2. Extract ALL data from accordion HTML sections
-  data.description = extractAccordionSection(doc, 'description');
-
-  data.key_benefits = extractAccordionSection(doc, 'avantages clés') ||
-    extractAccordionSection(doc, 'key benefits');
-
-  data.why_choose = extractAccordionSection(doc, 'pourquoi choisir') ||
-    extractAccordionSection(doc, 'why choose');
-
-  data.usage = extractAccordionSection(doc, 'utilisation suggérée') ||
-    extractAccordionSection(doc, 'suggested use');
-
-  data.ingredients = extractAccordionSection(doc, 'ingrédients') ||
-    extractAccordionSection(doc, 'ingredients');
-  if (!data.ingredients) data.missing_data.push('ingredients');
-
-  data.nutrition_panel = extractAccordionSection(doc, 'information nutritionnelle') ||
-    extractAccordionSection(doc, 'nutritional information');
+async function fetchVariantRecords(options = {}) {
+  const { fetcher, storage } = libs;
+  const current = extractProductData(document);
+
+  const seen = new Set([current.url]);
+  const targets = [];
+  Object.entries(current.variant_options).forEach(([key, list]) => {
+    list.forEach(option => {
+      if (option.selected || !option.url || seen.has(option.url)) return;
+      seen.add(option.url);
+      targets.push({ url: option.url, variant: { id: option.id, size: null, flavour: null, [key]: option.label } });
+    });
+  });
 
-  data.product_details = extractAccordionSection(doc, 'product details') ||
-    extractAccordionSection(doc, 'détails du produit');
+  const results = await fetcher.runQueue(targets.slice(0, MAX_VARIANT_FETCHES).map(target => async () => {
+    const cached = await storage.getCachedProduct(target.url, options.cacheTtlMs);
+    if (cached) return cached;
+    const data = await fetchProductDetails(target.url, options);
+    await storage.saveCachedProduct(target.url, data);
+    return data;
+  }), options);
+
+  return [
+    variantSnapshot(current),
+    ...results.map((result, i) => result.status === 'fulfilled'
+      ? variantSnapshot(result.value, targets[i].variant)
+      : { ...variantSnapshot({ url: targets[i].url }, targets[i].variant), error: result.reason?.message || 'Fetch failed' })
+  ];
+}
 
-  // 3. Extract diet from badges (visible on page)
-  data.diet = data.badges;
-  data.dietaryInfo = data.badges;
+// Re-extract when the user picks another size/flavour; the popup updates if it is open
+let lastVariantKey = null;
+let variantCheckTimers = [];
 
-  // 4. Legacy claims for backward compatibility
-  data.claims = [
-    ...(data.description ? [`Description: ${data.description.substring(0, 300)}...`] : []),
-    ...(data.key_benefits ? [`Benefits: ${data.key_benefits.substring(0, 300)}...`] : [])
-  ];
+async function checkVariantChange() {
+  const { selected } = getAdapter().extractVariants(document, window.location.href);
+  const key = variantKey(selected);
+  if (key === lastVariantKey) return;
+  lastVariantKey = key;
 
-  console.log('[WhatFits] Extracted product data (accordion-only):', data);
-  return data;
+  const productData = extractProductData(document);
+  console.log('[WhatFits] Variant changed:', productData.variant);
+  chrome.runtime.sendMessage({ type: 'VARIANT_CHANGED', data: productData }).catch(() => {
+    // Popup closed: it re-checks the variant when reopened
+  });
 }
 
-/**
- * Extract product title from context
- */
-function extractTitle(doc) {
-  const selectors = [
-    'h1',
-    '[data-testid="product-title"]',
-    '.product-title',
-    '.productName',
-    '[class*="productTitle"]',
-    '[class*="product-name"]'
-  ];
+function watchVariantChanges() {
+  const adapter = getAdapter();
+  if (!adapter?.variantGroupSelector || adapter.detectPageType(window.location.href) !== libs.adapters.PAGE_TYPE.PRODUCT) return;
+  lastVariantKey = variantKey(adapter.extractVariants(document, window.location.href).selected);
 
-  for (const selector of selectors) {
-    const el = doc.querySelector(selector);
-    if (el && el.textContent.trim()) {
-      return el.textContent.trim();
-    }
-  }
-  return null;
+  // Price/labels re-render asynchronously after a selection: check twice
+  const schedule = () => {
+    variantCheckTimers.forEach(clearTimeout);
+    variantCheckTimers = [600, 1500].map(delay => setTimeout(checkVariantChange, delay));
+  };
+  document.addEventListener('change', event => {
+    if (event.target.closest(adapter.variantGroupSelector)) schedule();
+  }, true);
+  document.addEventListener('click', event => {
+    if (event.target.closest(adapter.variantGroupSelector)) schedule();
+  }, true);
+  window.addEventListener('popstate', schedule);
 }
 
 /**
- * Extract product price from context
+ * Extract product data from a document (defaults to the current page)
+ * @param {Document} doc
+ * @param {string|null} url - Page URL (selects the adapter and identifies the variant)
  */
-function extractPrice(doc) {
-  const selectors = [
-    '[data-testid="product-price"]',
-    '.productPrice',
-    '.price',
-    '[class*="price"]',
-    '[class*="Price"]'
-  ];
-
-  for (const selector of selectors) {
-    const elements = doc.querySelectorAll(selector);
-    for (const el of elements) {
-      const text = el.textContent.trim();
-      const priceMatch = text.match(/[\d,.]+\s*[€$£]|[€$£]\s*[\d,.]+/);
-      if (priceMatch) {
-        return priceMatch[0];
-      }
-    }
-  }
-  return null;
+function extractProductData(doc = document, url = doc === document ? window.location.href : null) {
+  const data = libs.extract.extractProductData(doc, url);
+  console.log('[WhatFits] Extracted product data:', data);
+  return data;
 }
 
-
-
 /**
- * Extract content from a specific accordion section by its title
- * Targets the MyProtein accordion-item custom elements
+ * Extract cart data from the current page
  */
-function extractAccordionSection(doc, sectionTitle) {
-  const accordionItems = doc.querySelectorAll('accordion-item');
-
-  for (const item of accordionItems) {
-    const titleEl = item.querySelector('.accordion-item-title');
-    if (!titleEl) continue;
-
-    const title = titleEl.textContent.trim().toLowerCase();
-    if (title.includes(sectionTitle.toLowerCase())) {
-      const contentEl = item.querySelector('.content');
-      if (contentEl) {
-        // Return innerHTML to preserve tables and formatting for the LLM
-        // Clean up excessive whitespace but keep structure
-        return contentEl.innerHTML.replace(/\s+/g, ' ').trim();
-      }
-    }
-  }
-  return null;
+function extractCartData() {
+  return libs.extract.extractCartData(document, window.location.href);
 }
 
-
-
 /**
- * Extract cart data - UPDATED TO GRAB URLS
+ * Identity of a variant, used to detect selection changes
  */
-function extractCartData() {
-  const data = {
-    url: window.location.href,
-    items: [],
-    total: null,
-    missing_data: []
-  };
-
-  const cartItemSelectors = [
-    '[data-testid="cart-item"]',
-    '.cart-item',
-    '.basket-item',
-    '[class*="cartItem"]',
-    '[class*="basket-item"]'
-  ];
-
-  let cartItems = [];
-  for (const selector of cartItemSelectors) {
-    cartItems = document.querySelectorAll(selector);
-    if (cartItems.length > 0) break;
-  }
-
-  if (cartItems.length === 0) {
-    const containers = document.querySelectorAll('[class*="product"], [class*="item"]');
-    cartItems = Array.from(containers).filter(el => {
-      const hasName = el.querySelector('a, h3, h4, [class*="name"], [class*="title"]');
-      const hasPrice = el.textContent.match(/[\d,.]+\s*[€$£]/);
-      return hasName && hasPrice;
-    });
-  }
-
-  cartItems.forEach((item) => {
-    const itemData = {
-      name: null,
-      quantity: 1,
-      price: null,
-      url: null // New field
-    };
-
-    // Extract name & URL
-    const nameEl = item.querySelector('a, h3, h4, [class*="name"], [class*="title"]');
-    if (nameEl) {
-      itemData.name = nameEl.textContent.trim();
-      // Try to get href from name element or parent
-      const link = nameEl.closest('a') || item.querySelector('a');
-      if (link && link.href) {
-        // Keep origin if relative, or use absolute
-        itemData.url = link.href;
-      }
-    }
-
-    // Extract quantity
-    const qtyEl = item.querySelector('input[type="number"], [class*="quantity"], select');
-    if (qtyEl) {
-      itemData.quantity = parseInt(qtyEl.value || qtyEl.textContent) || 1;
-    }
-
-    // Extract price
-    const priceMatch = item.textContent.match(/[\d,.]+\s*[€$£]|[€$£]\s*[\d,.]+/);
-    if (priceMatch) {
-      itemData.price = priceMatch[0];
-    }
-
-    if (itemData.name || itemData.price) {
-      data.items.push(itemData);
-    }
-  });
-
-  // Filter Noise
-  const DENY_LIST = [
-    'se connecter', 's\'inscrire', 'register', 'login',
-    'total', 'sous-total', 'subtotal',
-    'ajoutez au panier', 'add to cart',
-    'code de réduction', 'discount code',
-    'livraison', 'delivery'
-  ];
-
-  data.items = data.items.filter(item => {
-    if (!item.name) return false;
-    const lowerName = item.name.toLowerCase();
-
-    // Check deny list
-    const isDenied = DENY_LIST.some(term => lowerName.includes(term));
-    if (isDenied) return false;
-    if (lowerName.length < 3) return false;
-    // Check if name looks like a price only
-    if (/^[\d,.]+\s*[€$£]$/.test(item.name)) return false;
-
-    return true;
-  });
-
-  if (data.items.length === 0) {
-    data.missing_data.push('items');
-  }
-
-  // Extract total
-  const totalSelectors = [
-    '[data-testid="cart-total"]',
-    '.cart-total',
-    '[class*="total"]',
-    '[class*="Total"]'
-  ];
-
-  for (const selector of totalSelectors) {
-    const totalEl = document.querySelector(selector);
-    if (totalEl) {
-      const priceMatch = totalEl.textContent.match(/[\d,.]+\s*[€$£]|[€$£]\s*[\d,.]+/);
-      if (priceMatch) {
-        data.total = priceMatch[0];
-        break;
-      }
-    }
-  }
-
-  if (!data.total) {
-    data.missing_data.push('total');
-  }
-
-  return data;
+function variantKey(variant) {
+  return variant ? [variant.id, variant.size, variant.flavour].join('|') : '';
 }
 
-// Log page type on load
-console.log('[WhatFits] Page type:', detectPageType());
+loadLibs().then(() => {
+  // Log page type on load
+  console.log('[WhatFits] Page type:', libs.adapters.detectPageType(window.location.href));
+
+  // Watch size/flavour selections on product pages
+  watchVariantChanges();
+}).catch(err => console.error('[WhatFits] Could not load modules:', err));
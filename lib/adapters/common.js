@@ -0,0 +1,24 @@
+/**
+ * WhatFits Adapter Common
+ * Shared constants for site adapters
+ */
+
+// Page types returned by adapter.detectPageType()
+export const PAGE_TYPE = {
+  PRODUCT: 'product',
+  CART: 'cart',
+  OTHER: 'other'
+};
+
+/**
+ * Lowercased host of a URL, or '' when it cannot be parsed
+ * @param {string} url
+ * @returns {string}
+ */
+export function urlHost(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch (error) {
+    return '';
+  }
+}
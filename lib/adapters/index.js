@@ -0,0 +1,54 @@
+/**
+ * WhatFits Site Adapters
+ * Registry of retailer adapters. Each adapter declares URL matchers, page-type
+ * detection and field extractors producing the same product schema.
+ * Unknown shops fall back to the generic structured-data adapter when the user
+ * activates WhatFits on the page.
+ *
+ * Adapter shape:
+ *   id, label
+ *   matchPatterns: string[]            - Manifest match patterns for the retailer
+ *   variantGroupSelector: string|null   - Elements whose clicks may change the variant
+ *   confidence: number                  - Multiplier on the analysis confidence (1 = retailer adapter)
+ *   matchesUrl(url) -> boolean
+ *   detectPageType(url) -> PAGE_TYPE
+ *   extractProduct(doc, url) -> { title, subtitle, price, badges, variant, variant_options, sections,
+ *                                 brand?, gtin?, image?, nutrition? (pre-parsed, skips the panel parser),
+ *                                 diagnostics: { selectors: {field: matched selector}, unmapped_sections } }
+ *   extractCart(doc) -> { items, total }
+ *   extractVariants(doc, url) -> { selected, options }
+ */
+
+import { PAGE_TYPE } from './common.js';
+import { MYPROTEIN } from './myprotein.js';
+import { STRUCTURED_DATA } from './structured-data.js';
+
+export { PAGE_TYPE };
+
+// Order matters: the first adapter whose matchesUrl() returns true wins
+export const ADAPTERS = [MYPROTEIN];
+
+// Used on pages no retailer adapter matches (JSON-LD / microdata / OpenGraph)
+export const FALLBACK_ADAPTER = STRUCTURED_DATA;
+
+/**
+ * Find the adapter for a page URL
+ * @param {string} url
+ * @param {Object} [options] - { allowFallback: return the structured-data adapter for unknown shops }
+ * @returns {Object|null} Adapter, or null for unsupported sites
+ */
+export function getAdapterForUrl(url, { allowFallback = false } = {}) {
+  const adapter = ADAPTERS.find(a => a.matchesUrl(url || ''));
+  if (adapter) return adapter;
+  return allowFallback && FALLBACK_ADAPTER.matchesUrl(url || '') ? FALLBACK_ADAPTER : null;
+}
+
+/**
+ * Detect the page type of a URL through its adapter
+ * @param {string} url
+ * @returns {string} PAGE_TYPE value ('other' for unsupported sites)
+ */
+export function detectPageType(url) {
+  const adapter = getAdapterForUrl(url);
+  return adapter ? adapter.detectPageType(url) : PAGE_TYPE.OTHER;
+}
@@ -0,0 +1,431 @@
+/**
+ * WhatFits MyProtein Adapter
+ * URL matching, page types and DOM extractors for all MyProtein country sites
+ * (fr.myprotein.com, www.myprotein.com, de.myprotein.com...)
+ */
+
+import { PAGE_TYPE, urlHost } from './common.js';
+
+const HOST_PATTERN = /(^|\.)myprotein\.com$/;
+
+// Product and basket URL patterns (paths are shared by all country sites)
+const PRODUCT_PATH_PATTERN = /\/p\/|\/sports-nutrition\//;
+const CART_PATH_PATTERN = /\/cart|\/panier|\/checkout|\/account|\/basket/;
+
+// Accordion titles per product field, by country site language (matched as substrings)
+const SECTION_TITLES = {
+  description: ['description', 'beschreibung', 'descripción', 'descrizione'],
+  key_benefits: ['avantages clés', 'key benefits'],
+  why_choose: ['pourquoi choisir', 'why choose'],
+  usage: ['utilisation suggérée', 'suggested use', 'verzehrempfehlung', 'modo de empleo', 'modalità d\'uso'],
+  ingredients: ['ingrédients', 'ingredients', 'zutaten', 'ingredientes', 'ingredienti'],
+  nutrition_panel: ['information nutritionnelle', 'nutritional information', 'nährwert', 'información nutricional', 'informazioni nutrizionali'],
+  product_details: ['product details', 'détails du produit', 'produktdetails', 'detalles del producto', 'dettagli del prodotto']
+};
+
+/**
+ * Extract product title from context
+ * Selectors that matched are recorded in `matched` (extraction diagnostics).
+ */
+function extractTitle(doc, matched = {}) {
+  const selectors = [
+    'h1',
+    '[data-testid="product-title"]',
+    '.product-title',
+    '.productName',
+    '[class*="productTitle"]',
+    '[class*="product-name"]'
+  ];
+
+  for (const selector of selectors) {
+    const el = doc.querySelector(selector);
+    if (el && el.textContent.trim()) {
+      matched.title = selector;
+      return el.textContent.trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract product price from context
+ * Prefers the schema.org price of the selected variant, then visible price
+ * elements, skipping struck-through/RRP prices.
+ */
+function extractPrice(doc, matched = {}) {
+  const metaPrice = doc.querySelector('meta[itemprop="price"], meta[property="product:price:amount"]');
+  if (metaPrice?.content) {
+    matched.price = metaPrice.hasAttribute('itemprop') ? 'meta[itemprop="price"]' : 'meta[property="product:price:amount"]';
+    const metaCurrency = doc.querySelector('meta[itemprop="priceCurrency"], meta[property="product:price:currency"]');
+    return `${metaPrice.content} ${metaCurrency?.content || ''}`.trim();
+  }
+
+  const selectors = [
+    '[data-testid="product-price"]',
+    '.productPrice',
+    '.price',
+    '[class*="price"]',
+    '[class*="Price"]'
+  ];
+
+  for (const selector of selectors) {
+    const elements = doc.querySelectorAll(selector);
+    for (const el of elements) {
+      if (el.closest('del, s, [class*="rrp"], [class*="Rrp"], [class*="was-price"], [class*="wasPrice"]')) continue;
+      const text = el.textContent.trim();
+      const priceMatch = text.match(/[\d,.]+\s*(?:[€$£]|zł|kr|CHF)|(?:[€$£]|CHF)\s*[\d,.]+/);
+      if (priceMatch) {
+        matched.price = selector;
+        return priceMatch[0];
+      }
+    }
+  }
+  return null;
+}
+
+// Variant option groups, matched by their label (French + English)
+const VARIANT_LABELS = {
+  size: /taille|quantité|quantite|poids|contenance|size|amount|weight/i,
+  flavour: /saveur|arôme|arome|goût|gout|flavou?r/i
+};
+
+const VARIANT_GROUP_SELECTOR = 'fieldset, [role="radiogroup"], [role="listbox"], select, [class*="variation"], [class*="variant"]';
+const VARIANT_OPTION_SELECTOR = 'input[type="radio"], option, [role="radio"], [role="option"], button, a[href*="variation="]';
+
+// Query parameter MyProtein uses for the selected size/flavour combination
+const VARIANT_PARAM = 'variation';
+
+/**
+ * Variant id from a page URL (?variation=123), or null
+ */
+function variantIdFromUrl(url) {
+  try {
+    return new URL(url).searchParams.get(VARIANT_PARAM);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Label of a variant option group (legend, aria-label or first label/heading)
+ */
+function variantGroupLabel(group, doc) {
+  if (group.getAttribute('aria-label')) return group.getAttribute('aria-label');
+  const labelEl = group.querySelector('legend, label, h2, h3, h4, span') ||
+    (group.id ? doc.querySelector(`label[for="${CSS.escape(group.id)}"]`) : null);
+  return labelEl ? labelEl.textContent.trim() : '';
+}
+
+/**
+ * Visible text of a variant option (radio label, <option> text or button text)
+ */
+function variantOptionLabel(option, doc) {
+  if (option.tagName === 'INPUT') {
+    const label = option.closest('label') || (option.id && doc.querySelector(`label[for="${CSS.escape(option.id)}"]`));
+    return (label ? label.textContent : option.value || '').replace(/\s+/g, ' ').trim();
+  }
+  return (option.getAttribute('aria-label') || option.textContent).replace(/\s+/g, ' ').trim();
+}
+
+function isVariantOptionSelected(option) {
+  return Boolean(option.checked || option.selected) ||
+    ['aria-checked', 'aria-pressed', 'aria-selected'].some(attr => option.getAttribute(attr) === 'true') ||
+    /selected/i.test(option.className || '');
+}
+
+/**
+ * Page URL for a variant option: its link, or the current page with ?variation=<id>
+ */
+function variantOptionUrl(option, doc, pageUrl) {
+  const href = option.getAttribute('href');
+  const id = option.dataset.variationId || option.dataset.optionId || option.dataset.value ||
+    (href ? variantIdFromUrl(new URL(href, pageUrl).href) : null) ||
+    (/^\d+$/.test(option.value || '') ? option.value : null);
+
+  if (href) return { id, url: new URL(href, pageUrl).href };
+  if (!id || !pageUrl) return { id, url: null };
+  const url = new URL(pageUrl);
+  url.searchParams.set(VARIANT_PARAM, id);
+  return { id, url: url.href };
+}
+
+/**
+ * Enumerate size/flavour options and the selected variant
+ * @param {Document} doc
+ * @param {string|null} pageUrl - Used to build per-variant URLs
+ * @returns {{
+ *   selected: {id: string|null, size: string|null, flavour: string|null}|null,
+ *   options: {size: Array<{label: string, id: string|null, url: string|null, selected: boolean}>, flavour: Array}
+ * }}
+ */
+function extractVariants(doc, pageUrl) {
+  const selected = { id: pageUrl ? variantIdFromUrl(pageUrl) : null, size: null, flavour: null };
+  const options = { size: [], flavour: [] };
+
+  for (const group of doc.querySelectorAll(VARIANT_GROUP_SELECTOR)) {
+    const label = variantGroupLabel(group, doc);
+    const key = Object.keys(VARIANT_LABELS).find(k => VARIANT_LABELS[k].test(label));
+    if (!key || options[key].length > 0) continue;
+
+    group.querySelectorAll(VARIANT_OPTION_SELECTOR).forEach(option => {
+      const optionLabel = variantOptionLabel(option, doc);
+      if (!optionLabel || options[key].some(o => o.label === optionLabel)) return;
+      const isSelected = isVariantOptionSelected(option);
+      options[key].push({ label: optionLabel, ...variantOptionUrl(option, doc, pageUrl), selected: isSelected });
+      if (isSelected && !selected[key]) selected[key] = optionLabel;
+    });
+  }
+
+  return {
+    selected: selected.id || selected.size || selected.flavour ? selected : null,
+    options
+  };
+}
+
+/**
+ * Extract product badges (dietary labels) from visible DOM
+ */
+function extractProductBadges(doc, matched = {}) {
+  const badges = [];
+  const selector = '.badge.badge-neutral, .product-tags-container .badge';
+  const badgeElements = doc.querySelectorAll(selector);
+  if (badgeElements.length > 0) matched.badges = selector;
+
+  for (const badge of badgeElements) {
+    const text = badge.textContent.trim();
+    if (text && !badges.includes(text)) {
+      badges.push(text);
+    }
+  }
+
+  return badges;
+}
+
+/**
+ * Extract product subtitle (short description near title)
+ */
+function extractProductSubtitle(doc, matched = {}) {
+  // Try specific MyProtein selector first
+  for (const selector of ['#product-details h2.text-gray-500', '.product-subtitle', 'h2[class*="subtitle"]']) {
+    const subtitle = doc.querySelector(selector);
+    if (subtitle) {
+      matched.subtitle = selector;
+      return subtitle.textContent.trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract content from a specific accordion section by its title
+ * Targets the MyProtein accordion-item custom elements
+ * @returns {string|null} Section innerHTML
+ */
+export function extractAccordionSection(doc, sectionTitle) {
+  const accordionItems = doc.querySelectorAll('accordion-item');
+
+  for (const item of accordionItems) {
+    const titleEl = item.querySelector('.accordion-item-title');
+    if (!titleEl) continue;
+
+    const title = titleEl.textContent.trim().toLowerCase();
+    if (title.includes(sectionTitle.toLowerCase())) {
+      const contentEl = item.querySelector('.content');
+      if (contentEl) {
+        // Return innerHTML to preserve tables and formatting for the LLM
+        // Clean up excessive whitespace but keep structure
+        return contentEl.innerHTML.replace(/\s+/g, ' ').trim();
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * First accordion section matching one of the titles
+ * Records which title matched, e.g. matched.ingredients = 'accordion-item "ingrédients"'
+ */
+function extractSection(doc, field, titles, matched = {}) {
+  for (const title of titles) {
+    const html = extractAccordionSection(doc, title);
+    if (html) {
+      matched[field] = `accordion-item "${title}"`;
+      return html;
+    }
+  }
+  return null;
+}
+
+/**
+ * Accordion titles on the page that no product field maps to
+ * (a new or renamed section is the first sign of a markup change)
+ */
+function unmappedSectionTitles(doc) {
+  const known = Object.values(SECTION_TITLES).flat();
+  return Array.from(doc.querySelectorAll('accordion-item .accordion-item-title'))
+    .map(el => el.textContent.trim())
+    .filter(title => title && !known.some(k => title.toLowerCase().includes(k)));
+}
+
+/**
+ * Extract basket items (name, quantity, price, product URL) and total
+ * @param {Document} doc
+ * @returns {{items: Array<{name: string, quantity: number, price: string|null, url: string|null}>, total: string|null}}
+ */
+function extractCart(doc) {
+  const data = {
+    items: [],
+    total: null
+  };
+
+  const cartItemSelectors = [
+    '[data-testid="cart-item"]',
+    '.cart-item',
+    '.basket-item',
+    '[class*="cartItem"]',
+    '[class*="basket-item"]'
+  ];
+
+  let cartItems = [];
+  for (const selector of cartItemSelectors) {
+    cartItems = doc.querySelectorAll(selector);
+    if (cartItems.length > 0) break;
+  }
+
+  if (cartItems.length === 0) {
+    const containers = doc.querySelectorAll('[class*="product"], [class*="item"]');
+    cartItems = Array.from(containers).filter(el => {
+      const hasName = el.querySelector('a, h3, h4, [class*="name"], [class*="title"]');
+      const hasPrice = el.textContent.match(/[\d,.]+\s*[€$£]/);
+      return hasName && hasPrice;
+    });
+  }
+
+  cartItems.forEach((item) => {
+    const itemData = {
+      name: null,
+      quantity: 1,
+      price: null,
+      url: null // New field
+    };
+
+    // Extract name & URL
+    const nameEl = item.querySelector('a, h3, h4, [class*="name"], [class*="title"]');
+    if (nameEl) {
+      itemData.name = nameEl.textContent.trim();
+      // Try to get href from name element or parent
+      const link = nameEl.closest('a') || item.querySelector('a');
+      if (link && link.href) {
+        // Keep origin if relative, or use absolute
+        itemData.url = link.href;
+      }
+    }
+
+    // Extract quantity
+    const qtyEl = item.querySelector('input[type="number"], [class*="quantity"], select');
+    if (qtyEl) {
+      itemData.quantity = parseInt(qtyEl.value || qtyEl.textContent) || 1;
+    }
+
+    // Extract price
+    const priceMatch = item.textContent.match(/[\d,.]+\s*[€$£]|[€$£]\s*[\d,.]+/);
+    if (priceMatch) {
+      itemData.price = priceMatch[0];
+    }
+
+    if (itemData.name || itemData.price) {
+      data.items.push(itemData);
+    }
+  });
+
+  // Filter Noise
+  const DENY_LIST = [
+    'se connecter', 's\'inscrire', 'register', 'login',
+    'total', 'sous-total', 'subtotal',
+    'ajoutez au panier', 'add to cart',
+    'code de réduction', 'discount code',
+    'livraison', 'delivery'
+  ];
+
+  data.items = data.items.filter(item => {
+    if (!item.name) return false;
+    const lowerName = item.name.toLowerCase();
+
+    // Check deny list
+    const isDenied = DENY_LIST.some(term => lowerName.includes(term));
+    if (isDenied) return false;
+    if (lowerName.length < 3) return false;
+    // Check if name looks like a price only
+    if (/^[\d,.]+\s*[€$£]$/.test(item.name)) return false;
+
+    return true;
+  });
+
+  // Extract total
+  const totalSelectors = [
+    '[data-testid="cart-total"]',
+    '.cart-total',
+    '[class*="total"]',
+    '[class*="Total"]'
+  ];
+
+  for (const selector of totalSelectors) {
+    const totalEl = doc.querySelector(selector);
+    if (totalEl) {
+      const priceMatch = totalEl.textContent.match(/[\d,.]+\s*[€$£]|[€$£]\s*[\d,.]+/);
+      if (priceMatch) {
+        data.total = priceMatch[0];
+        break;
+      }
+    }
+  }
+
+  return data;
+}
+
+export const MYPROTEIN = {
+  id: 'myprotein',
+  label: 'MyProtein',
+  // Manifest match patterns (content_scripts, host_permissions, web_accessible_resources)
+  matchPatterns: ['*://*.myprotein.com/*'],
+  variantGroupSelector: VARIANT_GROUP_SELECTOR,
+  confidence: 1,
+
+  matchesUrl(url) {
+    return HOST_PATTERN.test(urlHost(url));
+  },
+
+  detectPageType(url) {
+    if (PRODUCT_PATH_PATTERN.test(url)) return PAGE_TYPE.PRODUCT;
+    if (CART_PATH_PATTERN.test(url)) return PAGE_TYPE.CART;
+    return PAGE_TYPE.OTHER;
+  },
+
+  /**
+   * Raw product fields (parsing into nutrition/ingredients happens in the content script)
+   * @param {Document} doc
+   * @param {string|null} url
+   * @returns {Object} { title, subtitle, price, badges, variant, variant_options, sections, diagnostics }
+   */
+  extractProduct(doc, url) {
+    const matched = {};
+    const variants = extractVariants(doc, url);
+    return {
+      title: extractTitle(doc, matched),
+      subtitle: extractProductSubtitle(doc, matched),
+      price: extractPrice(doc, matched),
+      badges: extractProductBadges(doc, matched),
+      variant: variants.selected,
+      variant_options: variants.options,
+      sections: Object.fromEntries(Object.entries(SECTION_TITLES)
+        .map(([field, titles]) => [field, extractSection(doc, field, titles, matched)])),
+      diagnostics: {
+        selectors: matched,
+        unmapped_sections: unmappedSectionTitles(doc)
+      }
+    };
+  },
+
+  extractCart,
+  extractVariants
+};
@@ -0,0 +1,216 @@
+/**
+ * WhatFits Structured Data Adapter
+ * Generic fallback for shops without a dedicated adapter: reads schema.org
+ * Product data from JSON-LD, microdata and OpenGraph meta tags
+ */
+
+import { PAGE_TYPE } from './common.js';
+import { parseNutritionInformation, NUTRITION_INFORMATION_PROPERTIES } from '../nutrition.js';
+
+// Confidence multiplier for data read without retailer-specific selectors (see rules.js)
+const GENERIC_CONFIDENCE = 0.6;
+
+const GTIN_PROPERTIES = ['gtin13', 'gtin', 'gtin12', 'gtin14', 'gtin8'];
+
+function hasType(node, type) {
+  const types = [].concat(node?.['@type'] || []);
+  return types.some(t => String(t).replace(/^.*[/#]/, '') === type);
+}
+
+/**
+ * All JSON-LD nodes on the page (flattens arrays and @graph)
+ */
+function jsonLdNodes(doc) {
+  const nodes = [];
+  const visit = value => {
+    if (Array.isArray(value)) value.forEach(visit);
+    else if (value && typeof value === 'object') {
+      nodes.push(value);
+      if (value['@graph']) visit(value['@graph']);
+    }
+  };
+
+  doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      visit(JSON.parse(script.textContent));
+    } catch (error) {
+      // Malformed JSON-LD is common; skip the block
+    }
+  });
+  return nodes;
+}
+
+/**
+ * First value of a JSON-LD property that may be a string, an object or an array
+ */
+function textValue(value, key = 'name') {
+  const first = Array.isArray(value) ? value[0] : value;
+  if (first === null || first === undefined) return null;
+  if (typeof first === 'object') return first[key] ?? first.url ?? first['@id'] ?? null;
+  return String(first);
+}
+
+/**
+ * Price and currency from an Offer / AggregateOffer (or a list of them)
+ */
+function offerPrice(offers) {
+  const offer = [].concat(offers || []).find(o => o && (o.price || o.lowPrice || o.priceSpecification));
+  if (!offer) return { price: null, currency: null };
+  const spec = [].concat(offer.priceSpecification || [])[0] || {};
+  return {
+    price: offer.price ?? offer.lowPrice ?? spec.price ?? null,
+    currency: offer.priceCurrency || spec.priceCurrency || null
+  };
+}
+
+function fromJsonLd(doc) {
+  const product = jsonLdNodes(doc).find(node => hasType(node, 'Product'));
+  if (!product) return {};
+
+  const { price, currency } = offerPrice(product.offers);
+  return {
+    title: textValue(product.name),
+    brand: textValue(product.brand),
+    description: textValue(product.description),
+    price,
+    currency,
+    gtin: GTIN_PROPERTIES.map(key => product[key]).find(Boolean) || null,
+    image: textValue(product.image, 'url'),
+    nutrition: parseNutritionInformation(product.nutrition)
+  };
+}
+
+/**
+ * itemprop value (content attribute, src/href, or text)
+ */
+function itempropValue(scope, name) {
+  const el = scope.querySelector(`[itemprop="${name}"]`);
+  if (!el) return null;
+  const value = el.getAttribute('content') || el.getAttribute('src') || el.getAttribute('href') || el.textContent;
+  return value ? value.replace(/\s+/g, ' ').trim() : null;
+}
+
+function fromMicrodata(doc) {
+  const scope = doc.querySelector('[itemtype*="schema.org/Product"]');
+  if (!scope) return {};
+
+  const nutritionScope = scope.querySelector('[itemtype*="schema.org/NutritionInformation"]');
+  const nutrition = nutritionScope
+    ? Object.fromEntries(NUTRITION_INFORMATION_PROPERTIES.map(name => [name, itempropValue(nutritionScope, name)]))
+    : null;
+
+  return {
+    title: itempropValue(scope, 'name'),
+    brand: itempropValue(scope, 'brand'),
+    description: itempropValue(scope, 'description'),
+    price: itempropValue(scope, 'price'),
+    currency: itempropValue(scope, 'priceCurrency'),
+    gtin: GTIN_PROPERTIES.map(name => itempropValue(scope, name)).find(Boolean) || null,
+    image: itempropValue(scope, 'image'),
+    nutrition: parseNutritionInformation(nutrition)
+  };
+}
+
+function metaContent(doc, names) {
+  for (const name of names) {
+    const el = doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+    if (el?.content) return el.content.trim();
+  }
+  return null;
+}
+
+function fromOpenGraph(doc) {
+  return {
+    title: metaContent(doc, ['og:title', 'twitter:title']),
+    brand: metaContent(doc, ['product:brand', 'og:brand']),
+    description: metaContent(doc, ['og:description', 'description']),
+    price: metaContent(doc, ['product:price:amount', 'og:price:amount']),
+    currency: metaContent(doc, ['product:price:currency', 'og:price:currency']),
+    gtin: metaContent(doc, ['product:ean', 'product:upc']),
+    image: metaContent(doc, ['og:image', 'twitter:image'])
+  };
+}
+
+/**
+ * Merge sources field by field: JSON-LD first, then microdata, then OpenGraph
+ * @param {Document} doc
+ * @param {Object} [matched] - Receives the source each field came from ('json-ld', 'microdata', 'opengraph')
+ * @returns {{title, brand, description, price, currency, gtin, image, nutrition}} Missing fields are null
+ */
+export function extractStructuredProduct(doc, matched = {}) {
+  const sources = [
+    ['json-ld', fromJsonLd(doc)],
+    ['microdata', fromMicrodata(doc)],
+    ['opengraph', fromOpenGraph(doc)]
+  ];
+  const fields = ['title', 'brand', 'description', 'price', 'currency', 'gtin', 'image', 'nutrition'];
+  return Object.fromEntries(fields.map(field => {
+    const source = sources.find(([, values]) => values[field]);
+    if (!source) return [field, null];
+    matched[field] = source[0];
+    return [field, source[1][field]];
+  }));
+}
+
+/**
+ * Price string in the format the rest of the pipeline parses ("29.99 EUR")
+ */
+export function formatStructuredPrice(price, currency) {
+  if (price === null || price === undefined || price === '') return null;
+  return `${price} ${currency || ''}`.trim();
+}
+
+export const STRUCTURED_DATA = {
+  id: 'structured-data',
+  label: 'Generic (structured data)',
+  matchPatterns: [], // Never injected automatically: activated from the popup via activeTab
+  variantGroupSelector: null,
+  confidence: GENERIC_CONFIDENCE,
+
+  matchesUrl(url) {
+    return /^https?:/.test(url);
+  },
+
+  // Page type is unknown from the URL alone; the user chose to analyze this page
+  detectPageType() {
+    return PAGE_TYPE.PRODUCT;
+  },
+
+  extractProduct(doc) {
+    const matched = {};
+    const product = extractStructuredProduct(doc, matched);
+    return {
+      title: product.title,
+      subtitle: null,
+      brand: product.brand,
+      price: formatStructuredPrice(product.price, product.currency),
+      gtin: product.gtin,
+      image: product.image,
+      nutrition: product.nutrition,
+      badges: [],
+      variant: null,
+      variant_options: { size: [], flavour: [] },
+      sections: {
+        description: product.description,
+        key_benefits: null,
+        why_choose: null,
+        usage: null,
+        ingredients: null,
+        nutrition_panel: null,
+        product_details: null
+      },
+      diagnostics: {
+        selectors: matched,
+        unmapped_sections: []
+      }
+    };
+  },
+
+  extractCart() {
+    return { items: [], total: null };
+  },
+
+  extractVariants() {
+    return { selected: null, options: { size: [], flavour: [] } };
+  }
+};
@@ -0,0 +1,430 @@
+/**
+ * WhatFits Additives Module
+ * Dictionary classifier for sweeteners, added sugars, thickeners, colours and other
+ * E-number additives on French / English labels, matched against the user's
+ * avoidances and free-text preferences (no LLM)
+ */
+
+import { tokenizeIngredients } from './ingredients.js';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Classes reported by classifyAdditives, in display order
+export const ADDITIVE_CLASSES = {
+  added_sugar: 'Added sugars',
+  artificial_sweetener: 'Artificial sweeteners',
+  natural_sweetener: 'Plant-based sweeteners',
+  sugar_alcohol: 'Sugar alcohols (polyols)',
+  sweetener: 'Other sweeteners',
+  thickener: 'Thickeners / gelling agents',
+  colour: 'Colours',
+  preservative: 'Preservatives',
+  antioxidant: 'Antioxidants',
+  emulsifier: 'Emulsifiers',
+  acidity_regulator: 'Acids / acidity regulators',
+  anti_caking: 'Anti-caking agents',
+  flavour_enhancer: 'Flavour enhancers',
+  filler: 'Fillers / bulking agents',
+  other_additive: 'Other additives'
+};
+
+// [E-number or null, class, name, French + English terms]
+// Actives that double as additives (vitamins, curcumin, beetroot, anthocyanins...) have no terms or are
+// left out: they are only classified from their E-number, so a turmeric supplement is not "coloured".
+const ADDITIVES = [
+  // Artificial sweeteners
+  ['E950', 'artificial_sweetener', 'acesulfame K', ['acésulfame k', 'acesulfame k', 'acésulfame de potassium', 'acesulfame potassium', 'acésulfame-k', 'acesulfame-k', 'acésulfame', 'acesulfame']],
+  ['E951', 'artificial_sweetener', 'aspartame', ['aspartame']],
+  ['E952', 'artificial_sweetener', 'cyclamate', ['cyclamate de sodium', 'sodium cyclamate', 'cyclamate', 'acide cyclamique', 'cyclamic acid']],
+  ['E954', 'artificial_sweetener', 'saccharin', ['saccharine de sodium', 'sodium saccharin', 'saccharine', 'saccharin']],
+  ['E955', 'artificial_sweetener', 'sucralose', ['sucralose']],
+  ['E959', 'artificial_sweetener', 'neohesperidin DC', ['néohespéridine dc', 'neohesperidin dc', 'néohespéridine', 'neohesperidine']],
+  ['E961', 'artificial_sweetener', 'neotame', ['néotame', 'neotame']],
+  ['E962', 'artificial_sweetener', 'aspartame-acesulfame salt', ['sel d\'aspartame-acésulfame', 'aspartame-acesulfame salt']],
+  ['E969', 'artificial_sweetener', 'advantame', ['advantame']],
+  // Plant-based high-intensity sweeteners
+  ['E960', 'natural_sweetener', 'stevia', ['glycosides de stéviol', 'steviol glycosides', 'glycosides de steviol', 'stévia', 'stevia',
+    'rébaudioside a', 'rebaudioside a', 'rébaudioside m', 'rebaudioside m', 'reb m', 'reb a', 'stevia rebaudiana']],
+  ['E957', 'natural_sweetener', 'thaumatin', ['thaumatine', 'thaumatin']],
+  [null, 'natural_sweetener', 'monk fruit', ['extrait de fruit du moine', 'fruit du moine', 'monk fruit extract', 'monk fruit', 'luo han guo', 'mogroside', 'mogrosides', 'siraitia grosvenorii']],
+  // Sugar alcohols
+  ['E420', 'sugar_alcohol', 'sorbitol', ['sirop de sorbitol', 'sorbitol syrup', 'sorbitol']],
+  ['E421', 'sugar_alcohol', 'mannitol', ['mannitol']],
+  ['E953', 'sugar_alcohol', 'isomalt', ['isomalt']],
+  ['E965', 'sugar_alcohol', 'maltitol', ['sirop de maltitol', 'maltitol syrup', 'maltitol']],
+  ['E966', 'sugar_alcohol', 'lactitol', ['lactitol']],
+  ['E967', 'sugar_alcohol', 'xylitol', ['xylitol']],
+  ['E968', 'sugar_alcohol', 'erythritol', ['érythritol', 'erythritol']],
+  ['E964', 'sugar_alcohol', 'polyglycitol syrup', ['sirop de polyglycitol', 'polyglycitol syrup', 'polyglycitol']],
+  // Added sugars
+  [null, 'added_sugar', 'glucose-fructose syrup', ['sirop de glucose-fructose', 'sirop de fructose-glucose', 'glucose-fructose syrup', 'fructose-glucose syrup',
+    'high fructose corn syrup', 'isoglucose']],
+  [null, 'added_sugar', 'glucose syrup', ['sirop de glucose', 'glucose syrup', 'sirop de glucose déshydraté', 'dried glucose syrup', 'solides de sirop de glucose', 'glucose syrup solids']],
+  [null, 'added_sugar', 'corn syrup', ['sirop de maïs', 'corn syrup']],
+  [null, 'added_sugar', 'maltodextrin', ['maltodextrine', 'maltodextrin', 'maltodextrines', 'maltodextrins']],
+  [null, 'added_sugar', 'dextrose', ['dextrose', 'glucose monohydrate', 'glucose']],
+  [null, 'added_sugar', 'fructose', ['fructose', 'sirop de fructose', 'fructose syrup']],
+  [null, 'added_sugar', 'sucrose', ['saccharose', 'sucrose', 'sucre de canne', 'cane sugar', 'sucre roux', 'brown sugar', 'cassonade',
+    'sucre de coco', 'coconut sugar', 'sucre glace', 'icing sugar', 'sucre inverti', 'invert sugar', 'sucre', 'sugar']],
+  [null, 'added_sugar', 'maltose', ['maltose', 'sirop de malt', 'malt syrup']],
+  [null, 'added_sugar', 'honey', ['miel', 'honey']],
+  [null, 'added_sugar', 'syrup', ['sirop d\'agave', 'agave syrup', 'sirop de riz', 'rice syrup', 'brown rice syrup', 'sirop d\'érable', 'maple syrup',
+    'sirop de datte', 'date syrup', 'mélasse', 'molasses']],
+  [null, 'added_sugar', 'isomaltulose', ['isomaltulose', 'palatinose']],
+  [null, 'added_sugar', 'trehalose', ['tréhalose', 'trehalose']],
+  [null, 'added_sugar', 'fruit juice concentrate', ['jus de fruits concentré', 'jus de fruit concentré', 'fruit juice concentrate']],
+  // Thickeners / gelling agents / stabilisers
+  ['E400', 'thickener', 'alginic acid', ['acide alginique', 'alginic acid']],
+  ['E401', 'thickener', 'sodium alginate', ['alginate de sodium', 'sodium alginate']],
+  ['E406', 'thickener', 'agar', ['agar-agar', 'agar']],
+  ['E407', 'thickener', 'carrageenan', ['carraghénanes', 'carraghénane', 'carraghénine', 'carrageenan', 'carrageenans']],
+  ['E410', 'thickener', 'locust bean gum', ['farine de graines de caroube', 'gomme de caroube', 'locust bean gum', 'carob bean gum', 'carob gum']],
+  ['E412', 'thickener', 'guar gum', ['gomme de guar', 'gomme guar', 'guar gum']],
+  ['E414', 'thickener', 'gum arabic', ['gomme arabique', 'gomme d\'acacia', 'gum arabic', 'acacia gum']],
+  ['E415', 'thickener', 'xanthan gum', ['gomme xanthane', 'gomme de xanthane', 'xanthan gum', 'xanthane']],
+  ['E417', 'thickener', 'tara gum', ['gomme tara', 'gomme de tara', 'tara gum']],
+  ['E418', 'thickener', 'gellan gum', ['gomme gellane', 'gomme de gellane', 'gellan gum']],
+  ['E425', 'thickener', 'konjac', ['glucomannane de konjac', 'konjac glucomannan', 'gomme de konjac', 'konjac gum']],
+  ['E440', 'thickener', 'pectin', ['pectine', 'pectin', 'pectines', 'pectins']],
+  ['E461', 'thickener', 'methylcellulose', ['méthylcellulose', 'methylcellulose', 'methyl cellulose']],
+  ['E464', 'thickener', 'hydroxypropyl methylcellulose', ['hydroxypropylméthylcellulose', 'hydroxypropyl methylcellulose', 'hpmc']],
+  ['E466', 'thickener', 'cellulose gum', ['carboxyméthylcellulose de sodium', 'sodium carboxymethylcellulose', 'carboxyméthylcellulose',
+    'carboxymethylcellulose', 'gomme de cellulose', 'cellulose gum']],
+  [null, 'thickener', 'modified starch', ['amidon modifié', 'amidons modifiés', 'modified starch', 'modified maize starch', 'amidon de maïs modifié']],
+  // Colours
+  ['E100', 'colour', 'curcumin', []],
+  ['E102', 'colour', 'tartrazine', ['tartrazine']],
+  ['E104', 'colour', 'quinoline yellow', ['jaune de quinoléine', 'quinoline yellow']],
+  ['E110', 'colour', 'sunset yellow', ['jaune orangé s', 'sunset yellow']],
+  ['E120', 'colour', 'carmine', ['carmin', 'carmine', 'cochenille', 'cochineal', 'acide carminique', 'carminic acid']],
+  ['E122', 'colour', 'azorubine', ['azorubine', 'carmoisine']],
+  ['E124', 'colour', 'ponceau 4R', ['ponceau 4r', 'rouge cochenille a']],
+  ['E129', 'colour', 'allura red', ['rouge allura ac', 'allura red ac', 'allura red']],
+  ['E131', 'colour', 'patent blue V', ['bleu patenté v', 'patent blue v']],
+  ['E133', 'colour', 'brilliant blue', ['bleu brillant fcf', 'brilliant blue fcf', 'brilliant blue']],
+  ['E141', 'colour', 'copper chlorophyll', ['complexes cuivriques de chlorophylles', 'copper complexes of chlorophylls', 'chlorophylline cuivrique', 'copper chlorophyllin']],
+  ['E150', 'colour', 'caramel colour', ['colorant caramel', 'caramel ordinaire', 'caramel colour', 'caramel color', 'couleur caramel', 'plain caramel']],
+  ['E153', 'colour', 'vegetable carbon', []],
+  ['E162', 'colour', 'beetroot red', ['rouge de betterave', 'beetroot red']],
+  ['E163', 'colour', 'anthocyanins', []],
+  ['E171', 'colour', 'titanium dioxide', ['dioxyde de titane', 'titanium dioxide']],
+  ['E172', 'colour', 'iron oxides', ['oxydes de fer', 'oxyde de fer', 'iron oxides', 'iron oxide']],
+  // Preservatives
+  ['E200', 'preservative', 'sorbic acid', ['acide sorbique', 'sorbic acid']],
+  ['E202', 'preservative', 'potassium sorbate', ['sorbate de potassium', 'potassium sorbate']],
+  ['E211', 'preservative', 'sodium benzoate', ['benzoate de sodium', 'sodium benzoate']],
+  // Antioxidants
+  [null, 'antioxidant', 'tocopherol-rich extract', ['extrait riche en tocophérols', 'tocopherol-rich extract', 'mixed tocopherols', 'tocophérols mélangés']],
+  ['E304', 'antioxidant', 'ascorbyl palmitate', ['palmitate d\'ascorbyle', 'ascorbyl palmitate']],
+  ['E392', 'antioxidant', 'rosemary extract', ['extrait de romarin', 'rosemary extract']],
+  // Emulsifiers
+  ['E322', 'emulsifier', 'lecithin', ['lécithine de soja', 'soy lecithin', 'soya lecithin', 'lécithine de tournesol', 'sunflower lecithin',
+    'lécithines', 'lécithine', 'lecithins', 'lecithin']],
+  ['E433', 'emulsifier', 'polysorbate 80', ['polysorbate 80']],
+  ['E471', 'emulsifier', 'mono- and diglycerides', ['mono- et diglycérides d\'acides gras', 'mono- and diglycerides of fatty acids', 'mono- and diglycerides']],
+  // Acids / acidity regulators
+  ['E330', 'acidity_regulator', 'citric acid', ['acide citrique', 'citric acid']],
+  ['E296', 'acidity_regulator', 'malic acid', ['acide malique', 'malic acid', 'acide dl-malique', 'dl-malic acid']],
+  ['E334', 'acidity_regulator', 'tartaric acid', ['acide tartrique', 'tartaric acid']],
+  ['E331', 'acidity_regulator', 'sodium citrate', ['citrate trisodique', 'citrates de sodium', 'citrate de sodium', 'trisodium citrate', 'sodium citrate']],
+  ['E500', 'acidity_regulator', 'sodium bicarbonate', ['bicarbonate de sodium', 'carbonates de sodium', 'sodium bicarbonate', 'sodium carbonates']],
+  // Anti-caking agents
+  ['E551', 'anti_caking', 'silicon dioxide', ['dioxyde de silicium', 'silicon dioxide', 'silice', 'silica']],
+  ['E470b', 'anti_caking', 'magnesium stearate', ['stéarate de magnésium', 'magnesium stearate', 'sels de magnésium d\'acides gras', 'magnesium salts of fatty acids']],
+  ['E341', 'anti_caking', 'calcium phosphate', ['phosphate tricalcique', 'tricalcium phosphate']],
+  // Flavour enhancers
+  ['E621', 'flavour_enhancer', 'monosodium glutamate', ['glutamate monosodique', 'monosodium glutamate', 'msg']],
+  // Fillers / bulking agents
+  ['E460', 'filler', 'microcrystalline cellulose', ['cellulose microcristalline', 'microcrystalline cellulose', 'poudre de cellulose', 'powdered cellulose']],
+  ['E1200', 'filler', 'polydextrose', ['polydextrose']],
+  [null, 'filler', 'rice flour', ['farine de riz', 'rice flour']]
+].map(([eNumber, type, name, terms]) => ({ e_number: eNumber, class: type, name, terms }));
+
+// Every term with its dictionary entry, longest first so "sirop de glucose" wins over "glucose"
+// (matched text is consumed). Whole words, plural s/x allowed.
+const TERMS = ADDITIVES
+  .flatMap(entry => entry.terms.map(term => ({
+    term,
+    entry,
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}[sx]?(?![\\p{L}\\p{N}])`, 'iu')
+  })))
+  .sort((a, b) => b.term.length - a.term.length);
+
+// E-number ranges for codes missing from the dictionary
+const E_NUMBER_RANGES = [
+  [100, 199, 'colour'],
+  [200, 299, 'preservative'],
+  [300, 329, 'antioxidant'],
+  [330, 399, 'acidity_regulator'],
+  [400, 419, 'thickener'],
+  [420, 422, 'sugar_alcohol'],
+  [423, 499, 'thickener'],
+  [500, 599, 'anti_caking'],
+  [620, 699, 'flavour_enhancer'],
+  [950, 969, 'artificial_sweetener'],
+  [1400, 1452, 'thickener']
+];
+
+// Function names printed before additives ("Édulcorants : sucralose", "Thickener (xanthan gum)")
+const FUNCTION_LABELS = [
+  [/^(édulcorants?|sweeteners?)$/, 'sweetener'],
+  [/^(épaississants?|gélifiants?|stabilisants?|thickeners?|gelling agents?|stabili[sz]ers?)$/, 'thickener'],
+  [/^(colorants?|colou?rs?|colou?rings?)$/, 'colour'],
+  [/^(conservateurs?|preservatives?)$/, 'preservative'],
+  [/^(antioxydants?|antioxidants?)$/, 'antioxidant'],
+  [/^(émulsifiants?|emulsifiers?)$/, 'emulsifier'],
+  [/^(acidifiants?|correcteurs? d'acidité|acidity regulators?|acids?)$/, 'acidity_regulator'],
+  [/^(anti-agglomérants?|antiagglomérants?|anti-caking agents?|agents? de charge|bulking agents?)$/, 'anti_caking'],
+  [/^(exhausteurs? de goût|flavou?r enhancers?)$/, 'flavour_enhancer']
+];
+
+// Phrases that contain a sugar word but are claims, not ingredients
+const EXCLUSIONS = [
+  'sans sucres ajoutés', 'sans sucre ajouté', 'sans sucre', 'sans sucres', 'no added sugar', 'no added sugars',
+  'sugar free', 'sugar-free', 'sucre de lait', 'milk sugar'
+];
+
+// "vitamin E 400 IU" is not E400
+const E_NUMBER_PATTERN = /(?<![\p{L}\p{N}])(?<!vitamine?\s)e[\s-]?(\d{3,4})\s?([a-j])?(?:\s?\((?:i{1,3}|iv|v)\))?(?![\p{L}\p{N}])/giu;
+
+// Words that turn a topic in the free-text context into something to avoid
+const AVOID_CUE = '(?:no|without|avoid\\w*|free of|sans|évit\\w*|pas d[e\']|aucun\\w*|dislike|hate|not a fan of|don\'t want|do not want|ni)';
+
+/**
+ * Pattern for "avoid <topic>" / "<topic>-free" in free text
+ */
+function avoidPattern(topic) {
+  return new RegExp(
+    `(?<![\\p{L}])${AVOID_CUE}\\s+(?:[\\p{L}'-]+\\s+)?(?:${topic})(?![\\p{L}])|(?<![\\p{L}])(?:${topic})[\\s-]*free(?![\\p{L}])`,
+    'iu'
+  );
+}
+
+// Preferences read from additional_context, checked in order (later rules may be skipped by earlier ones)
+const CONTEXT_PREFERENCES = [
+  {
+    key: 'natural_sweeteners',
+    label: 'natural sweeteners only',
+    pattern: /(natural|naturels?|naturelles?|plant-based|végétaux)\s+(sweeten\w*|édulcorants?|sucrants?)|(stevia|stévia|monk fruit)\s+(only|seulement|uniquement)|(only|que de la|seulement)\s+(stevia|stévia|monk fruit)/iu,
+    classes: ['artificial_sweetener', 'sweetener']
+  },
+  {
+    key: 'no_artificial_sweeteners',
+    label: 'no artificial sweeteners',
+    pattern: avoidPattern('artificial sweeten\\w*|édulcorants? (?:artificiels?|de synthèse|chimiques?)|sucralose|aspartame|acésulfame|acesulfame'),
+    classes: ['artificial_sweetener'],
+    skip_if: ['natural_sweeteners']
+  },
+  {
+    key: 'no_sweeteners',
+    label: 'no sweeteners',
+    pattern: avoidPattern('sweeten\\w*|édulcorants?'),
+    classes: ['artificial_sweetener', 'natural_sweetener', 'sugar_alcohol', 'sweetener'],
+    skip_if: ['natural_sweeteners', 'no_artificial_sweeteners']
+  },
+  {
+    key: 'no_polyols',
+    label: 'no sugar alcohols',
+    pattern: new RegExp(`${avoidPattern('polyols?|sugar[\\s-]+alcohols?|sucres?[\\s-]+alcools?|alcools?\\s+de\\s+sucres?|xylitol|érythritol|erythritol|sorbitol|maltitol').source}|bloat\\w*|ballonnements?`, 'iu'),
+    classes: ['sugar_alcohol']
+  },
+  {
+    key: 'no_added_sugars',
+    label: 'no added sugar',
+    // "sugar alcohols" / "sucres-alcools" / "alcools de sucre" are polyols, handled by no_polyols
+    pattern: avoidPattern('(?:added\\s+)?sugars?(?![\\s-]+alcohols?)|(?<!alcools?\\s+de\\s+)sucres?(?![\\s-]+alcools?)(?:\\s+ajoutés?)?|maltodextrin\\w*|dextrose'),
+    classes: ['added_sugar']
+  },
+  {
+    key: 'no_colours',
+    label: 'no colourings',
+    pattern: avoidPattern('colou?rings?|colorants?|dyes?|artificial colou?rs?'),
+    classes: ['colour']
+  },
+  {
+    key: 'no_thickeners',
+    label: 'no gums or thickeners',
+    pattern: avoidPattern('thickeners?|épaississants?|gums?|gommes?|carrageenans?|carraghénanes?'),
+    classes: ['thickener']
+  },
+  {
+    key: 'no_fillers',
+    label: 'no fillers',
+    pattern: avoidPattern('fillers?|bulking agents?|agents? de charge'),
+    classes: ['filler', 'anti_caking']
+  },
+  {
+    key: 'clean_label',
+    label: 'few additives',
+    pattern: new RegExp(`${avoidPattern('additives?|additifs?|e-?numbers?|numéros? e').source}|clean label|minimal ingredients|ingrédients? simples?|peu d'additifs`, 'iu'),
+    classes: ['artificial_sweetener', 'thickener', 'colour', 'preservative', 'emulsifier', 'flavour_enhancer', 'filler', 'other_additive']
+  }
+];
+
+// Profile avoidances (Q6) and the classes they cover
+const AVOIDANCE_CLASSES = {
+  added_sugars: ['added_sugar'],
+  artificial_sweeteners: ['artificial_sweetener'],
+  ultra_processed: ['artificial_sweetener', 'thickener', 'colour', 'emulsifier', 'flavour_enhancer']
+};
+
+/**
+ * Class of an E-number ("E955", "E150c")
+ * @returns {{entry: Object|null, class: string}}
+ */
+function classifyENumber(code) {
+  const base = code.replace(/[a-j]$/i, '');
+  const entry = ADDITIVES.find(item => item.e_number && (item.e_number.toLowerCase() === code.toLowerCase() || item.e_number === base));
+  if (entry) return { entry, class: entry.class };
+  const number = parseInt(base.slice(1), 10);
+  const range = E_NUMBER_RANGES.find(([from, to]) => number >= from && number <= to);
+  return { entry: null, class: range ? range[2] : 'other_additive' };
+}
+
+/**
+ * Classify one ingredient text, consuming matched terms
+ * @param {string} text - Ingredient name (lowercase)
+ * @param {string|null} functionClass - Class from a function label ("colorant : ...")
+ * @returns {Array<{name: string, class: string, e_number: string|null, matched: string}>}
+ */
+function classifyText(text, functionClass) {
+  let rest = ` ${text.toLowerCase()} `;
+  EXCLUSIONS.forEach(phrase => {
+    rest = rest.split(phrase).join(' ');
+  });
+
+  const found = [];
+
+  // E-numbers first ("E 955", "e-150c")
+  rest = rest.replace(E_NUMBER_PATTERN, (match, digits, letter) => {
+    const code = `E${digits}${letter ? letter.toLowerCase() : ''}`;
+    const { entry, class: type } = classifyENumber(code);
+    found.push({ name: entry ? entry.name : code, class: type, e_number: code, matched: match.trim() });
+    return ' ';
+  });
+
+  TERMS.forEach(({ term, entry, pattern }) => {
+    if (!pattern.test(rest)) return;
+    rest = rest.replace(pattern, ' ');
+    found.push({ name: entry.name, class: entry.class, e_number: entry.e_number, matched: term });
+  });
+
+  // An unknown additive behind a function label ("colorant : extrait de spiruline")
+  const leftover = rest.replace(/[^\p{L}\p{N}' -]/gu, ' ').replace(/\s+/g, ' ').trim();
+  if (functionClass && found.length === 0 && leftover) {
+    found.push({ name: leftover, class: functionClass, e_number: null, matched: leftover });
+  }
+  return found;
+}
+
+function functionLabelClass(text) {
+  const label = FUNCTION_LABELS.find(([pattern]) => pattern.test(text.trim()));
+  return label ? label[1] : null;
+}
+
+/**
+ * Classify sweeteners, added sugars and additives in a product's ingredient list
+ * @param {Object} productData - Raw or preprocessed product data (ingredients_list preferred)
+ * @returns {{
+ *   items: Array<{name: string, class: string, e_number: string|null, matched: string}>,
+ *   by_class: Object<string, string[]>,
+ *   e_numbers: string[]
+ * }}
+ */
+export function classifyAdditives(productData) {
+  let tokens = productData?.ingredients_list;
+  if (!Array.isArray(tokens)) {
+    const raw = typeof productData?.ingredients_raw === 'string' ? productData.ingredients_raw : productData?.ingredients;
+    tokens = typeof raw === 'string' ? tokenizeIngredients(raw).ingredients : [];
+  }
+
+  const items = [];
+  const visit = (token, inheritedClass) => {
+    // "Édulcorants : sucralose" carries its function in the name; "Épaississant (gomme xanthane)" in a group
+    const [head, ...tail] = token.name.split(/\s*:\s*/);
+    const labelClass = functionLabelClass(head);
+    const ownText = labelClass ? tail.join(' ') : token.name;
+    const contextClass = labelClass || inheritedClass;
+
+    if (ownText) items.push(...classifyText(ownText, contextClass));
+    (token.children || []).forEach(child => visit(child, contextClass));
+  };
+  tokens.forEach(token => visit(token, null));
+
+  // One entry per additive (the same one can appear in several sub-lists)
+  const unique = [];
+  items.forEach(item => {
+    if (!unique.some(other => other.name === item.name && other.class === item.class)) unique.push(item);
+  });
+
+  const byClass = {};
+  Object.keys(ADDITIVE_CLASSES).forEach(type => {
+    const names = unique.filter(item => item.class === type).map(item => item.name);
+    if (names.length > 0) byClass[type] = names;
+  });
+
+  return {
+    items: unique,
+    by_class: byClass,
+    e_numbers: [...new Set(unique.map(item => item.e_number).filter(Boolean))]
+  };
+}
+
+/**
+ * Preferences stated in the free-text context ("I prefer natural sweeteners", "sans colorants")
+ * @param {string} text - userContext.additional_context
+ * @returns {Array<{key: string, label: string, classes: string[]}>}
+ */
+export function parseAdditivePreferences(text) {
+  if (!text || typeof text !== 'string') return [];
+  const matched = [];
+  CONTEXT_PREFERENCES.forEach(preference => {
+    if ((preference.skip_if || []).some(key => matched.some(item => item.key === key))) return;
+    if (preference.pattern.test(text)) matched.push(preference);
+  });
+  return matched.map(({ key, label, classes }) => ({ key, label, classes }));
+}
+
+/**
+ * Match classified additives against avoidances (Q6) and additional_context
+ * SAFE LANGUAGE ENFORCED: reports what the label lists against stated preferences.
+ * @param {Object} report - classifyAdditives() output
+ * @param {Object} userContext
+ * @returns {{ warnings: Array<{preference: string, level: 'avoidance'|'context', classes: string[], reason: string}> }}
+ */
+export function checkAdditivePreferences(report, userContext = {}) {
+  const warnings = [];
+  if (!report?.items?.length) return { warnings };
+
+  const describe = classes => classes
+    .map(type => `${report.by_class[type].join(', ')} (${ADDITIVE_CLASSES[type].toLowerCase()})`)
+    .join('; ');
+
+  (userContext?.avoidances || []).forEach(avoidance => {
+    const classes = (AVOIDANCE_CLASSES[avoidance] || []).filter(type => report.by_class[type]);
+    if (classes.length === 0) return;
+    warnings.push({
+      preference: avoidance,
+      level: 'avoidance',
+      classes,
+      reason: avoidance === 'ultra_processed'
+        ? `Label lists additives typical of ultra-processed foods: ${describe(classes)}. You marked ultra-processed foods to avoid.`
+        : `Label lists ${describe(classes)}, which you marked to avoid.`
+    });
+  });
+
+  parseAdditivePreferences(userContext?.additional_context).forEach(preference => {
+    const classes = preference.classes.filter(type => report.by_class[type]);
+    if (classes.length === 0) return;
+    warnings.push({
+      preference: preference.key,
+      level: 'context',
+      classes,
+      reason: `Label lists ${describe(classes)}; your notes say you prefer ${preference.label}.`
+    });
+  });
+
+  return { warnings };
+}
@@ -0,0 +1,144 @@
+/**
+ * WhatFits Citations Module
+ * Grounding checks for chat answers: inline citations to product fields
+ * ([[field: "quote"]]) resolved against the product data, and numbers in the
+ * answer that appear nowhere in the data the model was given
+ */
+
+import { htmlToText } from './context.js';
+import { parseLocaleNumber } from './nutrition.js';
+
+// [[nutrition]] or [[nutrition_panel: "Protéines | 80 g"]]
+const CITATION_PATTERN = /\[\[([a-z_]+)(?::\s*["“«]?(.*?)["”»]?)?\]\]/gi;
+
+// Placeholder left in the answer text where a citation was (no markdown characters)
+const PLACEHOLDER = index => `⟦${index}⟧`;
+export const PLACEHOLDER_PATTERN = /⟦(\d+)⟧/g;
+
+// A number as written: "1,611.5" (comma thousands before a "." decimal), "7,5", "80"
+const NUMBER_SOURCE = '\\d{1,3}(?:,\\d{3})+\\.\\d+|\\d+(?:[.,]\\d+)?';
+// Numbers worth checking: decimals, values >= 10, or anything with a unit
+const NUMBER_PATTERN = new RegExp(`(?<![A-Za-z\\d.,-])(${NUMBER_SOURCE})(\\s*(?:mg|µg|mcg|kg|g|kcal|kj|ml|%|€|£|\\$))?(?![\\d])`, 'gi');
+const ANY_NUMBER_PATTERN = new RegExp(NUMBER_SOURCE, 'g');
+
+// Snippet length shown when the quote could not be located in the field
+const SNIPPET_CHARS = 240;
+
+function decimalsOf(text) {
+  const match = text.match(/[.,](\d+)$/);
+  return match ? match[1].length : 0;
+}
+
+// Case, whitespace and spacing around punctuation do not count when matching quotes
+function normalize(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').replace(/\s*([(),.:;|])\s*/g, '$1').trim();
+}
+
+/**
+ * Text of a product field as the user would read it (HTML converted, objects as JSON)
+ * @param {Object} product
+ * @param {string} field
+ * @returns {string}
+ */
+export function fieldSourceText(product, field) {
+  const value = product?.[field];
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return htmlToText(value) || '';
+  return JSON.stringify(value);
+}
+
+/**
+ * Remove citation markers (for display while the answer streams)
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripCitations(text) {
+  return (text || '').replace(CITATION_PATTERN, '').replace(/\[\[[^\]]*$/, '');
+}
+
+/**
+ * Replace citation markers with placeholders
+ * @param {string} text - Answer text
+ * @returns {{text: string, citations: Array<{field: string, quote: string|null}>}}
+ */
+export function extractCitations(text) {
+  const citations = [];
+  const replaced = (text || '').replace(CITATION_PATTERN, (match, field, quote) => {
+    citations.push({ field: field.toLowerCase(), quote: quote?.trim() || null });
+    return PLACEHOLDER(citations.length - 1);
+  });
+  return { text: replaced, citations };
+}
+
+/**
+ * Locate a citation in the product data
+ * @param {{field: string, quote: string|null}} citation
+ * @param {Array<Object>} products - Product records the answer was based on
+ * @param {Object} [extras] - Other cited sections by name ({ value, verified_facts })
+ * @returns {{field: string, quote: string|null, snippet: string, verified: boolean|null, product_title: string|null}}
+ *   `verified` is null for citations without a quote
+ */
+export function resolveCitation(citation, products, extras = {}) {
+  const sources = [
+    ...products.map(product => ({ title: product?.title || null, text: fieldSourceText(product, citation.field) })),
+    { title: null, text: extras[citation.field] ? JSON.stringify(extras[citation.field]) : '' }
+  ].filter(source => source.text);
+
+  const quote = normalize(citation.quote);
+  const match = quote ? sources.find(source => normalize(source.text).includes(quote)) : null;
+  if (match) return { ...citation, snippet: citation.quote, verified: true, product_title: match.title };
+
+  const fallback = sources[0];
+  return {
+    ...citation,
+    snippet: fallback ? fallback.text.slice(0, SNIPPET_CHARS) + (fallback.text.length > SNIPPET_CHARS ? '…' : '') : '',
+    verified: quote ? false : null,
+    product_title: fallback?.title || null
+  };
+}
+
+/**
+ * Numbers in the answer that appear nowhere in the data the model was given
+ * A number matches when some value in the data rounds to it ("80 g" matches 79.6).
+ * @param {string} text - Answer text (citation markers are ignored)
+ * @param {Array<Object>} sources - Product records, computed sections, user profile...
+ * @returns {string[]} Unsupported numbers as written in the answer (with unit)
+ */
+export function findUnsupportedNumbers(text, sources) {
+  const known = new Set();
+  sources.forEach(source => {
+    const corpus = typeof source === 'string' ? source : JSON.stringify(source ?? '');
+    (corpus.match(ANY_NUMBER_PATTERN) || []).forEach(number => known.add(parseLocaleNumber(number)));
+  });
+  const knownValues = Array.from(known);
+
+  const unsupported = [];
+  const plain = stripCitations(text);
+  for (const match of plain.matchAll(NUMBER_PATTERN)) {
+    const [written, digits, unit] = match;
+    const value = parseLocaleNumber(digits); // Same reading as the nutrition parser
+    if (!unit && decimalsOf(digits) === 0 && value < 10) continue;
+
+    const factor = 10 ** decimalsOf(digits);
+    const found = knownValues.some(known => Math.round(known * factor) / factor === value);
+    if (!found && !unsupported.includes(written.trim())) unsupported.push(written.trim());
+  }
+  return unsupported;
+}
+
+/**
+ * Ground an answer: resolve its citations and list unsupported numbers
+ * @param {string} text - Answer text
+ * @param {Object} context
+ * @param {Array<Object>} context.products - Product records the answer was based on
+ * @param {Object} [context.extras] - Computed sections by name ({ value, verified_facts, comparison })
+ * @param {Array<Object>} [context.other] - Other data numbers may come from (user profile)
+ * @returns {{citations: Array<Object>, unsupported_numbers: string[]}}
+ */
+export function groundAnswer(text, { products = [], extras = {}, other = [] } = {}) {
+  const { citations } = extractCitations(text);
+  return {
+    citations: citations.map(citation => resolveCitation(citation, products, extras)),
+    unsupported_numbers: findUnsupportedNumbers(text, [...products, ...Object.values(extras), ...other])
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * WhatFits Compare Module
+ * Deterministic side-by-side table for 2-5 pinned products (no LLM)
+ */
+
+import { normalizeIngredients, checkStimulants, detectAllergens } from './rules.js';
+import { computeValue, formatPrice, PROTEIN_REFERENCE_G } from './value.js';
+
+export const MIN_PINNED = 2;
+export const MAX_PINNED = 5;
+
+/**
+ * Compute the per-product metrics shown in the comparison table
+ * @param {Object} productData - Extracted product data
+ * @returns {Object} Metrics (null when the label does not state enough to compute them)
+ */
+export function computeComparisonMetrics(productData) {
+  const per100g = productData.nutrition?.per_100g || {};
+  const value = computeValue(productData);
+
+  const stimulants = checkStimulants(productData.ingredients_list?.length
+    ? productData.ingredients_list
+    : normalizeIngredients(productData.ingredients));
+  const allergens = detectAllergens(productData);
+
+  return {
+    protein_per_100g: per100g.protein_g ?? null,
+    sugars_per_100g: per100g.sugars_g ?? null,
+    price_per_serving: value.cost_per_serving,
+    price_per_20g_protein: value.cost_per_20g_protein,
+    currency: value.currency,
+    stimulants: stimulants.found,
+    allergens: allergens.contains.map(entry => entry.category),
+    certifications: productData.diet || []
+  };
+}
+
+// Table rows: metric key, label, and which value is "best" (for highlighting)
+const ROWS = [
+  { key: 'protein_per_100g', label: 'Protein /100g', unit: 'g', best: 'max' },
+  { key: 'sugars_per_100g', label: 'Sugar /100g', unit: 'g', best: 'min' },
+  { key: 'price_per_serving', label: 'Price /serving', unit: 'price', best: 'min' },
+  { key: 'price_per_20g_protein', label: `Price /${PROTEIN_REFERENCE_G}g protein`, unit: 'price', best: 'min' },
+  { key: 'stimulants', label: 'Stimulants', unit: 'list' },
+  { key: 'allergens', label: 'Allergens', unit: 'list' },
+  { key: 'certifications', label: 'Certifications', unit: 'list' }
+];
+
+function formatCell(value, unit, currency) {
+  if (unit === 'list') return value.length > 0 ? value.join(', ') : '—';
+  if (value === null) return 'n/a';
+  if (unit === 'price') return formatPrice(value, currency);
+  return `${value}${unit}`;
+}
+
+/**
+ * Index of the best numeric value in a row, or null when fewer than two values are known
+ */
+function bestIndex(values, direction) {
+  const known = values.map((value, index) => ({ value, index })).filter(v => v.value !== null);
+  if (!direction || known.length < 2) return null;
+  const sorted = known.sort((a, b) => direction === 'max' ? b.value - a.value : a.value - b.value);
+  return sorted[0].value === sorted[1].value ? null : sorted[0].index;
+}
+
+/**
+ * Build the deterministic comparison table for pinned products
+ * Prices are only ranked when all products share the same currency.
+ * @param {Array<Object>} products - 2-5 extracted product records
+ * @returns {{
+ *   products: Array<{title: string, url: string}>,
+ *   rows: Array<{key: string, label: string, values: Array, cells: string[], best: number|null}>
+ * }}
+ */
+export function buildComparisonTable(products) {
+  const metrics = products.map(computeComparisonMetrics);
+  const currencies = new Set(metrics.map(m => m.currency));
+
+  const rows = ROWS.map(row => {
+    const values = metrics.map(m => m[row.key]);
+    const comparable = row.unit !== 'price' || currencies.size === 1;
+    return {
+      key: row.key,
+      label: row.label,
+      values,
+      cells: values.map((value, i) => formatCell(value, row.unit, metrics[i].currency)),
+      best: comparable ? bestIndex(values, row.best) : null
+    };
+  });
+
+  return {
+    products: products.map(p => ({ title: p.title || p.url || 'Product', url: p.url })),
+    rows
+  };
+}
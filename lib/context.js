@@ -0,0 +1,214 @@
+/**
+ * WhatFits Context Module
+ * Token-budgeted chat context: compact product data, rolling summary of older
+ * turns, and low-value fields dropped first when the prompt is over budget
+ */
+
+// Rough average for English/French text and JSON (no tokenizer in the extension)
+const CHARS_PER_TOKEN = 4;
+
+// Share of the budget kept for verbatim recent turns; older turns go to the summary
+const RECENT_TURNS_SHARE = 0.3;
+const SUMMARY_SHARE = 0.1;
+
+// Always sent verbatim, whatever the budget (the question being answered and its context)
+const MIN_RECENT_MESSAGES = 2;
+
+// Product fields holding accordion HTML, sent as plain text
+const HTML_FIELDS = ['key_benefits', 'why_choose', 'usage', 'ingredients', 'nutrition_panel', 'product_details'];
+
+// Never sent: duplicates of other fields, debugging data, and the model's own earlier verdict
+const OMITTED_FIELDS = ['description', 'diagnostics', 'dietaryInfo', 'claims', 'fit_verdict'];
+
+// Dropped in this order when over budget. `when` keeps a field if nothing else carries its data.
+const LOW_VALUE_FIELDS = [
+  { field: 'image' },
+  { field: 'gtin' },
+  { field: 'variant_options' },
+  { field: 'why_choose' },
+  { field: 'key_benefits' },
+  { field: 'usage' },
+  { field: 'product_details' },
+  { field: 'nutrition_panel', when: product => Boolean(product.nutrition) },
+  { field: 'ingredients', when: product => product.ingredients_list?.length > 0 },
+  { field: 'variant_snapshots' }
+];
+
+/**
+ * Estimate the token count of a string or a JSON-serializable value
+ * @param {string|Object|null} value
+ * @returns {number}
+ */
+export function estimateTokens(value) {
+  if (value === null || value === undefined) return 0;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Convert accordion HTML to compact text
+ * Table rows become "cell | cell" lines so nutrition panels stay readable.
+ * @param {string|null} html
+ * @returns {string|null}
+ */
+export function htmlToText(html) {
+  if (!html) return html ?? null;
+  return html
+    .replace(/<\/t[dh]>/gi, ' | ')
+    .replace(/<br\s*\/?>|<\/(?:tr|p|li|div|h\d)>/gi, '\n')
+    .replace(/<\/?(?:b|strong|em|i|u|span|a|sup|sub)\b[^>]*>/gi, '') // Inline tags (bold allergens...) keep words together
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').replace(/(?:\s*\|\s*)+$/, '').replace(/\s*\|\s*/g, ' | ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Remove null, empty strings, empty arrays and empty objects (recursively)
+ * @param {*} value
+ * @returns {*}
+ */
+export function compactObject(value) {
+  if (Array.isArray(value)) {
+    return value.map(compactObject).filter(item => !isEmpty(item));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .map(([key, item]) => [key, compactObject(item)])
+      .filter(([, item]) => !isEmpty(item)));
+  }
+  return value;
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0) ||
+    (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+}
+
+/**
+ * Product data as sent to the model: HTML as text, duplicates removed,
+ * variant options reduced to their labels, empty fields dropped
+ * @param {Object|null} productData
+ * @returns {Object|null}
+ */
+export function compactProduct(productData) {
+  if (!productData) return null;
+  const product = { ...productData };
+  OMITTED_FIELDS.forEach(field => delete product[field]);
+  HTML_FIELDS.forEach(field => {
+    if (typeof product[field] === 'string') product[field] = htmlToText(product[field]);
+  });
+
+  if (product.variant_options) {
+    product.variant_options = Object.fromEntries(Object.entries(product.variant_options)
+      .map(([key, options]) => [key, (options || []).map(option => option.label)]));
+  }
+  if (Array.isArray(product.variant_snapshots)) {
+    product.variant_snapshots = product.variant_snapshots.map(snapshot => compactProduct(snapshot));
+  }
+  return compactObject(product);
+}
+
+/**
+ * First sentence of a message, capped (used for the rolling summary)
+ */
+function gist(text, maxChars) {
+  const plain = (text || '').replace(/[*_#`>]/g, '').replace(/\s+/g, ' ').trim();
+  const sentence = plain.match(/^.+?[.!?](?=\s|$)/)?.[0] || plain;
+  return sentence.length > maxChars ? `${sentence.slice(0, maxChars - 1)}…` : sentence;
+}
+
+/**
+ * Rolling summary of older turns: one line per question / answer, oldest lines
+ * dropped first when it exceeds its budget
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+export function summarizeTurns(messages, maxTokens) {
+  const lines = messages
+    .filter(msg => msg.role === 'user' || msg.role === 'assistant')
+    .map(msg => msg.role === 'user'
+      ? `User asked: ${gist(msg.content, 160)}`
+      : `Assistant answered: ${gist(msg.content, 200)}`);
+
+  let omitted = 0;
+  while (lines.length > 0 && estimateTokens(lines.join('\n')) > maxTokens) {
+    lines.shift();
+    omitted++;
+  }
+  if (lines.length === 0) return '';
+  return `${omitted > 0 ? `(${omitted} earlier turns omitted)\n` : ''}${lines.join('\n')}`;
+}
+
+/**
+ * Fit product data and conversation into a token budget
+ * Recent turns are kept verbatim, older ones summarized. When still over
+ * budget: the previous product goes first, then low-value product fields,
+ * then recent turns down to the last question, then the summary.
+ * @param {Object} params
+ * @param {number} params.budget - Prompt budget in tokens (see providers.getContextBudget)
+ * @param {number} [params.fixedTokens] - Tokens used by the instructions, profile and rule sections
+ * @param {Object|null} [params.productData]
+ * @param {Object|null} [params.previousProductData]
+ * @param {Array<{role: string, content: string}>} [params.messageHistory]
+ * @returns {{
+ *   product: Object|null,
+ *   previousProduct: Object|null,
+ *   messages: Array<{role: string, content: string}>,
+ *   summary: string,
+ *   droppedFields: string[],
+ *   tokens: number
+ * }}
+ */
+export function buildChatContext({ budget, fixedTokens = 0, productData = null, previousProductData = null, messageHistory = [] }) {
+  const product = compactProduct(productData);
+  let previousProduct = compactProduct(previousProductData);
+  const droppedFields = [];
+
+  // Recent turns, newest first, within their share of the budget
+  const history = messageHistory.map(({ role, content }) => ({ role, content }));
+  let recentCount = 0;
+  let recentTokens = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(history[i].content);
+    if (recentCount >= MIN_RECENT_MESSAGES && recentTokens + tokens > budget * RECENT_TURNS_SHARE) break;
+    recentTokens += tokens;
+    recentCount++;
+  }
+
+  let messages = history.slice(history.length - recentCount);
+  let summary = summarizeTurns(history.slice(0, history.length - recentCount), budget * SUMMARY_SHARE);
+
+  const total = () => fixedTokens + estimateTokens(product) + estimateTokens(previousProduct) +
+    messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0) + estimateTokens(summary);
+
+  if (previousProduct && total() > budget) {
+    previousProduct = null;
+    droppedFields.push('previous_product');
+  }
+
+  for (const { field, when } of LOW_VALUE_FIELDS) {
+    if (total() <= budget) break;
+    if (!product || product[field] === undefined || (when && !when(product))) continue;
+    delete product[field];
+    droppedFields.push(field);
+  }
+
+  if (total() > budget && messages.length > MIN_RECENT_MESSAGES) {
+    const older = history.slice(0, history.length - MIN_RECENT_MESSAGES);
+    messages = history.slice(-MIN_RECENT_MESSAGES);
+    summary = summarizeTurns(older, budget * SUMMARY_SHARE);
+  }
+  if (total() > budget) summary = '';
+
+  return { product, previousProduct, messages, summary, droppedFields, tokens: total() };
+}
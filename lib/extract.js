@@ -0,0 +1,207 @@
+/**
+ * WhatFits Extraction Module
+ * Turns a page Document into the product / cart schema through its site adapter,
+ * then parses ingredients and nutrition. No chrome.* or window access, so it runs
+ * on any Document (live page, fetched variant or cart page, or a saved fixture).
+ */
+
+import { getAdapterForUrl, FALLBACK_ADAPTER } from './adapters/index.js';
+import { parseNutritionPanel } from './nutrition.js';
+import { tokenizeIngredients } from './ingredients.js';
+import { detectMissingData } from './rules.js';
+
+/**
+ * Adapter for a page URL
+ * Unknown shops use the generic structured-data adapter: extraction only runs
+ * there when the user activated WhatFits on the page.
+ */
+function adapterFor(url) {
+  return getAdapterForUrl(url || '', { allowFallback: true });
+}
+
+// Fields a retailer adapter may miss that page metadata can provide
+const STRUCTURED_FALLBACK_FIELDS = ['title', 'price', 'brand', 'gtin', 'image', 'nutrition'];
+
+/**
+ * Fill fields the retailer selectors missed from JSON-LD / microdata / OpenGraph
+ */
+function fillFromStructuredData(raw, doc, url) {
+  const fallback = FALLBACK_ADAPTER.extractProduct(doc, url);
+  const fallbackSources = fallback.diagnostics.selectors;
+  const selectors = raw.diagnostics.selectors;
+  STRUCTURED_FALLBACK_FIELDS.forEach(field => {
+    if (!raw[field] && fallback[field]) {
+      raw[field] = fallback[field];
+      selectors[field] = `structured-data (${fallbackSources[field]})`;
+    }
+  });
+  if (!raw.sections.description && fallback.sections.description) {
+    raw.sections.description = fallback.sections.description;
+    selectors.description = `structured-data (${fallbackSources.description})`;
+  }
+  return raw;
+}
+
+// Fields without which the analysis is unreliable: the popup warns when one is missing
+const CRITICAL_FIELDS = ['title', 'price', 'ingredients', 'nutrition'];
+
+// Raw text fields whose length is reported (a sudden 0 or 20-char field points at a selector problem)
+const DIAGNOSTIC_TEXT_FIELDS = ['title', 'subtitle', 'price', 'description', 'key_benefits', 'why_choose',
+  'usage', 'ingredients', 'nutrition_panel', 'product_details'];
+
+/**
+ * Diagnostics for one extraction: which selector matched each field, accordion
+ * titles seen but not mapped, field lengths and completeness
+ * @param {Object} data - Extracted product data
+ * @param {Object} adapter - Site adapter that produced it
+ * @param {Object} [raw] - Adapter output ({ diagnostics: { selectors, unmapped_sections } })
+ * @returns {Object}
+ */
+function buildExtractionDiagnostics(data, adapter, raw = null) {
+  const { missing_data: missingFields, completeness } = detectMissingData(data);
+  const missing = new Set([...data.missing_data, ...missingFields]);
+  if (!data.nutrition) missing.add('nutrition');
+
+  return {
+    adapter: adapter ? adapter.id : null,
+    extracted_at: new Date().toISOString(),
+    selectors: raw?.diagnostics?.selectors || {},
+    unmapped_sections: raw?.diagnostics?.unmapped_sections || [],
+    field_lengths: {
+      ...Object.fromEntries(DIAGNOSTIC_TEXT_FIELDS.map(field => [field, data[field] ? data[field].length : 0])),
+      badges: data.badges.length,
+      ingredients_list: data.ingredients_list.length,
+      allergens: data.allergens.length
+    },
+    completeness,
+    missing_fields: Array.from(missing),
+    critical_missing: CRITICAL_FIELDS.filter(field => missing.has(field))
+  };
+}
+
+/**
+ * Extract product data from a specific document/context
+ * The site adapter reads the raw fields; parsing into typed data happens here.
+ * @param {Document} doc
+ * @param {string|null} url - Page URL (selects the adapter and identifies the variant)
+ */
+export function extractProductData(doc, url) {
+  const data = {
+    url,
+    source: null, // Adapter id that produced the data
+    extraction_confidence: 1, // < 1 for the generic structured-data adapter
+    title: null,
+    subtitle: null,
+    price: null,
+    variant: null, // Selected { id, size, flavour }, see adapter.extractVariants
+    variant_options: { size: [], flavour: [] },
+    missing_data: [],
+
+    // From DOM (badges near title)
+    badges: [],
+    diet: [],
+
+    // From product sections (accordions, tabs...)
+    description: null,
+    key_benefits: null,
+    why_choose: null,
+    usage: null,
+    ingredients: null,
+    nutrition_panel: null,
+    product_details: null,
+
+    // Parsed from nutrition_panel / ingredients (see lib/nutrition.js, lib/ingredients.js)
+    nutrition: null,
+    ingredients_list: [],
+    allergens: [],
+
+    // From structured data (JSON-LD / microdata / OpenGraph) when available
+    brand: null,
+    gtin: null,
+    image: null,
+
+    // Legacy fields (for backward compatibility)
+    dietaryInfo: [],
+    claims: [],
+    warnings: null,
+    dietary_suitability: null
+  };
+
+  const adapter = adapterFor(url);
+  if (!adapter) {
+    data.missing_data.push('title', 'price', 'ingredients');
+    data.diagnostics = buildExtractionDiagnostics(data, null);
+    return data;
+  }
+  data.source = adapter.id;
+  data.extraction_confidence = adapter.confidence;
+
+  // 1. Raw fields from the site adapter, gaps filled from page metadata
+  const raw = adapter === FALLBACK_ADAPTER
+    ? adapter.extractProduct(doc, url)
+    : fillFromStructuredData(adapter.extractProduct(doc, url), doc, url);
+  data.title = raw.title;
+  if (!data.title) data.missing_data.push('title');
+
+  data.subtitle = raw.subtitle;
+
+  data.price = raw.price;
+  if (!data.price) data.missing_data.push('price');
+
+  data.brand = raw.brand || null;
+  data.gtin = raw.gtin || null;
+  data.image = raw.image || null;
+  data.variant = raw.variant;
+  data.variant_options = raw.variant_options;
+  data.badges = raw.badges;
+  Object.assign(data, raw.sections);
+
+  // 2. Parse ingredients and nutrition sections
+  if (!data.ingredients) data.missing_data.push('ingredients');
+  if (data.ingredients) {
+    const tokenized = tokenizeIngredients(data.ingredients);
+    data.ingredients_list = tokenized.ingredients;
+    data.allergens = tokenized.allergens;
+  }
+
+  data.nutrition = parseNutritionPanel(data.nutrition_panel, { locale: doc.documentElement?.lang }) || raw.nutrition || null;
+  if (data.nutrition_panel && !data.nutrition) data.missing_data.push('nutrition');
+
+  // 3. Extract diet from badges (visible on page)
+  data.diet = data.badges;
+  data.dietaryInfo = data.badges;
+
+  // 4. Legacy claims for backward compatibility
+  data.claims = [
+    ...(data.description ? [`Description: ${data.description.substring(0, 300)}...`] : []),
+    ...(data.key_benefits ? [`Benefits: ${data.key_benefits.substring(0, 300)}...`] : [])
+  ];
+
+  // 5. Extraction diagnostics (popup warning badge and debug report)
+  data.diagnostics = buildExtractionDiagnostics(data, adapter, raw);
+
+  return data;
+}
+
+
+/**
+ * Extract cart data through the site adapter
+ * @param {Document} doc
+ * @param {string} url - Basket page URL (selects the adapter)
+ * @returns {{url, items: Array, total: string|null, missing_data: string[]}}
+ */
+export function extractCartData(doc, url) {
+  const data = {
+    url,
+    items: [],
+    total: null,
+    missing_data: []
+  };
+
+  const adapter = adapterFor(url);
+  if (adapter) Object.assign(data, adapter.extractCart(doc));
+
+  if (data.items.length === 0) data.missing_data.push('items');
+  if (!data.total) data.missing_data.push('total');
+  return data;
+}
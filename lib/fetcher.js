@@ -0,0 +1,100 @@
+/**
+ * WhatFits Fetcher Module
+ * Polite page fetching for cart enrichment: concurrency limit, delay, retry with backoff, timeouts
+ */
+
+export const FETCH_DEFAULTS = {
+  concurrency: 2,     // Parallel requests
+  delayMs: 300,       // Pause between requests of the same worker
+  retries: 3,         // Extra attempts on 429/5xx/network errors
+  backoffMs: 1000,    // First retry delay, doubled each attempt
+  timeoutMs: 10000    // Per-request timeout
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function retryAfterMs(response) {
+  const header = response.headers.get('Retry-After');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Fetch a page as text with timeout and retry (exponential backoff on 429/5xx/network errors)
+ * @param {string} url
+ * @param {Object} [options] - Overrides for FETCH_DEFAULTS
+ * @returns {Promise<string>} Response body
+ * @throws {Error} After the last failed attempt
+ */
+export async function fetchTextWithRetry(url, options = {}) {
+  const { retries, backoffMs, timeoutMs } = { ...FETCH_DEFAULTS, ...options };
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let waitMs = backoffMs * (2 ** attempt);
+
+    try {
+      const response = await fetch(url, { signal: controller.signal, credentials: 'include' });
+      if (response.ok) return await response.text();
+
+      lastError = new Error(`HTTP ${response.status}`);
+      if (!isRetryableStatus(response.status)) throw lastError;
+      waitMs = retryAfterMs(response) ?? waitMs;
+    } catch (err) {
+      if (err === lastError) throw err; // Non-retryable status
+      lastError = err.name === 'AbortError' ? new Error(`Timed out after ${timeoutMs}ms`) : err;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (attempt < retries) {
+      console.warn(`[WhatFits] Fetch failed (${lastError.message}), retrying in ${waitMs}ms:`, url);
+      await sleep(waitMs);
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Run async tasks with a concurrency limit and a delay between tasks of each worker
+ * Results keep the input order. A failing task rejects only its own slot.
+ * @param {Array<Function>} tasks - Functions returning promises
+ * @param {Object} [options] - { concurrency, delayMs }
+ * @returns {Promise<Array<{status: 'fulfilled'|'rejected', value?: any, reason?: Error}>>}
+ */
+export async function runQueue(tasks, options = {}) {
+  const { concurrency, delayMs } = { ...FETCH_DEFAULTS, ...options };
+  const results = new Array(tasks.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < tasks.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await tasks[index]() };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+      if (next < tasks.length && delayMs > 0) await sleep(delayMs);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, tasks.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
@@ -0,0 +1,247 @@
+/**
+ * WhatFits Ingredients Module
+ * Tokenizes the ingredients accordion HTML into a structured list (no LLM)
+ */
+
+// Markers used to keep track of bolded allergens once tags are stripped
+const BOLD_START = '\u0001';
+const BOLD_END = '\u0002';
+
+const OPENING = '([{';
+const CLOSING = ')]}';
+
+// Leading labels to drop ("Ingrédients :", "Ingredients:", "Composition :"), often bolded
+const LABEL_PATTERN = new RegExp(
+  `^[${BOLD_START}\\s]*(ingrédients|ingredients|composition)\\s*:?\\s*${BOLD_END}?\\s*:?\\s*`, 'i'
+);
+
+// Mass units normalized to milligrams
+const UNIT_TO_MG = { g: 1000, mg: 1, 'µg': 0.001, 'μg': 0.001, mcg: 0.001 };
+
+// Sentences that are statements about the list, not ingredients themselves
+const STATEMENT_PATTERN = /^(peut contenir|may contain|contient|contains|allerg|fabriqué dans|made in a factory|produced in|pour les allergènes|for allergens)/i;
+
+/**
+ * Convert accordion HTML to plain text, marking <strong>/<b> content
+ */
+function htmlToMarkedText(html) {
+  return html
+    .replace(/<(strong|b)\b[^>]*>/gi, BOLD_START)
+    .replace(/<\/(strong|b)>/gi, BOLD_END)
+    .replace(/<br\s*\/?>|<\/p>|<\/li>|<\/div>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#39;|&rsquo;/g, '\'');
+}
+
+function stripMarkers(text) {
+  return text.replace(new RegExp(`[${BOLD_START}${BOLD_END}]`, 'g'), '');
+}
+
+/**
+ * Split on separators that sit at bracket depth 0
+ * Commas between two digits ("0,5%") are decimals, not separators.
+ * @param {string} text
+ * @param {string} separators
+ * @returns {string[]}
+ */
+function splitTopLevel(text, separators) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (OPENING.includes(char)) depth++;
+    if (CLOSING.includes(char)) depth = Math.max(0, depth - 1);
+
+    const isDecimalComma = char === ',' && /\d/.test(text[i - 1] || '') && /\d/.test(text[i + 1] || '');
+    if (depth === 0 && separators.includes(char) && !isDecimalComma) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Return the content of each top-level bracket group, e.g. "A (b, c) [d]" -> ["b, c", "d"]
+ */
+function bracketGroups(text) {
+  const groups = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (OPENING.includes(char)) {
+      if (depth > 0) current += char;
+      depth++;
+    } else if (CLOSING.includes(char)) {
+      depth = Math.max(0, depth - 1);
+      if (depth > 0) current += char;
+      else if (current.trim()) {
+        groups.push(current.trim());
+        current = '';
+      }
+    } else if (depth > 0) {
+      current += char;
+    }
+  }
+  return groups;
+}
+
+/**
+ * Remove bracket groups at any depth
+ */
+function removeBrackets(text) {
+  let result = '';
+  let depth = 0;
+  for (const char of text) {
+    if (OPENING.includes(char)) depth++;
+    else if (CLOSING.includes(char)) depth = Math.max(0, depth - 1);
+    else if (depth === 0) result += char;
+  }
+  return result;
+}
+
+/**
+ * Parse a percentage such as "80%", "0,5 %" or "(min. 70%)"
+ * @returns {number|null}
+ */
+function parsePercent(text) {
+  const match = text.match(/(\d+(?:[.,]\d+)?)\s*%/);
+  return match ? parseFloat(match[1].replace(',', '.')) : null;
+}
+
+/**
+ * Parse a pure amount such as "200mg" or "1,5 g" into milligrams
+ * @returns {number|null}
+ */
+function parseAmountMg(text) {
+  const match = text.trim().toLowerCase().match(/^(\d+(?:[.,]\d+)?)\s*(mg|g|µg|μg|mcg)$/);
+  return match ? parseFloat(match[1].replace(',', '.')) * UNIT_TO_MG[match[2]] : null;
+}
+
+/**
+ * Collect bolded segments (allergens) from marked text
+ */
+function boldSegments(text) {
+  const segments = [];
+  const pattern = new RegExp(`${BOLD_START}([^${BOLD_END}]*)${BOLD_END}`, 'g');
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const value = match[1].replace(/[():,.]/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+    if (value && !segments.includes(value)) segments.push(value);
+  }
+  return segments;
+}
+
+function cleanName(text) {
+  return stripMarkers(text)
+    .replace(/\d+(?:[.,]\d+)?\s*%/g, '')
+    .replace(/^[\s\-–•*:.]+|[\s\-–•*:.]+$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Build a token (and its sub-ingredients) from one list entry
+ */
+function buildToken(entry) {
+  const groups = bracketGroups(entry);
+  const ownText = removeBrackets(entry);
+
+  // Percent on the entry itself ("Whey 80%") or in a pure-percent group ("Whey (80%)")
+  let percent = parsePercent(ownText);
+  let amountMg = null;
+  const children = [];
+
+  groups.forEach(group => {
+    const plain = stripMarkers(group);
+    if (percent === null && /^\s*(min\.?\s*)?\d+(?:[.,]\d+)?\s*%\s*$/i.test(plain)) {
+      percent = parsePercent(plain);
+      return;
+    }
+    // Stated amount per serving, e.g. "Caféine (200mg)"
+    if (amountMg === null && parseAmountMg(plain) !== null) {
+      amountMg = parseAmountMg(plain);
+      return;
+    }
+    splitTopLevel(group, ',;').forEach(child => {
+      const token = buildToken(child);
+      if (token.name) children.push(token);
+    });
+  });
+
+  return {
+    name: cleanName(ownText),
+    raw: stripMarkers(entry).replace(/\s+/g, ' ').trim(),
+    percent,
+    amount_mg: amountMg,
+    allergens: boldSegments(entry),
+    children
+  };
+}
+
+/**
+ * Tokenize the ingredients accordion into a structured list
+ * Splits on top-level commas (respecting nested parentheses/brackets), extracts
+ * percentages, and captures bolded allergens.
+ * @param {string|null} html - Raw accordion innerHTML from extractProductData
+ * @returns {{
+ *   ingredients: Array<{name: string, raw: string, percent: number|null, amount_mg: number|null, allergens: string[], children: Array}>,
+ *   allergens: string[],
+ *   statements: string[]
+ * }}
+ */
+export function tokenizeIngredients(html) {
+  const result = { ingredients: [], allergens: [], statements: [] };
+  if (!html || typeof html !== 'string') return result;
+
+  const text = htmlToMarkedText(html);
+
+  // Sentences/lines: keep statements ("Peut contenir...") apart from the list
+  const chunks = text
+    .split(/\n|\.\s+(?=[A-ZÀ-Ý])|\.\s*$/)
+    .map(chunk => chunk.replace(/\s+/g, ' ').trim().replace(LABEL_PATTERN, ''))
+    .filter(chunk => stripMarkers(chunk).trim());
+
+  const listChunks = [];
+  chunks.forEach(chunk => {
+    const plain = stripMarkers(chunk).trim();
+    if (STATEMENT_PATTERN.test(plain)) {
+      result.statements.push(plain);
+      return;
+    }
+    listChunks.push(chunk);
+
+    splitTopLevel(chunk, ',;').forEach(entry => {
+      const token = buildToken(entry);
+      if (token.name) result.ingredients.push(token);
+    });
+  });
+
+  // Bolded allergens in the list itself ("may contain" statements are kept separate)
+  result.allergens = boldSegments(listChunks.join('\n'));
+  return result;
+}
+
+/**
+ * Flatten tokens (including sub-ingredients) into a list of names
+ * @param {Array} tokens - Output of tokenizeIngredients().ingredients
+ * @returns {string[]}
+ */
+export function flattenIngredientNames(tokens) {
+  if (!Array.isArray(tokens)) return [];
+  return tokens.flatMap(token => {
+    if (typeof token === 'string') return [token];
+    return [token.name, ...flattenIngredientNames(token.children)];
+  }).filter(Boolean);
+}
@@ -1,10 +1,16 @@
 /**
  * WhatFits LLM Module
- * Chat-first UX - OpenAI integration for conversational product Q&A
+ * Chat-first UX - provider-agnostic integration for conversational product Q&A
  */
 
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
-const MODEL = 'gpt-4.1-mini-2025-04-14';
+import { generateRuleSummary } from './rules.js';
+import { getProvider, getContextBudget, normalizeBaseUrl } from './providers.js';
+import { buildComparisonTable, MIN_PINNED } from './compare.js';
+import { computeValue } from './value.js';
+import { buildStackReport } from './stack.js';
+import { createSSEParser } from './sse.js';
+import { buildChatContext, compactObject, compactProduct, estimateTokens } from './context.js';
+import { FIT_VERDICT_SCHEMA, normalizeFitVerdict } from './verdict.js';
 
 // Chat System Prompt - focused on product Q&A
 const CHAT_SYSTEM_PROMPT = `You are "WhatFits Companion".
@@ -15,16 +21,36 @@ STRICT SAFETY RULES:
 2. NO Dosage Prescriptions. Do not provide specific dosage recommendations.
 3. NO Hallucinations. If data is missing, say "I don't see that listed on the product page."
 4. NO External Knowledge. Stick to the provided product labels and user context.
+5. VERIFIED FACTS are ground truth from deterministic rules. Never contradict them (e.g. do not call a product stimulant-free or vegan-friendly if the facts say otherwise).
+6. ALLERGENS: If VERIFIED FACTS contain "allergen_warnings", mention them first whenever the user asks whether the product suits them.
+   The same applies to "stimulant_warning" and "additive_warnings". For "hidden sugars", sweetener or additive questions, use "additives" (names grouped by class, plus "e_numbers"). For caffeine and other stimulant amounts, quote "stimulants.amounts" and "stimulants.notes" (general reference amounts, not medical advice) instead of estimating.
+7. VALUE: For price or "good value" questions, use the VALUE section (cost per serving, per kg, per 20g protein). Never recompute prices yourself; if a value is null, say the page does not state enough to compute it.
+8. DAILY STACK: For "how much per day" or "does this push me over" questions, use the DAILY STACK totals (rows: total vs min/max, status "over" past a limit). "candidate" gives the totals if the current product were added at its suggested servings. These totals cover the user's supplements only, not food.
 
 PRODUCT DATA FIELDS:
 - "diet": Array of dietary certifications (e.g., ["Végétarien", "Informed Choice"])
-- "ingredients": Full ingredient list (may be HTML string with bold allergens)
-- "nutrition_panel": Nutritional values table (HTML string)
-- "product_details": Specific product details (HTML string, may contain dietary suitability)
+- "ingredients": Full ingredient list (text)
+- "ingredients_list": Parsed ingredients (name, percent, sub-ingredients in "children")
+- "allergens": Allergens bolded in the ingredient list
+- "nutrition_panel": Nutritional values table (text, one row per line, cells separated by "|")
+- "nutrition": Parsed nutrition table. "per_100g" and "per_serving" hold macros in grams (protein_g, sugars_g...), energy_kj/energy_kcal, and "micronutrients" in mg. Prefer these numbers over reading the HTML table. Columns listed in "derived" were computed from "serving_size_g", not printed on the label.
+- "product_details": Specific product details (text, may contain dietary suitability)
 - "badges": Visible dietary labels from product page
 - "key_benefits": Key product benefits (French: "Avantages clés")
 - "why_choose": Why to choose this product (French: "Pourquoi choisir")
 - "usage": Suggested usage instructions (French: "Utilisation suggérée")
+- "variant": Selected size/flavour on the page (prices refer to this variant)
+- "brand", "gtin", "image": From the page's structured data when available
+- "source" / "extraction_confidence": Which site adapter read the page. Below 1 means an unsupported shop where only page metadata was read: say that ingredients or nutrition may be missing rather than assuming they are absent
+- "variant_options": Sizes/flavours offered on the page
+- Fields may be left out to fit the context budget; "omitted_fields" lists them. Say the detail was not included rather than that it is absent from the label
+- "variant_snapshots": Price, nutrition and ingredients of each size/flavour (when the user loaded all variants). Use it for "which flavour/size..." questions
+
+CITATIONS:
+- After every fact or number taken from the data, add a citation: [[field: "exact quote"]].
+- "field" is the PRODUCT DATA field name (e.g. ingredients, nutrition_panel, nutrition, key_benefits, usage, product_details, price), or "value" / "verified_facts" / "stack" for those sections.
+- The quote is copied verbatim from that field, kept short (a few words or one table row). Example: "80 g of protein per 100 g [[nutrition_panel: "Protéines | 80 g"]]".
+- Only state numbers that appear in the data. Estimates you compute yourself (e.g. daily protein needs) must be labeled as estimates.
 
 LANGUAGE NOTE:
 - Product data may be in French or English. Interpret all fields regardless of language.
@@ -41,7 +67,7 @@ CONTEXT USAGE:
   - If profile data is missing, do NOT assume values. Say that you can't calculate exact needs as you don't have the weight/height.
 - Use all the "User Profile preferences" (goals, training frequency, dietary style...etc) to frame answers.
 - Pay attention to "Additional Context" in user profile for nuanced preferences.
-- When answering, cite specific product facts from the provided data.
+- When answering, cite specific product facts from the provided data (see CITATIONS).
 - **CRITICAL ANALYSIS**: Compare marketing claims vs. ingredients. Verify if the "Key Benefits" are actually supported by the nutrition panel.
 
 TONE:
@@ -53,56 +79,153 @@ TONE:
 - Be concise. Max 2-3 short paragraphs per response.
 `;
 
+// Appended when the user has pinned products for comparison
+const COMPARISON_PROMPT = `
+COMPARISON MODE:
+- The user pinned the products listed under PINNED PRODUCTS. Answer ONLY about this set, do not bring in other products.
+- COMPARISON TABLE values are computed deterministically from the labels. Use them for numbers (protein, sugar, price per serving, price per 20g protein) instead of recalculating.
+- When a value is "n/a", say it is not stated on the page rather than estimating it.
+- Name products by their title so the user knows which one you mean.
+`;
+
+// Automatic verdict generated when a product is loaded (structured output, see lib/verdict.js)
+const FIT_VERDICT_PROMPT = `You are "WhatFits Companion". Rate how well this product fits the user, using ONLY the product data and the user's saved profile.
+
+RULES:
+- NO medical advice and NO dosage prescriptions.
+- VERIFIED FACTS are ground truth from deterministic rules: never contradict them. Allergen or dietary conflicts listed there make the product a poor fit.
+- Give one "goal_alignment" entry per goal in the user's "primary_goal" (none if it is empty).
+- "red_flags": issues such as low protein density, added sugars, fillers, proprietary blends, or conflicts with "avoidances" and "additional_context".
+- "evidence": the product fields you relied on, with the value quoted from the data (e.g. field "nutrition", quote "protein_g per_100g: 80").
+- If ingredients or nutrition are missing, use verdict "insufficient_data" and say so in the summary.
+- Be direct and critical. Write "summary", "reason" and "issue" texts in the language of the product page.
+`;
+
+/**
+ * Build the system context section for a pinned comparison set
+ * @param {Array<Object>} pinnedProducts - 2-5 product records
+ * @param {Object} userContext
+ * @returns {string}
+ */
+function buildComparisonSection(pinnedProducts, userContext) {
+  const table = buildComparisonTable(pinnedProducts);
+  const products = pinnedProducts.map((product, index) => {
+    return {
+      index: index + 1,
+      verified_facts: generateRuleSummary(product, userContext),
+      data: compactProduct(product)
+    };
+  });
+  const tableSummary = table.rows.map(row => ({
+    metric: row.label,
+    values: Object.fromEntries(table.products.map((p, i) => [p.title, row.cells[i]]))
+  }));
+
+  return `${COMPARISON_PROMPT}
+COMPARISON TABLE:
+${JSON.stringify(tableSummary)}
+
+PINNED PRODUCTS:
+${JSON.stringify(products)}
+`;
+}
+
 /**
  * Chat with the product context (STREAMING)
  * @param {Array} messageHistory - Chat history
  * @param {Object} productData - Current product data
  * @param {Object} previousProductData - Previous product for comparison
  * @param {Object} userContext - User preferences
- * @param {string} apiKey - OpenAI API key
+ * @param {string} apiKey - API key for the selected provider
  * @param {Function} onChunk - Callback called with each text chunk
- * @returns {Promise<{role: string, content: string}>} Complete message when done
+ * @param {Object} [options] - { provider: 'openai'|'gemini'|'anthropic'|'local', model: string, baseUrl: string,
+ *   pinnedProducts: Array<Object> (2+ products scope the chat to the comparison set),
+ *   signal: AbortSignal (aborting stops the stream), contextBudgets: { [model]: tokens } overrides,
+ *   stack: Array<Object> daily stack entries of the active profile (see lib/stack.js) }
+ * @returns {Promise<{role: string, content: string, stopped?: boolean}>} Complete message when done;
+ *   `stopped` with the partial content when the signal aborted
  */
-export async function chatWithProduct(messageHistory, productData, previousProductData, userContext, apiKey, onChunk) {
-  if (!apiKey) return { role: 'assistant', content: 'Error: No API key configured. Please add your OpenAI API key in Settings.' };
+export async function chatWithProduct(messageHistory, productData, previousProductData, userContext, apiKey, onChunk, options = {}) {
+  const provider = getProvider(options.provider);
+  const model = options.model || provider.defaultModel;
+
+  if (provider.requiresApiKey && !apiKey) return { role: 'assistant', content: `Error: No API key configured. Please add your ${provider.label} API key in Settings.` };
+  if (!model) return { role: 'assistant', content: `Error: No model selected. Please choose a ${provider.label} model in Settings.` };
+
+  // Pinned comparison set replaces the single current/previous product context
+  const pinnedProducts = options.pinnedProducts || [];
+  if (pinnedProducts.length >= MIN_PINNED) {
+    productData = null;
+    previousProductData = null;
+  }
+  const comparisonSection = pinnedProducts.length >= MIN_PINNED ? buildComparisonSection(pinnedProducts, userContext) : '';
+
+  // Deterministic rule summary - the 'Ground Truth' layer
+  const ruleSummary = productData ? generateRuleSummary(productData, userContext) : null;
+  const verifiedFactsSection = ruleSummary
+    ? `\nVERIFIED FACTS (deterministic rules, ground truth):\n${JSON.stringify(ruleSummary)}\n`
+    : '';
 
-  // Build previous product section if available
-  const previousProductSection = previousProductData
-    ? `\nPREVIOUS PRODUCT (for comparison):\n${JSON.stringify(previousProductData, null, 2)}\n`
+  // Deterministic value metrics (price per serving / kg / 20g protein)
+  const valueSection = productData
+    ? `\nVALUE (deterministic, computed from the selected variant's price):\n${JSON.stringify(computeValue(productData))}\n`
     : '';
 
-  // Create a copy of productData excluding description (too noisy/redundant)
-  const { description, ...cleanProductData } = productData || {};
+  const userSection = `USER PREFERENCES:\n${JSON.stringify(compactObject(userContext || {}))}`;
+
+  // What the user already takes each day, totalled against profile targets
+  const stack = options.stack || [];
+  const stackSection = stack.length > 0
+    ? `\nDAILY STACK (deterministic totals per day from the user's supplements):\n${JSON.stringify(compactObject(buildStackReport(stack, userContext, productData)))}\n`
+    : '';
+
+  // Fit product data and history into the model's budget (HTML as text, older turns summarized)
+  const context = buildChatContext({
+    budget: getContextBudget(provider.id, model, options.contextBudgets),
+    fixedTokens: estimateTokens(CHAT_SYSTEM_PROMPT + userSection + stackSection + comparisonSection + verifiedFactsSection + valueSection),
+    productData,
+    previousProductData,
+    messageHistory
+  });
+
+  const omittedFields = context.droppedFields.filter(field => field !== 'previous_product');
+  const product = context.product && omittedFields.length > 0
+    ? { ...context.product, omitted_fields: omittedFields }
+    : context.product;
+  const previousProductSection = context.previousProduct
+    ? `\nPREVIOUS PRODUCT (for comparison):\n${JSON.stringify(context.previousProduct)}\n`
+    : '';
+  const summarySection = context.summary
+    ? `\nEARLIER CONVERSATION (summary of older turns):\n${context.summary}\n`
+    : '';
 
   // Construct context-rich system message
   const systemContext = `
 ${CHAT_SYSTEM_PROMPT}
 
-USER PREFERENCES:
-${JSON.stringify(userContext, null, 2)}
-
-CURRENT PRODUCT DATA:
-${productData ? JSON.stringify(cleanProductData, null, 2) : "No specific product loaded."}
-${previousProductSection}
+${userSection}
+${stackSection}
+${comparisonSection || `CURRENT PRODUCT DATA:
+${product ? JSON.stringify(product) : "No specific product loaded."}
+${verifiedFactsSection}${valueSection}${previousProductSection}`}${summarySection}
 `;
 
   try {
-    const response = await fetch(OPENAI_API_URL, {
+    const request = provider.buildRequest({
+      apiKey,
+      model,
+      system: systemContext,
+      messages: context.messages,
+      temperature: 0.3,
+      maxTokens: 1000,
+      baseUrl: options.baseUrl
+    });
+
+    const response = await fetch(request.url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: MODEL,
-        messages: [
-          { role: 'system', content: systemContext },
-          ...messageHistory
-        ],
-        temperature: 0.3,
-        max_tokens: 1000,
-        stream: true  // Enable streaming
-      })
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal: options.signal
     });
 
     if (!response.ok) {
@@ -110,46 +233,150 @@ ${previousProductSection}
       throw new Error(errorData.error?.message || `API Error: ${response.status}`);
     }
 
-    // Read the stream
+    // Read the stream (events may span several network chunks, see lib/sse.js)
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let fullContent = '';
+    let finished = false;
+
+    const parser = createSSEParser(({ event, data }) => {
+      if (finished) return;
+      if (data === '[DONE]') {
+        finished = true; // OpenAI-style end of stream
+        return;
+      }
+
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch (e) {
+        if (event === 'error') throw new Error(data);
+        console.warn('[WhatFits] Ignoring non-JSON stream event:', data);
+        return;
+      }
+
+      // Error events: `event: error` (Anthropic) or an error payload mid-stream (OpenAI-compatible servers)
+      if (event === 'error' || parsed.error) {
+        throw new Error(parsed.error?.message || parsed.message || 'Stream error');
+      }
+
+      // Provider-specific event format
+      const delta = provider.parseStreamEvent(parsed);
+      if (delta) {
+        fullContent += delta;
+        if (onChunk) onChunk(delta);
+      }
+    });
 
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      const chunk = decoder.decode(value, { stream: true });
-
-      // Parse SSE format: each line starts with "data: "
-      const lines = chunk.split('\n');
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6); // Remove "data: " prefix
-
-          if (data === '[DONE]') {
-            // Stream complete
-            break;
-          }
-
-          try {
-            const parsed = JSON.parse(data);
-            const delta = parsed.choices?.[0]?.delta?.content;
-            if (delta) {
-              fullContent += delta;
-              if (onChunk) onChunk(delta);
-            }
-          } catch (e) {
-            // Skip invalid JSON lines (can happen with partial chunks)
-          }
+    try {
+      while (!finished) {
+        const { done, value } = await reader.read();
+        if (done) {
+          parser.feed(decoder.decode());
+          parser.end();
+          break;
         }
+        parser.feed(decoder.decode(value, { stream: true }));
       }
+    } catch (err) {
+      // Stopped by the user: keep what was streamed so far
+      if (err.name === 'AbortError') return { role: 'assistant', content: fullContent, stopped: true };
+      throw err;
+    } finally {
+      if (finished) reader.cancel().catch(() => {});
     }
 
     return { role: 'assistant', content: fullContent || "I'm sorry, I couldn't generate a response." };
 
   } catch (err) {
+    if (err.name === 'AbortError') return { role: 'assistant', content: '', stopped: true };
     console.error('Chat API Error:', err);
     return { role: 'assistant', content: `Sorry, I'm having trouble connecting to the AI. ${err.message}` };
   }
 }
+
+/**
+ * Generate the structured fit verdict for a product (schema-constrained, not streamed)
+ * @param {Object} productData - Current product data
+ * @param {Object} userContext - User preferences
+ * @param {string} apiKey - API key for the selected provider
+ * @param {Object} [options] - { provider, model, baseUrl, contextBudgets } (see chatWithProduct)
+ * @returns {Promise<{ok: boolean, verdict: Object|null, error?: string}>} Verdict normalized by lib/verdict.js
+ */
+export async function generateFitVerdict(productData, userContext, apiKey, options = {}) {
+  const provider = getProvider(options.provider);
+  const model = options.model || provider.defaultModel;
+  if (provider.requiresApiKey && !apiKey) return { ok: false, verdict: null, error: 'No API key configured.' };
+  if (!model) return { ok: false, verdict: null, error: 'No model selected.' };
+
+  const factsSection = `VERIFIED FACTS (deterministic rules, ground truth):\n${JSON.stringify(generateRuleSummary(productData, userContext))}`;
+  const valueSection = `VALUE (deterministic):\n${JSON.stringify(computeValue(productData))}`;
+  const userSection = `USER PREFERENCES:\n${JSON.stringify(compactObject(userContext || {}))}`;
+  const context = buildChatContext({
+    budget: getContextBudget(provider.id, model, options.contextBudgets),
+    fixedTokens: estimateTokens(FIT_VERDICT_PROMPT + userSection + factsSection + valueSection),
+    productData
+  });
+
+  try {
+    const request = provider.buildStructuredRequest({
+      apiKey,
+      model,
+      system: `${FIT_VERDICT_PROMPT}\n${userSection}\n\nPRODUCT DATA:\n${JSON.stringify(context.product)}\n\n${factsSection}\n\n${valueSection}`,
+      messages: [{ role: 'user', content: 'Give your fit verdict for this product.' }],
+      temperature: 0.2,
+      maxTokens: 1000,
+      baseUrl: options.baseUrl,
+      schema: FIT_VERDICT_SCHEMA,
+      schemaName: 'fit_verdict'
+    });
+
+    const response = await fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error?.message || `API Error: ${response.status}`);
+    }
+
+    const verdict = normalizeFitVerdict(provider.parseStructuredResponse(await response.json()));
+    if (!verdict) throw new Error('The model returned no verdict.');
+    return { ok: true, verdict };
+  } catch (err) {
+    console.error('Fit verdict failed:', err);
+    return { ok: false, verdict: null, error: err.message };
+  }
+}
+
+/**
+ * Test an OpenAI-compatible server and list its models (GET /v1/models)
+ * @param {string} baseUrl - e.g. "http://localhost:11434/v1"
+ * @param {string} [apiKey] - Optional bearer token
+ * @returns {Promise<{ok: boolean, models: string[], error?: string}>}
+ */
+export async function testConnection(baseUrl, apiKey) {
+  const url = normalizeBaseUrl(baseUrl);
+  if (!url) return { ok: false, models: [], error: 'No server URL configured.' };
+
+  try {
+    const response = await fetch(`${url}/models`, {
+      headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error?.message || `Server Error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const models = (data.data || []).map(model => model.id).filter(Boolean);
+    return { ok: true, models };
+  } catch (err) {
+    console.error('Connection test failed:', err);
+    return { ok: false, models: [], error: err.message };
+  }
+}
@@ -0,0 +1,366 @@
+/**
+ * WhatFits Nutrition Module
+ * Parses the "Information nutritionnelle" accordion table into typed numbers (no LLM)
+ */
+
+// Row label patterns (French + English). Order matters: more specific first.
+const MACRO_PATTERNS = [
+  { key: 'energy', pattern: /énergie|energie|energy|valeur énergétique/ },
+  { key: 'saturates_g', pattern: /satur/, exclude: /(in|un|mono|poly)-?\s?satur/ },
+  { key: 'fat_g', pattern: /matières grasses|matieres grasses|lipides|graisses|\bfat\b/ },
+  { key: 'sugars_g', pattern: /sucres|sugars/ },
+  { key: 'carbohydrate_g', pattern: /glucides|carbohydrate/ },
+  { key: 'fibre_g', pattern: /fibres?|fiber/ },
+  { key: 'protein_g', pattern: /protéines?|proteines?|proteins?/ },
+  { key: 'salt_g', pattern: /\bsel\b|\bsalt\b/ }
+];
+
+// Mass units normalized to grams (macros) or milligrams (micronutrients)
+const UNIT_TO_MG = {
+  kg: 1000000,
+  g: 1000,
+  mg: 1,
+  'µg': 0.001,
+  'μg': 0.001,
+  mcg: 0.001,
+  ug: 0.001
+};
+
+// Comma thousands groups: always in English text, otherwise only before a "." decimal
+const COMMA_THOUSANDS = /(?<![\d.,])\d{1,3}(?:,\d{3})+(?![\d,])/g;
+const COMMA_THOUSANDS_BEFORE_DECIMAL = /(?<![\d.,])\d{1,3}(?:,\d{3})+(?=\.\d)/g;
+
+function isEnglishLocale(locale) {
+  return /^en\b/i.test(locale || '');
+}
+
+const COLUMN = {
+  PER_100G: 'per_100g',
+  PER_SERVING: 'per_serving',
+  IGNORED: 'ignored'
+};
+
+/**
+ * Parse a number written with French or English conventions
+ * Handles "7,5", "1 611" (thin/non-breaking spaces) and "<0.5". A comma before exactly three
+ * digits stays a decimal comma ("1,250 g" of salt) unless a "." decimal follows ("1,611.5")
+ * or the text is English ("1,611 kJ" on an en- page).
+ * @param {string} text
+ * @param {Object} [options] - { locale: page language, e.g. "fr-FR", "en-GB" }
+ * @returns {number|null}
+ */
+export function parseLocaleNumber(text, { locale = null } = {}) {
+  if (text === null || text === undefined) return null;
+  const thousands = isEnglishLocale(locale) ? COMMA_THOUSANDS : COMMA_THOUSANDS_BEFORE_DECIMAL;
+  const match = String(text)
+    .replace(/(\d)[\s  ](?=\d{3}\b)/g, '$1')
+    .replace(thousands, number => number.replace(/,/g, ''))
+    .match(/\d+(?:[.,]\d+)?/);
+  if (!match) return null;
+  const value = parseFloat(match[0].replace(',', '.'));
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Strip tags and decode the few entities MyProtein uses in table cells
+ */
+function cellText(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split table HTML into rows of plain-text cells
+ * @param {string} html
+ * @returns {string[][]}
+ */
+function tableRows(html) {
+  const rows = [];
+  const rowMatches = html.match(/<tr[\s\S]*?<\/tr>/gi) || [];
+  for (const row of rowMatches) {
+    const cells = (row.match(/<t[hd][^>]*>[\s\S]*?<\/t[hd]>/gi) || []).map(cellText);
+    if (cells.length > 0) rows.push(cells);
+  }
+  return rows;
+}
+
+/**
+ * Classify a header cell as per-100g, per-serving or ignored (%NRV etc.)
+ */
+function classifyHeader(text) {
+  const lower = text.toLowerCase();
+  if (/%|vnr|nrv|\bar\b|\bri\b|apport/.test(lower)) return COLUMN.IGNORED;
+  if (/100\s*(g|ml)/.test(lower)) return COLUMN.PER_100G;
+  if (/portion|serving|dose|par\s|per\s|scoop|barre|bar\b/.test(lower)) return COLUMN.PER_SERVING;
+  return null;
+}
+
+/**
+ * Extract serving size in grams (or ml) from free text
+ * e.g. "Par portion (25g)", "Taille de portion : 2 x 12,5 g", "Serving size 30 g"
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseServingSize(text) {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  const multi = lower.match(/(?:portion|serving|dose)[^0-9]{0,25}(\d+)\s*[x×]\s*(\d+(?:[.,]\d+)?)\s*(g|ml)\b/);
+  if (multi) return parseInt(multi[1], 10) * parseLocaleNumber(multi[2]);
+  const single = lower.match(/(?:portion|serving|dose)[^0-9]{0,25}(\d+(?:[.,]\d+)?)\s*(g|ml)\b/);
+  return single ? parseLocaleNumber(single[1]) : null;
+}
+
+/**
+ * Map a row label to a macro key, or null for micronutrients/other rows
+ */
+function macroKey(label) {
+  const lower = label.toLowerCase();
+  for (const { key, pattern, exclude } of MACRO_PATTERNS) {
+    if (pattern.test(lower) && !(exclude && exclude.test(lower))) return key;
+  }
+  return null;
+}
+
+/**
+ * Parse an energy cell such as "1611 kJ / 381 kcal"
+ * @returns {{ energy_kj: number|null, energy_kcal: number|null }}
+ */
+function parseEnergy(text, label, locale = null) {
+  const kj = text.match(/(\d[\d\s.,]*)\s*kj/i);
+  const kcal = text.match(/(\d[\d\s.,]*)\s*kcal/i);
+  const result = {
+    energy_kj: kj ? parseLocaleNumber(kj[1], { locale }) : null,
+    energy_kcal: kcal ? parseLocaleNumber(kcal[1], { locale }) : null
+  };
+
+  // Unit only stated in the row label, e.g. "Énergie (kcal) | 381"
+  if (!kj && !kcal) {
+    const value = parseLocaleNumber(text, { locale });
+    if (/kcal/i.test(label)) result.energy_kcal = value;
+    else if (/kj/i.test(label)) result.energy_kj = value;
+  }
+  return result;
+}
+
+/**
+ * Parse a mass cell ("7,5 g", "<0.1g", "80 µg") into milligrams
+ * Falls back to the unit stated in the row label, then to the given default.
+ */
+function parseMassMg(text, label, defaultUnit, locale = null) {
+  const value = parseLocaleNumber(text, { locale });
+  if (value === null) return null;
+  const unitMatch = text.toLowerCase().match(/\d\s*(kg|mg|µg|μg|mcg|ug|g)\b/) ||
+    label.toLowerCase().match(/\((kg|mg|µg|μg|mcg|ug|g)\)/);
+  const unit = unitMatch ? unitMatch[1] : defaultUnit;
+  return value * UNIT_TO_MG[unit];
+}
+
+function round(value, decimals = 2) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Drop floating-point noise from unit conversions without losing µg-scale values
+ * (0.625 µg is 0.000625 mg, not 0.0006)
+ */
+function precise(value) {
+  return Number(value.toPrecision(12));
+}
+
+function emptyColumn() {
+  return {
+    energy_kj: null,
+    energy_kcal: null,
+    fat_g: null,
+    saturates_g: null,
+    carbohydrate_g: null,
+    sugars_g: null,
+    fibre_g: null,
+    protein_g: null,
+    salt_g: null,
+    micronutrients: {} // name -> mg
+  };
+}
+
+/**
+ * Work out which cell index holds which column
+ * Uses the header row when present, otherwise assumes [label, per 100g, per serving].
+ */
+function detectColumns(rows) {
+  for (let i = 0; i < rows.length; i++) {
+    const types = rows[i].map(classifyHeader);
+    if (types.some(t => t === COLUMN.PER_100G || t === COLUMN.PER_SERVING)) {
+      return { headerIndex: i, types, headerText: rows[i].join(' ') };
+    }
+  }
+  return { headerIndex: -1, types: [null, COLUMN.PER_100G, COLUMN.PER_SERVING], headerText: '' };
+}
+
+/**
+ * Scale a column by a factor (used to derive a missing per-100g or per-serving column)
+ */
+function scaleColumn(column, factor) {
+  const scaled = emptyColumn();
+  Object.keys(scaled).forEach(key => {
+    if (key === 'micronutrients') return;
+    scaled[key] = column[key] === null ? null : round(column[key] * factor);
+  });
+  Object.entries(column.micronutrients).forEach(([name, mg]) => {
+    scaled.micronutrients[name] = precise(mg * factor);
+  });
+  return scaled;
+}
+
+function hasValues(column) {
+  return Object.entries(column).some(([key, value]) =>
+    key === 'micronutrients' ? Object.keys(value).length > 0 : value !== null);
+}
+
+/**
+ * Parse the nutrition panel HTML into per-100g and per-serving numbers
+ * Macros are in grams, energy in kJ/kcal, micronutrients in milligrams (unrounded).
+ * @param {string|null} html - Raw accordion innerHTML from extractProductData
+ * @param {Object} [options] - { locale: page language; "1,250 g" is 1250 g only on English pages }
+ * @returns {{
+ *   serving_size_g: number|null,
+ *   per_100g: Object|null,
+ *   per_serving: Object|null,
+ *   derived: string[]
+ * }|null} null when no table could be read
+ */
+export function parseNutritionPanel(html, { locale = null } = {}) {
+  if (!html || typeof html !== 'string') return null;
+
+  const rows = tableRows(html);
+  if (rows.length === 0) return null;
+
+  const { headerIndex, types, headerText } = detectColumns(rows);
+  const columns = {
+    [COLUMN.PER_100G]: emptyColumn(),
+    [COLUMN.PER_SERVING]: emptyColumn()
+  };
+
+  let lastLabel = '';
+  rows.slice(headerIndex + 1).forEach(cells => {
+    // Continuation rows (e.g. kcal on its own line) have an empty label
+    const label = cells[0] || lastLabel;
+    lastLabel = label;
+    const key = macroKey(label);
+
+    cells.slice(1).forEach((cell, offset) => {
+      const columnType = types[offset + 1];
+      const column = columns[columnType];
+      if (!column || !cell) return;
+
+      if (key === 'energy') {
+        const energy = parseEnergy(cell, label, locale);
+        if (energy.energy_kj !== null) column.energy_kj = energy.energy_kj;
+        if (energy.energy_kcal !== null) column.energy_kcal = energy.energy_kcal;
+      } else if (key) {
+        const mg = parseMassMg(cell, label, 'g', locale);
+        if (mg !== null) column[key] = round(mg / 1000);
+      } else {
+        const mg = parseMassMg(cell, label, 'mg', locale);
+        const name = label.replace(/\([^)]*\)/g, '').replace(/^(dont|of which)\s+/i, '').trim().toLowerCase();
+        if (mg !== null && name) column.micronutrients[name] = precise(mg);
+      }
+    });
+  });
+
+  const servingSize = parseServingSize(headerText) || parseServingSize(cellText(html));
+  const derived = [];
+  let per100g = hasValues(columns[COLUMN.PER_100G]) ? columns[COLUMN.PER_100G] : null;
+  let perServing = hasValues(columns[COLUMN.PER_SERVING]) ? columns[COLUMN.PER_SERVING] : null;
+
+  if (servingSize) {
+    if (!per100g && perServing) {
+      per100g = scaleColumn(perServing, 100 / servingSize);
+      derived.push(COLUMN.PER_100G);
+    } else if (per100g && !perServing) {
+      perServing = scaleColumn(per100g, servingSize / 100);
+      derived.push(COLUMN.PER_SERVING);
+    }
+  }
+
+  if (!per100g && !perServing) return null;
+
+  return {
+    serving_size_g: servingSize,
+    per_100g: per100g,
+    per_serving: perServing,
+    derived // Columns computed from serving size rather than read from the label
+  };
+}
+
+// schema.org NutritionInformation properties -> column keys (values like "24 g")
+const SCHEMA_NUTRIENTS = {
+  fatContent: 'fat_g',
+  saturatedFatContent: 'saturates_g',
+  carbohydrateContent: 'carbohydrate_g',
+  sugarContent: 'sugars_g',
+  fiberContent: 'fibre_g',
+  proteinContent: 'protein_g'
+};
+
+// schema.org properties without a column, kept as micronutrients (mg): name and the unit assumed when none is written
+const SCHEMA_MICRONUTRIENTS = {
+  unsaturatedFatContent: ['unsaturated fat', 'g'],
+  transFatContent: ['trans fat', 'g'],
+  cholesterolContent: ['cholesterol', 'mg']
+};
+
+// Every NutritionInformation property parseNutritionInformation reads (microdata readers use this list)
+export const NUTRITION_INFORMATION_PROPERTIES = [
+  'servingSize', 'calories', 'sodiumContent', ...Object.keys(SCHEMA_NUTRIENTS), ...Object.keys(SCHEMA_MICRONUTRIENTS)
+];
+
+/**
+ * Convert schema.org NutritionInformation (JSON-LD / microdata) to the parseNutritionPanel shape
+ * schema.org values are per serving; per-100g is derived when the serving size is in grams.
+ * @param {Object|null} info - e.g. { servingSize: "30 g", calories: "120 kcal", proteinContent: "24 g" }
+ * @returns {Object|null} Same shape as parseNutritionPanel(), or null when nothing is readable
+ */
+export function parseNutritionInformation(info) {
+  if (!info || typeof info !== 'object') return null;
+
+  const perServing = emptyColumn();
+  Object.entries(SCHEMA_NUTRIENTS).forEach(([property, key]) => {
+    const text = info[property] ? String(info[property]) : '';
+    const mg = text ? parseMassMg(text, '', 'g') : null;
+    if (mg !== null) perServing[key] = round(mg / 1000);
+  });
+  Object.entries(SCHEMA_MICRONUTRIENTS).forEach(([property, [name, defaultUnit]]) => {
+    const mg = info[property] ? parseMassMg(String(info[property]), '', defaultUnit) : null;
+    if (mg !== null) perServing.micronutrients[name] = precise(mg);
+  });
+
+  if (info.calories) {
+    const energy = parseEnergy(String(info.calories), 'kcal');
+    perServing.energy_kcal = energy.energy_kcal;
+    perServing.energy_kj = energy.energy_kj;
+  }
+  // Sodium -> salt (salt = sodium x 2.5)
+  if (info.sodiumContent) {
+    const sodiumMg = parseMassMg(String(info.sodiumContent), '', 'mg');
+    if (sodiumMg !== null) perServing.salt_g = round(sodiumMg * 2.5 / 1000);
+  }
+
+  if (!hasValues(perServing)) return null;
+
+  const servingSize = /\d\s*(g|ml)\b/i.test(info.servingSize || '') ? parseLocaleNumber(info.servingSize) : null;
+  return {
+    serving_size_g: servingSize,
+    per_100g: servingSize ? scaleColumn(perServing, 100 / servingSize) : null,
+    per_serving: perServing,
+    derived: servingSize ? [COLUMN.PER_100G] : []
+  };
+}
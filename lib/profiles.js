@@ -0,0 +1,156 @@
+/**
+ * WhatFits Profiles Module
+ * User context schema with its version history, migrations from older
+ * shapes, and the JSON format used to import / export named profiles
+ */
+
+// Bump when the user context shape changes, and add the step to MIGRATIONS
+export const PROFILE_SCHEMA_VERSION = 4;
+
+const EXPORT_FORMAT = 'whatfits-profiles';
+
+// Default context (Schema v4 - profile + questionnaire, versioned per profile)
+export const DEFAULT_USER_CONTEXT = {
+  // User Profile
+  age: null,               // Number or null
+  weight_kg: null,         // Number or null
+  height_cm: null,         // Number or null
+  gender: '',              // 'male', 'female', 'prefer_not_to_say', or ''
+
+  // Questionnaire
+  primary_goal: [],        // Q1
+  training_frequency: '',  // Q2
+  training_style: [],      // Q3
+  nutrition_priority: [],  // Q4
+  dietary_style: [],       // Q5
+  avoidances: [],          // Q6 (incl. EU allergen keys: 'milk', 'soy', 'nuts'...)
+  supplements_intake: '',  // Q7
+  current_focus: '',       // Q8
+  mental_focus: '',        // Q9
+  joint_protection: [],    // Q10
+  additional_context: ''   // Free text (500 chars)
+};
+
+// v1 "preferences" values and the v2+ question each one belongs to
+const LEGACY_PREFERENCES = {
+  vegan: ['dietary_style', 'vegan'],
+  lactose_free: ['dietary_style', 'lactose_free'],
+  high_protein: ['dietary_style', 'high_protein'],
+  whole_foods: ['dietary_style', 'whole_foods'],
+  dairy_free: ['avoidances', 'milk'],
+  gluten_free: ['avoidances', 'gluten'],
+  nut_free: ['avoidances', 'nuts'],
+  soy_free: ['avoidances', 'soy'],
+  no_stimulants: ['avoidances', 'stimulants'],
+  stimulant_free: ['avoidances', 'stimulants'],
+  caffeine_free: ['avoidances', 'stimulants'],
+  no_sugar: ['avoidances', 'added_sugars'],
+  sugar_free: ['avoidances', 'added_sugars'],
+  no_sweeteners: ['avoidances', 'artificial_sweeteners']
+};
+
+function union(...lists) {
+  return [...new Set(lists.flat().filter(Boolean))];
+}
+
+/**
+ * Migration from each version to the next one
+ * v1: { goals, preferences, dietary } (first questionnaire)
+ * v2: ten-question questionnaire, no body profile
+ * v3: body profile added; "dietary" duplicated dietary_style for the rule engine
+ * v4: no computed fields, version stored on the profile
+ */
+const MIGRATIONS = {
+  1: ({ goals, preferences, ...context }) => {
+    const migrated = { ...context, primary_goal: union(context.primary_goal || [], goals || []) };
+    (preferences || []).forEach(preference => {
+      const [question, value] = LEGACY_PREFERENCES[preference] || [];
+      if (question) migrated[question] = union(migrated[question] || [], [value]);
+    });
+    return migrated;
+  },
+  2: context => ({ ...context }), // Profile fields come from the defaults
+  3: ({ dietary, ...context }) => ({ ...context, dietary_style: union(context.dietary_style || [], dietary || []) })
+};
+
+/**
+ * Guess the schema version of a context saved before versioning
+ * @param {Object} context
+ * @returns {number}
+ */
+export function detectSchemaVersion(context) {
+  if ('goals' in context || 'preferences' in context) return 1;
+  if ('dietary' in context) return 3;
+  if (!('age' in context) && !('weight_kg' in context)) return 2;
+  return 3;
+}
+
+/**
+ * Bring a stored user context up to the current schema
+ * @param {Object|null} context - Stored context (any version)
+ * @param {number} [version] - Its schema version, detected from its shape when missing
+ * @returns {Object} Context in the current schema, missing fields filled with defaults
+ */
+export function migrateUserContext(context, version) {
+  let migrated = { ...(context || {}) };
+  let from = version || detectSchemaVersion(migrated);
+  while (from < PROFILE_SCHEMA_VERSION) {
+    migrated = MIGRATIONS[from] ? MIGRATIONS[from](migrated) : migrated;
+    from++;
+  }
+  // Keep known fields only (older shapes and imports may carry anything)
+  return Object.fromEntries(Object.entries(DEFAULT_USER_CONTEXT)
+    .map(([key, fallback]) => [key, migrated[key] ?? fallback]));
+}
+
+/**
+ * Export document for a list of profiles
+ * @param {Array<{name: string, schema_version: number, context: Object, stack: Array<Object>}>} profiles
+ * @returns {Object} JSON-serializable export
+ */
+export function buildProfilesExport(profiles) {
+  return {
+    format: EXPORT_FORMAT,
+    exported_at: new Date().toISOString(),
+    profiles: profiles.map(({ name, schema_version, context, stack }) => ({ name, schema_version, context, stack: stack || [] }))
+  };
+}
+
+/**
+ * Read an import file: a WhatFits export, or a single bare user context (any version)
+ * @param {string} json - File content
+ * @returns {{ok: boolean, profiles: Array<{name: string, context: Object, stack: Array<Object>}>, error: string|null}}
+ *   Contexts are migrated to the current schema
+ */
+export function parseProfilesImport(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    return { ok: false, profiles: [], error: 'Not a JSON file.' };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { ok: false, profiles: [], error: 'Unrecognized profile file.' };
+  }
+
+  const entries = data.format === EXPORT_FORMAT
+    ? (Array.isArray(data.profiles) ? data.profiles : [])
+    : [{ name: 'Imported profile', schema_version: data.schema_version, context: data }];
+
+  const profiles = entries
+    .filter(entry => entry?.context && typeof entry.context === 'object')
+    .map(entry => {
+      if (entry.schema_version > PROFILE_SCHEMA_VERSION) return null; // Exported by a newer WhatFits
+      return {
+        name: String(entry.name || 'Imported profile').trim().slice(0, 40),
+        context: migrateUserContext(entry.context, entry.schema_version),
+        stack: Array.isArray(entry.stack) ? entry.stack.filter(item => item?.id) : []
+      };
+    });
+
+  if (profiles.includes(null)) {
+    return { ok: false, profiles: [], error: 'This file comes from a newer version of WhatFits. Update the extension first.' };
+  }
+  if (profiles.length === 0) return { ok: false, profiles: [], error: 'No profiles found in this file.' };
+  return { ok: true, profiles, error: null };
+}
@@ -0,0 +1,269 @@
+/**
+ * WhatFits LLM Providers
+ * Adapters for OpenAI, Google Gemini, Anthropic and local OpenAI-compatible servers:
+ * auth, request shape, stream events and schema-constrained (structured) responses
+ */
+
+/**
+ * Keep only user/assistant turns and merge consecutive turns of the same role
+ * (Gemini and Anthropic reject system turns inside the history and require alternation)
+ */
+function toAlternatingTurns(messageHistory) {
+  const turns = [];
+  messageHistory
+    .filter(msg => msg.role === 'user' || msg.role === 'assistant')
+    .forEach(msg => {
+      const last = turns[turns.length - 1];
+      if (last && last.role === msg.role) {
+        last.content += `\n\n${msg.content}`;
+      } else {
+        turns.push({ role: msg.role, content: msg.content });
+      }
+    });
+
+  // Both APIs expect the conversation to start with a user turn
+  while (turns.length > 0 && turns[0].role !== 'user') turns.shift();
+  return turns;
+}
+
+/**
+ * JSON schema in Gemini's OpenAPI subset (upper-case types, no additionalProperties)
+ */
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([key]) => key !== 'additionalProperties')
+    .map(([key, value]) => [key, key === 'type' ? String(value).toUpperCase() : toGeminiSchema(value)]));
+}
+
+/**
+ * Normalize an OpenAI-compatible base URL ("http://localhost:11434" -> "http://localhost:11434/v1")
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+export function normalizeBaseUrl(baseUrl) {
+  const trimmed = (baseUrl || '').trim().replace(/\/+$/, '');
+  if (!trimmed) return trimmed;
+  return /\/v\d+$/.test(trimmed) ? trimmed : `${trimmed}/v1`;
+}
+
+// Hosts a self-hosted server may run on (manifest optional_host_permissions, any port)
+export const LOCAL_SERVER_HOSTS = ['localhost', '127.0.0.1'];
+
+/**
+ * Whether a base URL points to a server on this computer
+ * @param {string} baseUrl
+ * @returns {boolean}
+ */
+export function isLocalServerUrl(baseUrl) {
+  try {
+    const url = new URL(baseUrl);
+    return /^https?:$/.test(url.protocol) && LOCAL_SERVER_HOSTS.includes(url.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+const OPENAI = {
+  id: 'openai',
+  label: 'OpenAI',
+  models: ['gpt-4.1-mini-2025-04-14', 'gpt-4.1-2025-04-14', 'gpt-4o-mini'],
+  defaultModel: 'gpt-4.1-mini-2025-04-14',
+  requiresApiKey: true,
+  baseUrl: 'https://api.openai.com/v1',
+  // Prompt token budget (see lib/context.js): pricier models get a tighter default, the user can override it per model
+  contextBudget: 8000,
+  modelContextBudgets: { 'gpt-4.1-2025-04-14': 6000 },
+
+  buildRequest({ apiKey, model, system, messages, temperature, maxTokens, baseUrl }) {
+    const headers = { 'Content-Type': 'application/json' };
+    // Self-hosted servers often run without auth
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+    return {
+      url: `${normalizeBaseUrl(baseUrl || this.baseUrl)}/chat/completions`,
+      headers,
+      body: {
+        model,
+        messages: [{ role: 'system', content: system }, ...messages],
+        temperature,
+        max_tokens: maxTokens,
+        stream: true
+      }
+    };
+  },
+
+  // data: {"choices":[{"delta":{"content":"..."}}]}
+  parseStreamEvent(event) {
+    return event.choices?.[0]?.delta?.content || null;
+  },
+
+  // Structured outputs: response_format json_schema (strict)
+  buildStructuredRequest({ schema, schemaName, ...params }) {
+    const request = this.buildRequest(params);
+    delete request.body.stream;
+    request.body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: schemaName, strict: true, schema }
+    };
+    return request;
+  },
+
+  parseStructuredResponse(response) {
+    const content = response.choices?.[0]?.message?.content;
+    return content ? JSON.parse(content) : null;
+  }
+};
+
+const GEMINI = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  models: ['gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-2.0-flash'],
+  defaultModel: 'gemini-2.5-flash',
+  requiresApiKey: true,
+  contextBudget: 8000,
+  modelContextBudgets: { 'gemini-2.5-pro': 6000 },
+
+  buildRequest({ apiKey, model, system, messages, temperature, maxTokens }) {
+    return {
+      url: `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': apiKey
+      },
+      body: {
+        systemInstruction: { parts: [{ text: system }] },
+        contents: toAlternatingTurns(messages).map(msg => ({
+          role: msg.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: msg.content }]
+        })),
+        generationConfig: {
+          temperature,
+          maxOutputTokens: maxTokens
+        }
+      }
+    };
+  },
+
+  // data: {"candidates":[{"content":{"parts":[{"text":"..."}]}}]}
+  parseStreamEvent(event) {
+    const parts = event.candidates?.[0]?.content?.parts || [];
+    const text = parts.map(part => part.text || '').join('');
+    return text || null;
+  },
+
+  // Non-streaming generateContent with a response schema
+  buildStructuredRequest({ schema, schemaName, ...params }) {
+    const request = this.buildRequest(params);
+    request.url = request.url.replace(':streamGenerateContent?alt=sse', ':generateContent');
+    request.body.generationConfig = {
+      ...request.body.generationConfig,
+      responseMimeType: 'application/json',
+      responseSchema: toGeminiSchema(schema)
+    };
+    return request;
+  },
+
+  parseStructuredResponse(response) {
+    const text = this.parseStreamEvent(response);
+    return text ? JSON.parse(text) : null;
+  }
+};
+
+const ANTHROPIC = {
+  id: 'anthropic',
+  label: 'Anthropic Claude',
+  models: ['claude-3-5-haiku-20241022', 'claude-sonnet-4-20250514'],
+  defaultModel: 'claude-3-5-haiku-20241022',
+  requiresApiKey: true,
+  contextBudget: 8000,
+  modelContextBudgets: { 'claude-sonnet-4-20250514': 6000 },
+
+  buildRequest({ apiKey, model, system, messages, temperature, maxTokens }) {
+    return {
+      url: 'https://api.anthropic.com/v1/messages',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        // Required for calls made directly from the browser (extension popup)
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: {
+        model,
+        system,
+        messages: toAlternatingTurns(messages),
+        temperature,
+        max_tokens: maxTokens,
+        stream: true
+      }
+    };
+  },
+
+  // event: content_block_delta / data: {"type":"content_block_delta","delta":{"type":"text_delta","text":"..."}}
+  parseStreamEvent(event) {
+    if (event.type === 'error') throw new Error(event.error?.message || 'Stream error');
+    if (event.type === 'content_block_delta') return event.delta?.text || null;
+    return null;
+  },
+
+  // Forced tool call whose input_schema is the response schema
+  buildStructuredRequest({ schema, schemaName, ...params }) {
+    const request = this.buildRequest(params);
+    delete request.body.stream;
+    request.body.tools = [{ name: schemaName, description: 'Record the structured result.', input_schema: schema }];
+    request.body.tool_choice = { type: 'tool', name: schemaName };
+    return request;
+  },
+
+  parseStructuredResponse(response) {
+    const toolUse = (response.content || []).find(block => block.type === 'tool_use');
+    return toolUse ? toolUse.input : null;
+  }
+};
+
+// Ollama, llama.cpp, LM Studio, vLLM... anything exposing the OpenAI chat completions API
+const LOCAL = {
+  ...OPENAI,
+  id: 'local',
+  label: 'Local / OpenAI-compatible',
+  models: [], // Discovered from the server's /v1/models
+  defaultModel: '',
+  requiresApiKey: false,
+  baseUrl: 'http://localhost:11434/v1',
+  // Small local models often run with a 4k-8k context window
+  contextBudget: 3000,
+  modelContextBudgets: {}
+};
+
+export const PROVIDERS = {
+  [OPENAI.id]: OPENAI,
+  [GEMINI.id]: GEMINI,
+  [ANTHROPIC.id]: ANTHROPIC,
+  [LOCAL.id]: LOCAL
+};
+
+export const DEFAULT_PROVIDER = OPENAI.id;
+
+/**
+ * Look up a provider adapter, falling back to the default
+ * @param {string} id - 'openai' | 'gemini' | 'anthropic' | 'local'
+ * @returns {Object} Provider adapter
+ */
+export function getProvider(id) {
+  return PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER];
+}
+
+/**
+ * Prompt token budget for a model: user override, then the model's default, then the provider's
+ * @param {string} providerId
+ * @param {string|null} model
+ * @param {Object} [overrides] - { [model]: tokens } from the LLM settings
+ * @returns {number}
+ */
+export function getContextBudget(providerId, model, overrides = {}) {
+  const provider = getProvider(providerId);
+  const id = model || provider.defaultModel;
+  return overrides[id] || provider.modelContextBudgets[id] || provider.contextBudget;
+}
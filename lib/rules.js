@@ -3,33 +3,142 @@
  * Deterministic rules for supplement analysis (no LLM)
  */
 
-const STIMULANTS = {
-  direct: ['caffeine', 'caféine', 'synephrine', 'yohimbine', 'anhydrous caffeine'],
-  botanical: ['guarana', 'green tea extract', 'extrait de thé vert', 'yerba mate', 'kola nut']
+import { tokenizeIngredients, flattenIngredientNames } from './ingredients.js';
+import { classifyAdditives, checkAdditivePreferences } from './additives.js';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Stimulant dictionary - French + English terms, matched on whole words
+// direct: the compound itself; botanical: plant sources (caffeine estimated only when the extract strength is stated)
+// unauthorised: not allowed as a food ingredient in the EU, so no reference amount applies
+const STIMULANTS = [
+  { key: 'caffeine', type: 'direct', terms: ['caffeine', 'caféine', 'anhydrous caffeine', 'caféine anhydre',
+    'caffeine citrate', 'citrate de caféine', 'dicaffeine malate', 'malate de dicaféine', 'purcaf'] },
+  { key: 'theacrine', type: 'direct', terms: ['theacrine', 'théacrine', 'teacrine'] },
+  { key: 'methylliberine', type: 'direct', terms: ['methylliberine', 'méthylliberine', 'dynamine'] },
+  { key: 'theobromine', type: 'direct', terms: ['theobromine', 'théobromine'] },
+  { key: 'synephrine', type: 'direct', terms: ['synephrine', 'synéphrine', 'p-synephrine'] },
+  { key: 'octopamine', type: 'direct', terms: ['octopamine'] },
+  { key: 'yohimbine', type: 'direct', terms: ['yohimbine', 'rauwolscine', 'alpha-yohimbine'] },
+  { key: 'hordenine', type: 'direct', terms: ['hordenine', 'hordénine'] },
+  { key: 'higenamine', type: 'direct', terms: ['higenamine', 'higénamine'] },
+  { key: 'n-methyltyramine', type: 'direct', terms: ['n-methyltyramine', 'n-méthyltyramine'] },
+  { key: 'phenylethylamine', type: 'direct', terms: ['phenylethylamine', 'phényléthylamine', 'beta-phenylethylamine'] },
+  { key: 'dmha', type: 'direct', unauthorised: true, terms: ['dmha', '2-aminoisoheptane', '2-amino-6-methylheptane', 'octodrine'] },
+  { key: 'dmaa', type: 'direct', unauthorised: true, terms: ['dmaa', '1,3-dimethylamylamine', '1,3-dmaa', 'methylhexanamine', 'geranamine'] },
+  { key: 'dmba', type: 'direct', unauthorised: true, terms: ['dmba', '1,3-dimethylbutylamine', 'amp citrate'] },
+  { key: 'eria jarensis', type: 'direct', unauthorised: true, terms: ['eria jarensis', 'n-phenethyldimethylamine', 'n,n-dimethylphenethylamine'] },
+  { key: 'guarana', type: 'botanical', terms: ['guarana', 'guaraná', 'paullinia cupana'] },
+  { key: 'green tea', type: 'botanical', terms: ['green tea', 'green tea extract', 'thé vert', 'extrait de thé vert', 'camellia sinensis'] },
+  { key: 'black tea', type: 'botanical', terms: ['black tea', 'thé noir'] },
+  { key: 'yerba mate', type: 'botanical', terms: ['yerba mate', 'maté', 'ilex paraguariensis'] },
+  { key: 'kola nut', type: 'botanical', terms: ['kola nut', 'kola', 'noix de kola', 'cola nut', 'cola acuminata', 'cola nitida'] },
+  { key: 'coffee', type: 'botanical', terms: ['green coffee', 'café vert', 'coffee bean', 'grain de café', 'coffee extract',
+    'extrait de café', 'instant coffee', 'café soluble', 'coffea arabica', 'coffea robusta'] },
+  { key: 'bitter orange', type: 'botanical', terms: ['bitter orange', 'orange amère', 'citrus aurantium'] },
+  { key: 'yohimbe', type: 'botanical', terms: ['yohimbe', 'pausinystalia yohimbe'] }
+].map(entry => ({
+  ...entry,
+  // Letters, digits and hyphens on either side mean another word ("tomate" is not "maté")
+  pattern: new RegExp(`(?<![\\p{L}\\p{N}-])(${entry.terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}-])`, 'iu')
+}));
+
+// General caffeine references for healthy adults (EFSA 2015 scientific opinion), shared with lib/stack.js
+export const CAFFEINE_SINGLE_DOSE_MG = 200;
+export const CAFFEINE_DAILY_MG = 400;
+export const CAFFEINE_DAILY_MG_PER_KG_UNDER_18 = 3;
+
+// Stated extract strength ("22% caffeine", "titré à 22% en caféine", "caffeine: 22%")
+const CAFFEINE_STRENGTH_PATTERN = /(\d+(?:[.,]\d+)?)\s*%\s*(?:de\s+|d'|en\s+|of\s+)?(?:natural\s+)?(?:caf[ée]ine|caffeine)|(?:caf[ée]ine|caffeine)\s*:?\s*(\d+(?:[.,]\d+)?)\s*%/i;
+// Amount written on the entry itself ("Guarana extract 500 mg")
+const ENTRY_AMOUNT_PATTERN = /(\d+(?:[.,]\d+)?)\s*(mg|g)(?![\p{L}])/iu;
+
+// The 14 EU regulated allergens (Regulation 1169/2011, Annex II) - French + English terms
+const EU_ALLERGENS = {
+  milk: ['lait', 'lactosérum', 'lactose', 'caséine', 'caséinate', 'babeurre', 'beurre', 'crème', 'fromage', 'yaourt',
+    'milk', 'whey', 'casein', 'caseinate', 'lactoglobulin', 'butter', 'cream', 'cheese', 'yogurt', 'yoghurt', 'ghee'],
+  eggs: ['œuf', 'oeuf', 'ovalbumine', 'albumine d\'œuf', 'lysozyme', 'egg', 'ovalbumin', 'albumen'],
+  soy: ['soja', 'soy', 'soya', 'tofu', 'edamame'],
+  nuts: ['amande', 'noisette', 'noix', 'cajou', 'pistache', 'pécan', 'macadamia', 'noix du brésil',
+    'almond', 'hazelnut', 'walnut', 'cashew', 'pecan', 'pistachio', 'brazil nut', 'tree nut'],
+  peanuts: ['arachide', 'cacahuète', 'cacahuete', 'peanut', 'groundnut'],
+  sesame: ['sésame', 'sesame', 'tahini', 'tahin'],
+  gluten: ['gluten', 'blé', 'froment', 'épeautre', 'seigle', 'orge', 'avoine', 'kamut', 'semoule',
+    'wheat', 'spelt', 'rye', 'barley', 'oat', 'malt', 'semolina', 'triticale'],
+  fish: ['poisson', 'anchois', 'thon', 'saumon', 'cabillaud', 'sardine', 'collagène marin',
+    'fish', 'anchovy', 'tuna', 'salmon', 'cod', 'marine collagen'],
+  crustaceans: ['crustacé', 'crevette', 'crabe', 'homard', 'langoustine', 'chitosane',
+    'crustacean', 'shrimp', 'prawn', 'crab', 'lobster', 'chitosan'],
+  molluscs: ['mollusque', 'moule', 'huître', 'calamar', 'pieuvre', 'escargot', 'palourde',
+    'mollusc', 'mollusk', 'mussel', 'oyster', 'squid', 'octopus', 'snail', 'clam', 'scallop'],
+  celery: ['céleri', 'celery', 'celeriac'],
+  mustard: ['moutarde', 'mustard'],
+  lupin: ['lupin', 'lupine'],
+  sulphites: ['sulfite', 'sulphite', 'métabisulfite', 'dioxyde de soufre', 'metabisulphite', 'sulfur dioxide',
+    'sulphur dioxide', 'e220', 'e221', 'e222', 'e223', 'e224', 'e225', 'e226', 'e227', 'e228']
+};
+
+// Phrases that contain an allergen term but are not that allergen (removed before matching)
+// Only phrases with no allergen of their own belong here: "peanut butter" must still match peanuts
+const ALLERGEN_EXCLUSIONS = [
+  'lait de coco', 'coconut milk', 'crème de coco', 'coconut cream',
+  'noix de coco', 'coconut', 'noix de muscade',
+  'nutmeg', 'sans gluten', 'gluten-free', 'gluten free', 'sans lactose', 'lactose-free', 'lactose free'
+];
+
+// Plant "butters" are not milk: butter after, or beurre before, a plant name
+const PLANT_BUTTER_SOURCES = 'cacahu[eè]tes?|arachides?|peanuts?|cacao|cocoa|karité|shea|amandes?|almonds?|noisettes?|hazelnuts?|cajou|cashews?|noix|nuts?|sésame|sesame|graines?|seeds?';
+const TERM_GUARDS = {
+  butter: { before: `(?<!(?:${PLANT_BUTTER_SOURCES})[\\s-])` },
+  beurre: { after: `(?!\\s+(?:de\\s+|d'\\s*)(?:${PLANT_BUTTER_SOURCES}))` }
 };
 
+// Carriers/excipients found in most products - not meaningful as cart overlaps
+const COMMON_EXCIPIENTS = [
+  'arôme', 'arômes', 'arôme naturel', 'arômes naturels', 'flavouring', 'flavourings', 'natural flavouring',
+  'sel', 'salt', 'eau', 'water', 'émulsifiant', 'emulsifier', 'lécithine de soja', 'soy lecithin', 'soya lecithin',
+  'lécithine de tournesol', 'sunflower lecithin', 'édulcorant', 'édulcorants', 'sweetener', 'sweeteners',
+  'anti-agglomérant', 'anti-caking agent', 'épaississant', 'thickener', 'colorant', 'colour', 'acidifiant', 'acidity regulator',
+  'gomme xanthane', 'xanthan gum', 'gélule', 'capsule', 'gélatine', 'gelatin'
+];
+
+// Stated servings per day in usage text ("2 portions par jour", "1 scoop daily", "3 fois par jour")
+const DAILY_SERVINGS_PATTERN = /(\d+)\s*(?:à\s*\d+\s*)?(portions?|servings?|doses?|scoops?|gélules?|capsules?|comprimés?|tablets?|fois|times|x)\s*(par jour|per day|a day|daily|quotidiennement)/i;
+
+// Precautionary labelling ("may contain traces of...")
+const TRACES_PATTERN = /(peut contenir|may contain|traces? (de|d'|of)|fabriqué dans un atelier|produced in a factory|made in a factory)/i;
+// Declared allergen statements ("Contient : lait", "Allergens: soy")
+const DECLARED_PATTERN = /^(contient|contains|allergènes?|allergens?)\s*:/i;
+
 /**
  * Robust ingredient normalization
  * Removes parentheticals, lowercases, trims, and deduplicates.
- * @param {string[]} ingredients
+ * Accepts the raw ingredients HTML string, a list of strings, or tokenizer output
+ * (sub-ingredients are flattened in).
+ * @param {string|string[]|Object[]} ingredients
  * @returns {string[]}
  */
 export function normalizeIngredients(ingredients) {
+  if (typeof ingredients === 'string') {
+    ingredients = tokenizeIngredients(ingredients).ingredients;
+  }
   if (!ingredients || !Array.isArray(ingredients)) return [];
 
-  const processed = ingredients.map(ing => {
+  const processed = flattenIngredientNames(ingredients).map(ing => {
     // 1. Lowercase
     let clean = ing.toLowerCase();
 
     // 2. Remove parenthetical content (recursive or simple)
     // Regex removes (...) and [...] content
-    clean = clean.replace(/\\([^)]*\\)/g, '').replace(/\\[[^\]]*\\]/g, '');
+    clean = clean.replace(/\([^)]*\)/g, '').replace(/\[[^\]]*\]/g, '');
 
-    // 3. Remove non-alphanumeric noise at start/end but keep internal hyphens/spaces
-    clean = clean.replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '');
+    // 3. Remove non-alphanumeric noise at start/end but keep internal hyphens/spaces (and accents)
+    clean = clean.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
 
     // 4. Collapse whitespace
-    clean = clean.replace(/\\s+/g, ' ').trim();
+    clean = clean.replace(/\s+/g, ' ').trim();
 
     return clean;
   }).filter(Boolean); // Remove empty strings
@@ -38,48 +147,321 @@ export function normalizeIngredients(ingredients) {
   return [...new Set(processed)];
 }
 
+/**
+ * Dictionary entry for a piece of text (ingredient name, nutrition row)
+ * @returns {Object|null}
+ */
+function findStimulant(text) {
+  return STIMULANTS.find(entry => entry.pattern.test(text)) || null;
+}
+
 /**
  * Check if product contains stimulants with typing
- * @param {string[]} ingredients - List of ingredients (normalized preferred)
+ * Structured tokens are preferred: a matched entry's sub-ingredients are skipped, so
+ * "Guarana extract (22% caffeine)" is a botanical source, not direct caffeine.
+ * @param {Array<string|Object>} ingredients - Ingredient tokens (tokenizeIngredients) or names (normalized preferred)
  * @returns {{ present: boolean, found: string[], type: 'direct'|'botanical'|'none' }}
+ *   found holds dictionary keys ("caffeine", "guarana", "dmha"...)
  */
 export function checkStimulants(ingredients) {
   if (!ingredients || !Array.isArray(ingredients)) {
     return { present: false, found: [], type: 'none' };
   }
 
-  // Ensure we check against normalized input for better matching
-  // But caller should usually pass normalized ingredients
-  const normalizedInput = ingredients.map(i => i.toLowerCase());
+  const names = [];
+  const visit = ingredient => {
+    if (typeof ingredient === 'string') {
+      names.push(ingredient);
+    } else if (findStimulant(ingredient?.name || '')) {
+      names.push(ingredient.name);
+    } else {
+      (ingredient?.children || []).forEach(visit);
+    }
+  };
+  ingredients.forEach(visit);
+
+  const matched = STIMULANTS.filter(entry => names.some(name => entry.pattern.test(name)));
+  if (matched.length === 0) {
+    return { present: false, found: [], type: 'none' };
+  }
+
+  const found = matched.map(entry => entry.key);
+  return { present: true, found, type: matched.some(entry => entry.type === 'direct') ? 'direct' : 'botanical' };
+}
+
+function parseNumber(text) {
+  return parseFloat(text.replace(',', '.'));
+}
+
+/**
+ * Structured ingredient tokens from raw or preprocessed product data
+ */
+function ingredientTokens(productData) {
+  if (Array.isArray(productData?.ingredients_list)) return productData.ingredients_list;
+  const raw = typeof productData?.ingredients_raw === 'string' ? productData.ingredients_raw : productData?.ingredients;
+  return typeof raw === 'string' ? tokenizeIngredients(raw).ingredients : [];
+}
+
+/**
+ * Stimulant amounts stated in the ingredient list
+ * A matched entry's sub-ingredients are not searched again ("Guarana extract (22% caffeine)"
+ * is guarana at 22% strength, not a separate caffeine ingredient).
+ * @returns {Array<{key: string, type: string, mg: number|null, source: string|null, caffeine_percent: number|null}>}
+ */
+function stimulantsFromIngredients(tokens, servingSizeG) {
+  const found = [];
+  const visit = token => {
+    const entry = findStimulant(token.name);
+    if (!entry) {
+      (token.children || []).forEach(visit);
+      return;
+    }
+
+    let mg = null;
+    let source = null;
+    const ownAmount = token.name.match(ENTRY_AMOUNT_PATTERN);
+    if (token.amount_mg !== null && token.amount_mg !== undefined) {
+      mg = token.amount_mg;
+      source = 'ingredients';
+    } else if (ownAmount) {
+      mg = parseNumber(ownAmount[1]) * (ownAmount[2].toLowerCase() === 'g' ? 1000 : 1);
+      source = 'ingredients';
+    } else if (token.percent !== null && token.percent !== undefined && servingSizeG) {
+      mg = token.percent / 100 * servingSizeG * 1000;
+      source = 'percent';
+    }
 
-  const foundDirect = [];
-  const foundBotanical = [];
+    const strength = (token.raw || '').match(CAFFEINE_STRENGTH_PATTERN);
+    found.push({
+      key: entry.key,
+      type: entry.type,
+      mg: mg !== null ? roundTo(mg) : null,
+      source,
+      caffeine_percent: entry.type === 'botanical' && strength ? parseNumber(strength[1] || strength[2]) : null
+    });
+  };
+  tokens.forEach(visit);
+  return found;
+}
 
-  // Check Direct
-  STIMULANTS.direct.forEach(stim => {
-    if (normalizedInput.some(ing => ing.includes(stim))) {
-      foundDirect.push(stim);
+/**
+ * Quantify stimulants per serving and per day
+ * Amounts come from the nutrition panel first, then from the ingredient list (stated mg,
+ * or percent of the serving size). Caffeine from botanicals is estimated only when the label
+ * states the extract strength. Totals are compared with general reference amounts for
+ * healthy adults; notes describe the label, they are not advice.
+ * @param {Object} productData - Raw or preprocessed product data
+ * @param {Object} userContext - Used for the under-18 reference (age, weight)
+ * @returns {{
+ *   amounts: Array<{key: string, type: string, mg_per_serving: number|null, source: string|null, caffeine_mg: number|null}>,
+ *   caffeine_mg_per_serving: number|null,
+ *   caffeine_mg_per_day: number|null,
+ *   servings_per_day: number,
+ *   servings_stated: boolean,
+ *   above_reference: boolean,
+ *   notes: string[]
+ * }}
+ */
+export function quantifyStimulants(productData, userContext = {}) {
+  const nutrition = productData?.nutrition || {};
+  const micronutrients = nutrition.per_serving?.micronutrients || {};
+  const daily = estimateDailyServings(productData?.usage);
+
+  const amounts = new Map();
+  const add = (key, type, values) => {
+    const current = amounts.get(key) || { key, type, mg_per_serving: null, source: null, caffeine_mg: null, caffeine_percent: null };
+    if (current.mg_per_serving === null && values.mg !== null) {
+      current.mg_per_serving = values.mg;
+      current.source = values.source;
     }
+    if (current.caffeine_percent === null) current.caffeine_percent = values.caffeine_percent ?? null;
+    amounts.set(key, current);
+  };
+
+  // 1. Nutrition panel (per serving rows such as "Caféine 200 mg")
+  Object.entries(micronutrients).forEach(([name, mg]) => {
+    const entry = findStimulant(name);
+    if (entry) add(entry.key, entry.type, { mg: roundTo(mg), source: 'nutrition' });
   });
 
-  // Check Botanical
-  STIMULANTS.botanical.forEach(stim => {
-    if (normalizedInput.some(ing => ing.includes(stim))) {
-      foundBotanical.push(stim);
+  // 2. Ingredient list
+  stimulantsFromIngredients(ingredientTokens(productData), nutrition.serving_size_g)
+    .forEach(item => add(item.key, item.type, item));
+
+  // Panel caffeine is the product total; otherwise add pure caffeine and estimated botanical caffeine
+  const caffeine = amounts.get('caffeine');
+  const panelTotal = caffeine?.source === 'nutrition';
+
+  const notes = [];
+  let caffeineFromBotanicals = 0;
+  amounts.forEach(item => {
+    if (item.type !== 'botanical') return;
+    if (item.caffeine_percent !== null && item.mg_per_serving !== null) {
+      item.caffeine_mg = roundTo(item.mg_per_serving * item.caffeine_percent / 100);
+      caffeineFromBotanicals += item.caffeine_mg;
+    } else if (!panelTotal) {
+      notes.push(`${item.key} adds caffeine, but the label does not state ${item.mg_per_serving === null ? 'its amount' : 'the extract strength'}, so it is not counted.`);
     }
   });
 
-  const allFound = [...foundDirect, ...foundBotanical];
+  let caffeinePerServing = null;
+  if (panelTotal) {
+    caffeinePerServing = caffeine.mg_per_serving;
+  } else if ((caffeine && caffeine.mg_per_serving !== null) || caffeineFromBotanicals > 0) {
+    caffeinePerServing = roundTo((caffeine?.mg_per_serving || 0) + caffeineFromBotanicals);
+  } else if (caffeine) {
+    notes.push('Caffeine is listed without an amount.');
+  }
+  const caffeinePerDay = caffeinePerServing !== null ? roundTo(caffeinePerServing * daily.servings) : null;
+  let aboveReference = false;
+
+  // 3. Reference amounts (general, healthy adults)
+  if (caffeinePerServing !== null) {
+    const { mg: dailyReference, label: referenceLabel } = caffeineDailyReference(userContext);
+    const servingsText = `${daily.servings} serving${daily.servings > 1 ? 's' : ''}/day${daily.stated ? '' : ' (assumed)'}`;
 
-  if (allFound.length === 0) {
-    return { present: false, found: [], type: 'none' };
+    aboveReference = caffeinePerServing > CAFFEINE_SINGLE_DOSE_MG || caffeinePerDay > dailyReference;
+    if (caffeinePerServing > CAFFEINE_SINGLE_DOSE_MG) {
+      notes.push(`One serving provides ${caffeinePerServing} mg caffeine, above the ${CAFFEINE_SINGLE_DOSE_MG} mg single-intake reference for healthy adults (EFSA).`);
+    }
+    notes.push(caffeinePerDay > dailyReference
+      ? `At ${servingsText}: ${caffeinePerDay} mg caffeine, above the ${referenceLabel}. Coffee, tea and other products add to this.`
+      : `At ${servingsText}: ${caffeinePerDay} mg caffeine, within the ${referenceLabel}. Coffee, tea and other products add to this.`);
   }
 
-  if (foundDirect.length > 0) {
-    return { present: true, found: [...new Set(allFound)], type: 'direct' };
+  amounts.forEach(item => {
+    const entry = STIMULANTS.find(stim => stim.key === item.key);
+    if (entry.unauthorised) {
+      notes.push(`${item.key} is not authorised as a food ingredient in the EU; there is no reference amount to compare it with.`);
+    } else if (item.key !== 'caffeine' && item.type === 'direct') {
+      notes.push(item.mg_per_serving !== null
+        ? `${item.key}: ${item.mg_per_serving} mg per serving (no general reference amount exists).`
+        : `${item.key} is listed without an amount.`);
+    }
+  });
+
+  return {
+    amounts: [...amounts.values()].map(({ caffeine_percent, ...item }) => item),
+    caffeine_mg_per_serving: caffeinePerServing,
+    caffeine_mg_per_day: caffeinePerDay,
+    servings_per_day: daily.servings,
+    servings_stated: daily.stated,
+    above_reference: aboveReference,
+    notes
+  };
+}
+
+function stripHtml(html) {
+  if (!html || typeof html !== 'string') return '';
+  return html
+    .replace(/<br\s*\/?>|<\/p>|<\/li>|<\/div>/gi, '. ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#39;|&rsquo;/g, '\'')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Check whether text contains a term as a whole word (plural s/x allowed)
+ */
+function containsTerm(text, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const guard = TERM_GUARDS[term] || {};
+  return new RegExp(`(^|[^\\p{L}])${guard.before || ''}${escaped}[sx]?(?=$|[^\\p{L}])${guard.after || ''}`, 'u').test(text);
+}
+
+/**
+ * Map free text to EU allergen categories
+ * @param {string} text
+ * @returns {Array<{category: string, matches: string[]}>}
+ */
+function matchAllergenCategories(text) {
+  let clean = text.toLowerCase().replace(/\be[\s-](\d{3})\b/g, 'e$1');
+  ALLERGEN_EXCLUSIONS.forEach(phrase => {
+    clean = clean.split(phrase).join(' ');
+  });
+
+  const results = [];
+  Object.entries(EU_ALLERGENS).forEach(([category, terms]) => {
+    const matches = terms.filter(term => containsTerm(clean, term));
+    if (matches.length > 0) results.push({ category, matches });
+  });
+  return results;
+}
+
+/**
+ * Detect the 14 EU regulated allergens in a product
+ * "contains" comes from the ingredient list, bolded allergens and declared statements;
+ * "may_contain" comes from precautionary statements in ingredients or product details.
+ * @param {Object} productData - Raw or preprocessed product data
+ * @returns {{
+ *   contains: Array<{category: string, matches: string[]}>,
+ *   may_contain: Array<{category: string, matches: string[]}>,
+ *   categories: string[]
+ * }}
+ */
+export function detectAllergens(productData) {
+  const names = normalizeIngredients(productData?.ingredients_list || productData?.ingredients);
+  const bolded = productData?.allergens || [];
+  const rawIngredients = productData?.ingredients_raw ?? productData?.ingredients;
+
+  const sentences = [stripHtml(typeof rawIngredients === 'string' ? rawIngredients : ''), stripHtml(productData?.product_details)]
+    .join('. ')
+    .split(/[.;]\s+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+
+  const traceText = sentences.filter(sentence => TRACES_PATTERN.test(sentence)).join(' | ');
+  const declaredText = sentences.filter(sentence => DECLARED_PATTERN.test(sentence)).join(' | ');
+
+  const contains = matchAllergenCategories([...names, ...bolded, declaredText].join(' | '));
+  const containsCategories = contains.map(c => c.category);
+  const mayContain = matchAllergenCategories(traceText)
+    .filter(c => !containsCategories.includes(c.category));
+
+  return {
+    contains,
+    may_contain: mayContain,
+    categories: [...containsCategories, ...mayContain.map(c => c.category)]
+  };
+}
+
+/**
+ * Match allergens against the user's avoidances
+ * SAFE LANGUAGE ENFORCED: reports what the label says, no medical/safety claims.
+ * @param {string[]} avoidances - e.g. ['nuts', 'soy', 'stimulants']
+ * @param {Object} allergenReport - Output of detectAllergens
+ * @returns {{ warnings: Array<{allergen: string, level: 'contains'|'may_contain', reason: string}> }}
+ */
+export function checkAllergenConflicts(avoidances, allergenReport) {
+  if (!avoidances || !Array.isArray(avoidances) || !allergenReport) {
+    return { warnings: [] };
   }
 
-  return { present: true, found: [...new Set(allFound)], type: 'botanical' };
+  const warnings = [];
+
+  allergenReport.contains.forEach(({ category, matches }) => {
+    if (avoidances.includes(category)) {
+      warnings.push({
+        allergen: category,
+        level: 'contains',
+        reason: `Label lists ${matches.join(', ')} (${category}), which you marked to avoid.`
+      });
+    }
+  });
+
+  allergenReport.may_contain.forEach(({ category }) => {
+    if (avoidances.includes(category)) {
+      warnings.push({
+        allergen: category,
+        level: 'may_contain',
+        reason: `Label states it may contain traces of ${category}, which you marked to avoid.`
+      });
+    }
+  });
+
+  return { warnings };
 }
 
 /**
@@ -97,8 +479,8 @@ export function detectRedundancies(cartItems) {
   cartItems.forEach(item => {
     if (!item.ingredients) return;
 
-    // Use normalized ingredients for comparison
-    const norm = normalizeIngredients(item.ingredients);
+    // Use normalized ingredients for comparison (structured list when enriched)
+    const norm = normalizeIngredients(item.ingredients_list || item.ingredients);
 
     norm.forEach(ingredient => {
       if (!ingredientMap.has(ingredient)) {
@@ -131,7 +513,11 @@ export function checkDietaryMismatches(userPreferences, productData) {
   }
 
   const mismatches = [];
-  const ingredientsStr = (productData?.ingredients || []).join(' ').toLowerCase();
+  const ingredients = productData?.ingredients || [];
+  const ingredientsStr = [
+    ...(Array.isArray(ingredients) ? ingredients : [String(ingredients)]),
+    ...(productData?.allergens || [])
+  ].join(' ').toLowerCase();
 
   // Helper patterns
   const hasDairy = ingredientsStr.includes('lait') || ingredientsStr.includes('lactosérum') || ingredientsStr.includes('whey') || ingredientsStr.includes('milk') || ingredientsStr.includes('casein');
@@ -192,38 +578,43 @@ export function calculateAnalysisConfidence(productData, userContext) {
 
   const hasIngredients = productData?.ingredients?.length > 0;
 
-  // Check new schema fields (v2) or fallback to v1
-  const hasUserGoals = (userContext?.primary_goal?.length > 0) || (userContext?.goals?.length > 0);
-
-  // Check preferences (Avoidances, Dietary Style, or old preferences/dietary)
-  const hasUserPrefs = (userContext?.avoidances?.length > 0) ||
-    (userContext?.dietary_style?.length > 0) ||
-    (userContext?.preferences?.length > 0) ||
-    (userContext?.dietary?.length > 0);
+  // Older profile shapes (goals / preferences / dietary) are migrated on read, see lib/profiles.js
+  const hasUserGoals = userContext?.primary_goal?.length > 0;
+  const hasUserPrefs = (userContext?.avoidances?.length > 0) || (userContext?.dietary_style?.length > 0);
 
   const rulesApplicable = [hasIngredients, hasUserGoals, hasUserPrefs].filter(Boolean).length;
   const ruleCoverage = rulesApplicable / 3;
 
-  const confidence = Math.round((completeness * 0.7 + ruleCoverage * 0.3) * 100) / 100;
+  // Data read by the generic structured-data extractor (unknown shop) is less reliable
+  const extractionFactor = productData?.extraction_confidence ?? 1;
+
+  const confidence = Math.round((completeness * 0.7 + ruleCoverage * 0.3) * extractionFactor * 100) / 100;
+  const genericNote = extractionFactor < 1 ? ' Read from generic page metadata (unsupported shop), so confidence is reduced.' : '';
 
   return {
     confidence, // 0-1
-    explanation: `Based on ${Math.round(completeness * 100)}% of product data availability.`
+    explanation: `Based on ${Math.round(completeness * 100)}% of product data availability.${genericNote}`
   };
 }
 
 /**
  * Preprocess product data for LLM
- * NOW USES ROBUST NORMALIZATION
+ * NOW USES ROBUST NORMALIZATION (tokenizes the HTML string when no structured list exists)
  */
 export function preprocessProductData(data) {
   if (!data.ingredients || data.ingredients.length === 0) return data;
 
-  const uniqueIngredients = normalizeIngredients(data.ingredients);
+  const tokenized = !data.ingredients_list && typeof data.ingredients === 'string'
+    ? tokenizeIngredients(data.ingredients)
+    : null;
+  const ingredientsList = data.ingredients_list || tokenized?.ingredients || null;
+  const uniqueIngredients = normalizeIngredients(ingredientsList || data.ingredients);
 
   return {
     ...data,
     ingredients_raw: data.ingredients, // Keep raw for display/debug if needed
+    ingredients_list: ingredientsList,
+    allergens: data.allergens || tokenized?.allergens || [],
     ingredients: uniqueIngredients     // Normalized for Rules & LLM
   };
 }
@@ -232,24 +623,183 @@ export function preprocessProductData(data) {
  * Generate a comprehensive rule summary for the LLM
  * Acts as the 'Ground Truth' layer.
  */
-export function generateRuleSummary(productData, userContext) {
+export function generateRuleSummary(productData, userContext = {}) {
   // 1. Pre-calc
-  const processed = preprocessProductData(productData);
+  const processed = preprocessProductData(productData || {});
+
+  const dietaryPrefs = userContext?.dietary_style || [];
 
   // 2. Run Rules
-  const stimCheck = checkStimulants(processed.ingredients);
-  const dietaryCheck = checkDietaryMismatches(userContext.dietary || [], processed);
+  const stimCheck = checkStimulants(processed.ingredients_list?.length ? processed.ingredients_list : processed.ingredients);
+  const stimAmounts = quantifyStimulants(processed, userContext);
+  const avoidsStimulants = (userContext?.avoidances || []).includes('stimulants');
+  const dietaryCheck = checkDietaryMismatches(dietaryPrefs, processed);
+  const allergenReport = detectAllergens(processed);
+  const allergenCheck = checkAllergenConflicts(userContext?.avoidances || [], allergenReport);
+  const additiveReport = classifyAdditives(processed);
+  const additiveCheck = checkAdditivePreferences(additiveReport, userContext);
   const dataStats = detectMissingData(processed);
   const confidence = calculateAnalysisConfidence(processed, userContext);
 
   // 3. Construct Summary
   return {
-    stimulants: stimCheck,
+    stimulants: { ...stimCheck, ...stimAmounts },
+    stimulant_warning: stimCheck.present && avoidsStimulants
+      ? `Contains stimulants (${stimCheck.found.join(', ')}), which you marked to avoid.`
+      : null,
     dietary_mismatches: dietaryCheck.mismatches.map(m => m.preference), // Just keys for brief Prompt injection
     dietary_reasons: dietaryCheck.mismatches,
+    allergens: {
+      contains: allergenReport.contains.map(a => a.category),
+      may_contain: allergenReport.may_contain.map(a => a.category)
+    },
+    allergen_warnings: allergenCheck.warnings,
+    additives: { ...additiveReport.by_class, e_numbers: additiveReport.e_numbers },
+    additive_warnings: additiveCheck.warnings,
     data_completeness: dataStats.completeness,
     missing_fields: dataStats.missing_data,
     confidence_score: confidence.confidence,
-    ingredient_count: processed.ingredients.length
+    confidence_explanation: confidence.explanation,
+    ingredient_count: processed.ingredients?.length || 0
+  };
+}
+
+/**
+ * Estimate servings per day from the suggested usage text
+ * Defaults to 1 when the label does not state a daily amount.
+ * @param {string|null} usage - Usage accordion HTML/text
+ * @returns {{ servings: number, stated: boolean }}
+ */
+export function estimateDailyServings(usage) {
+  const match = stripHtml(usage).match(DAILY_SERVINGS_PATTERN);
+  if (!match) return { servings: 1, stated: false };
+  return { servings: parseInt(match[1], 10) || 1, stated: true };
+}
+
+/**
+ * General daily caffeine reference for a profile (EFSA)
+ * Under-18s with a known weight get 3 mg/kg; without a weight the adult reference is kept
+ * and the label says the under-18 one is lower.
+ * @param {Object} userContext - Reads age and weight_kg
+ * @returns {{ mg: number, label: string, under_18: boolean }}
+ */
+export function caffeineDailyReference(userContext = {}) {
+  const age = Number(userContext?.age) || null;
+  const weight = Number(userContext?.weight_kg) || null;
+  const under18 = age !== null && age < 18;
+
+  if (under18 && weight) {
+    const mg = roundTo(CAFFEINE_DAILY_MG_PER_KG_UNDER_18 * weight, 0);
+    return { mg, label: `${mg} mg/day general reference for under-18s at your weight (EFSA, ${CAFFEINE_DAILY_MG_PER_KG_UNDER_18} mg/kg)`, under_18: true };
+  }
+  return {
+    mg: CAFFEINE_DAILY_MG,
+    label: `${CAFFEINE_DAILY_MG} mg/day general reference for healthy adults (EFSA)${under18 ? '; the reference for under-18s is lower and depends on body weight' : ''}`,
+    under_18: under18
+  };
+}
+
+/**
+ * Caffeine per serving in mg, from the nutrition table, the ingredient list or botanical
+ * extracts with a stated strength (see quantifyStimulants)
+ * @param {Object} productData
+ * @returns {number|null}
+ */
+export function getCaffeinePerServingMg(productData) {
+  return quantifyStimulants(productData).caffeine_mg_per_serving;
+}
+
+/**
+ * Per-item fit verdict against the saved profile
+ * SAFE LANGUAGE ENFORCED: reports label facts against stated preferences.
+ * @returns {{ verdict: 'fits'|'caution'|'conflict', reasons: string[] }}
+ */
+function cartItemVerdict(item, summary) {
+  const conflicts = [];
+  const cautions = [];
+
+  summary.allergen_warnings.forEach(warning => {
+    (warning.level === 'contains' ? conflicts : cautions).push(warning.reason);
+  });
+  summary.dietary_reasons.forEach(mismatch => conflicts.push(mismatch.reason));
+
+  if (summary.stimulant_warning) conflicts.push(summary.stimulant_warning);
+  summary.additive_warnings.forEach(warning => {
+    (warning.level === 'avoidance' ? conflicts : cautions).push(warning.reason);
+  });
+
+  if (!item.enriched) {
+    const detail = item.enrich_error ? ` (${item.enrich_error})` : '';
+    cautions.push(`Product page could not be read${detail}; verdict based on cart data only.`);
+  } else if (summary.missing_fields.includes('ingredients')) {
+    cautions.push('No ingredient list found on the product page.');
+  }
+
+  if (conflicts.length > 0) return { verdict: 'conflict', reasons: [...conflicts, ...cautions] };
+  if (cautions.length > 0) return { verdict: 'caution', reasons: cautions };
+  return { verdict: 'fits', reasons: [] };
+}
+
+function roundTo(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Analyze an enriched cart against the user profile
+ * Overlapping ingredients, combined stimulant load, daily protein/caffeine if all
+ * products are taken as directed, and a per-item fit verdict.
+ * @param {Array<Object>} cartItems - Items returned by ENRICH_CART
+ * @param {Object} userContext - User preferences
+ * @returns {Object} Cart report
+ */
+export function analyzeCart(cartItems, userContext = {}) {
+  if (!cartItems || !Array.isArray(cartItems)) {
+    return { items: [], redundancies: [], stimulant_load: { products: [], found: [] }, daily_totals: { protein_g: null, caffeine_mg: null } };
+  }
+
+  const items = cartItems.map(item => {
+    const summary = generateRuleSummary(item, userContext);
+    const { verdict, reasons } = cartItemVerdict(item, summary);
+    const daily = estimateDailyServings(item.usage);
+    const proteinPerServing = item.nutrition?.per_serving?.protein_g ?? null;
+    const caffeinePerServing = getCaffeinePerServingMg(item);
+
+    return {
+      name: item.name,
+      url: item.url,
+      price: item.price,
+      quantity: item.quantity,
+      enriched: !!item.enriched,
+      verdict,
+      reasons,
+      stimulants: summary.stimulants,
+      daily_servings: daily.servings,
+      daily_servings_stated: daily.stated,
+      daily_protein_g: proteinPerServing !== null ? roundTo(proteinPerServing * daily.servings) : null,
+      daily_caffeine_mg: caffeinePerServing !== null ? roundTo(caffeinePerServing * daily.servings) : null
+    };
+  });
+
+  const redundancies = detectRedundancies(cartItems).redundancies
+    .filter(r => !COMMON_EXCIPIENTS.includes(r.ingredient));
+
+  const stimulantItems = items.filter(item => item.stimulants.present);
+  const sumOf = (key) => {
+    const values = items.map(item => item[key]).filter(value => value !== null);
+    return values.length > 0 ? roundTo(values.reduce((a, b) => a + b, 0)) : null;
+  };
+
+  return {
+    items,
+    redundancies,
+    stimulant_load: {
+      products: stimulantItems.map(item => item.name),
+      found: [...new Set(stimulantItems.flatMap(item => item.stimulants.found))]
+    },
+    daily_totals: {
+      protein_g: sumOf('daily_protein_g'),
+      caffeine_mg: sumOf('daily_caffeine_mg')
+    }
   };
 }
@@ -0,0 +1,64 @@
+/**
+ * WhatFits SSE Module
+ * Buffered Server-Sent Events parser for streamed chat completions
+ * (OpenAI, Gemini and Anthropic all stream text/event-stream)
+ */
+
+/**
+ * Create an incremental SSE parser
+ * Text can be fed in arbitrary chunks: lines split across network reads are
+ * buffered, multi-line `data:` fields are joined with "\n", comments and
+ * unknown fields are ignored. An event is dispatched on each blank line.
+ * @param {Function} onEvent - Called with { event, data, id } for each complete event
+ *   (`event` defaults to 'message'); exceptions thrown by it propagate to feed()/end()
+ * @returns {{feed: function(string): void, end: function(): void}}
+ */
+export function createSSEParser(onEvent) {
+  let buffer = '';
+  let eventType = '';
+  let dataLines = [];
+  let lastId = null;
+
+  function dispatch() {
+    if (dataLines.length > 0) {
+      onEvent({ event: eventType || 'message', data: dataLines.join('\n'), id: lastId });
+    }
+    eventType = '';
+    dataLines = [];
+  }
+
+  function processLine(line) {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return; // Comment / keep-alive
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'data') dataLines.push(value);
+    else if (field === 'event') eventType = value;
+    else if (field === 'id') lastId = value;
+    // 'retry' and unknown fields are ignored
+  }
+
+  return {
+    feed(text) {
+      buffer += text;
+      // Lines end with \n, \r\n or \r; a trailing \r may be the first half of \r\n
+      const lines = buffer.split(/\r\n|\n|\r(?!$)/);
+      buffer = lines.pop();
+      lines.forEach(processLine);
+    },
+
+    // Stream closed: flush the last line and any event not followed by a blank line
+    end() {
+      if (buffer) processLine(buffer.replace(/\r$/, ''));
+      buffer = '';
+      dispatch();
+    }
+  };
+}
@@ -0,0 +1,257 @@
+/**
+ * WhatFits Stack Module
+ * Daily intake from the products the user takes (servings per day), totalled
+ * against targets derived from the profile (no LLM)
+ */
+
+import { estimateDailyServings, getCaffeinePerServingMg, caffeineDailyReference } from './rules.js';
+
+// Counted separately (caffeine_mg), not as a micronutrient
+const CAFFEINE_PATTERN = /caf[ée]ine|caffeine/;
+
+// Protein reference ranges in g per kg of body weight (EFSA PRI for the default, ISSN position stands for training goals)
+const PROTEIN_G_PER_KG = {
+  muscle_gain: [1.6, 2.2],
+  strength: [1.6, 2.2],
+  fat_loss: [1.6, 2.4],
+  endurance: [1.2, 1.6],
+  longevity: [1.0, 1.2],
+  energy: [1.0, 1.2]
+};
+const DEFAULT_PROTEIN_G_PER_KG = [0.83, 1.2];
+
+// Physical activity level (multiplies the resting energy expenditure) per training frequency answer
+const ACTIVITY_FACTORS = {
+  '1-2x': 1.375,
+  '3x': 1.465,
+  '4-5x': 1.55,
+  '6+x': 1.725,
+  irregular: 1.375
+};
+const SEDENTARY_FACTOR = 1.2;
+
+// WHO: free sugars below 10% of energy intake, 5% for additional benefits
+const SUGARS_ENERGY_SHARE = 0.10;
+const SUGARS_ENERGY_SHARE_REDUCED = 0.05;
+const SUGARS_FALLBACK_MAX_G = 50;
+const KCAL_PER_G_SUGAR = 4;
+
+// EU nutrient reference values (Reg. 1169/2011, Annex XIII) and EFSA tolerable upper intakes, in mg
+const MICRONUTRIENT_REFERENCES = [
+  { key: 'vitamin_a', label: 'Vitamin A', pattern: /vitamine? a\b|rétinol|retinol/, nrv_mg: 0.8, max_mg: 3 },
+  { key: 'vitamin_b6', label: 'Vitamin B6', pattern: /b6\b/, nrv_mg: 1.4, max_mg: 12 },
+  { key: 'vitamin_b12', label: 'Vitamin B12', pattern: /b12\b/, nrv_mg: 0.0025, max_mg: null },
+  { key: 'vitamin_c', label: 'Vitamin C', pattern: /vitamine? c\b/, nrv_mg: 80, max_mg: null },
+  { key: 'vitamin_d', label: 'Vitamin D', pattern: /vitamine? d\d?\b/, nrv_mg: 0.005, max_mg: 0.1 },
+  { key: 'vitamin_e', label: 'Vitamin E', pattern: /vitamine? e\b/, nrv_mg: 12, max_mg: 300 },
+  { key: 'folate', label: 'Folate', pattern: /folate|folique|folic|vitamine? b9\b/, nrv_mg: 0.2, max_mg: 1 },
+  { key: 'calcium', label: 'Calcium', pattern: /calcium/, nrv_mg: 800, max_mg: 2500 },
+  { key: 'magnesium', label: 'Magnesium', pattern: /magn[ée]sium/, nrv_mg: 375, max_mg: 250 }, // UL: supplements only
+  { key: 'zinc', label: 'Zinc', pattern: /zinc/, nrv_mg: 10, max_mg: 25 },
+  { key: 'iron', label: 'Iron', pattern: /\bfer\b|\biron\b/, nrv_mg: 14, max_mg: null },
+  { key: 'iodine', label: 'Iodine', pattern: /\biode\b|iodine/, nrv_mg: 0.15, max_mg: 0.6 },
+  { key: 'selenium', label: 'Selenium', pattern: /s[ée]l[ée]nium/, nrv_mg: 0.055, max_mg: 0.255 },
+  { key: 'potassium', label: 'Potassium', pattern: /potassium/, nrv_mg: 2000, max_mg: null }
+];
+
+function round(value, decimals = 1) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Canonical micronutrient for a nutrition table label ("vitamine c" -> vitamin_c)
+ */
+function micronutrientReference(name) {
+  return MICRONUTRIENT_REFERENCES.find(reference => reference.pattern.test(name)) || null;
+}
+
+/**
+ * Stack entry for a product: what one serving brings, and how many servings a day
+ * Only the nutrients the stack totals are kept (not the whole product record).
+ * @param {Object} productData - extractProductData payload
+ * @param {number} [servingsPerDay] - Defaults to the suggested usage (1 when not stated)
+ * @returns {Object} { id, url, title, variant, servings_per_day, servings_stated, per_serving, added_at }
+ */
+export function createStackItem(productData, servingsPerDay) {
+  const suggested = estimateDailyServings(productData?.usage);
+  const nutrition = productData?.nutrition?.per_serving || null;
+  const micronutrients = Object.fromEntries(Object.entries(nutrition?.micronutrients || {})
+    .filter(([name]) => !CAFFEINE_PATTERN.test(name)));
+
+  return {
+    id: (productData?.url || '').split('?')[0],
+    url: productData?.url || null,
+    title: productData?.title || null,
+    variant: productData?.variant || null,
+    servings_per_day: servingsPerDay ?? suggested.servings,
+    servings_stated: servingsPerDay === undefined && suggested.stated,
+    per_serving: nutrition ? {
+      protein_g: nutrition.protein_g,
+      energy_kcal: nutrition.energy_kcal,
+      sugars_g: nutrition.sugars_g,
+      caffeine_mg: getCaffeinePerServingMg(productData),
+      micronutrients
+    } : null,
+    added_at: Date.now()
+  };
+}
+
+/**
+ * Daily targets from the profile
+ * Protein from weight and goals, energy from Mifflin-St Jeor and training
+ * frequency, sugar and caffeine limits from WHO / EFSA guidance.
+ * @param {Object} userContext
+ * @returns {Object} { protein_g: {min, max}, energy_kcal: {target}, sugars_g: {max}, caffeine_mg: {max}, basis: {...} }
+ */
+export function deriveDailyTargets(userContext = {}) {
+  const { age, weight_kg: weight, height_cm: height, gender } = userContext;
+  const goals = userContext.primary_goal || [];
+  const avoidances = userContext.avoidances || [];
+  const basis = {};
+
+  // Protein: widest goal range
+  let protein = null;
+  if (weight) {
+    const [minPerKg, maxPerKg] = goals
+      .map(goal => PROTEIN_G_PER_KG[goal])
+      .filter(Boolean)
+      .reduce((best, range) => (range[1] > best[1] ? range : best), DEFAULT_PROTEIN_G_PER_KG);
+    protein = { min: round(weight * minPerKg, 0), max: round(weight * maxPerKg, 0) };
+    basis.protein_g = `${minPerKg}-${maxPerKg} g/kg × ${weight} kg`;
+  }
+
+  // Energy: resting expenditure × activity, adjusted for a single cut or bulk goal
+  let energy = null;
+  if (weight && height && age) {
+    const base = 10 * weight + 6.25 * height - 5 * age;
+    const resting = gender === 'male' ? base + 5 : gender === 'female' ? base - 161 : base - 78;
+    const activity = ACTIVITY_FACTORS[userContext.training_frequency] || SEDENTARY_FACTOR;
+    const cutting = goals.includes('fat_loss');
+    const bulking = goals.includes('muscle_gain');
+    const adjustment = cutting && !bulking ? 0.85 : bulking && !cutting ? 1.1 : 1;
+    energy = { target: round(resting * activity * adjustment, 0) };
+    basis.energy_kcal = `Mifflin-St Jeor × ${activity} activity${adjustment !== 1 ? ` × ${adjustment} (${cutting ? 'fat loss' : 'muscle gain'})` : ''}`;
+  }
+
+  const sugarShare = avoidances.includes('added_sugars') ? SUGARS_ENERGY_SHARE_REDUCED : SUGARS_ENERGY_SHARE;
+  const sugars = {
+    max: energy
+      ? round(energy.target * sugarShare / KCAL_PER_G_SUGAR, 0)
+      : (sugarShare === SUGARS_ENERGY_SHARE ? SUGARS_FALLBACK_MAX_G : SUGARS_FALLBACK_MAX_G / 2)
+  };
+  basis.sugars_g = `WHO free sugars < ${sugarShare * 100}% of energy`;
+
+  // Same reference as the product card (rules.js)
+  const caffeineReference = caffeineDailyReference(userContext);
+  let caffeineMax = caffeineReference.mg;
+  basis.caffeine_mg = caffeineReference.label;
+  if (avoidances.includes('stimulants')) {
+    caffeineMax = 0;
+    basis.caffeine_mg = 'Stimulants marked to avoid';
+  }
+
+  return {
+    protein_g: protein,
+    energy_kcal: energy,
+    sugars_g: sugars,
+    caffeine_mg: { max: caffeineMax },
+    basis
+  };
+}
+
+/**
+ * Daily totals of a list of stack entries
+ * @param {Array<Object>} items - createStackItem() entries
+ * @returns {{protein_g: number|null, energy_kcal: number|null, sugars_g: number|null, caffeine_mg: number|null,
+ *   micronutrients: Object<string, {label: string, mg: number}>, incomplete: string[]}}
+ *   null totals when no entry states the nutrient; `incomplete` lists entries without nutrition data
+ */
+export function computeStackTotals(items) {
+  const totals = { protein_g: null, energy_kcal: null, sugars_g: null, caffeine_mg: null, micronutrients: {}, incomplete: [] };
+
+  items.forEach(item => {
+    const servings = item.servings_per_day || 0;
+    if (!item.per_serving) {
+      totals.incomplete.push(item.title || item.url);
+      return;
+    }
+    ['protein_g', 'energy_kcal', 'sugars_g', 'caffeine_mg'].forEach(key => {
+      const value = item.per_serving[key];
+      if (value === null || value === undefined) return;
+      totals[key] = round((totals[key] || 0) + value * servings, 2);
+    });
+    Object.entries(item.per_serving.micronutrients || {}).forEach(([name, mg]) => {
+      const reference = micronutrientReference(name);
+      const key = reference?.key || name;
+      const current = totals.micronutrients[key] || { label: reference?.label || name, mg: 0 };
+      current.mg = Number((current.mg + mg * servings).toPrecision(12)); // µg-scale values stay exact
+      totals.micronutrients[key] = current;
+    });
+  });
+  return totals;
+}
+
+/**
+ * Table rows: each total against its target
+ * `status` is 'over' past a limit (caffeine, sugar, upper intake), 'ok' otherwise; supplements
+ * rarely cover a whole day of protein or energy, so `percent` shows their share instead.
+ */
+function targetRows(totals, targets) {
+  const rows = [
+    { key: 'protein_g', label: 'Protein', unit: 'g', total: totals.protein_g, min: targets.protein_g?.min ?? null, max: targets.protein_g?.max ?? null, limit: false },
+    { key: 'energy_kcal', label: 'Energy', unit: 'kcal', total: totals.energy_kcal, min: null, max: targets.energy_kcal?.target ?? null, limit: false },
+    { key: 'sugars_g', label: 'Sugars', unit: 'g', total: totals.sugars_g, min: null, max: targets.sugars_g.max, limit: true },
+    { key: 'caffeine_mg', label: 'Caffeine', unit: 'mg', total: totals.caffeine_mg, min: null, max: targets.caffeine_mg.max, limit: true }
+  ];
+
+  Object.entries(totals.micronutrients).forEach(([key, { label, mg }]) => {
+    const reference = MICRONUTRIENT_REFERENCES.find(entry => entry.key === key);
+    rows.push({ key, label, unit: 'mg', total: mg, min: reference?.nrv_mg ?? null, max: reference?.max_mg ?? null, limit: Boolean(reference?.max_mg) });
+  });
+
+  return rows.map(({ limit, ...row }) => {
+    const reference = row.min ?? row.max;
+    return {
+      ...row,
+      percent: row.total !== null && reference ? round(row.total / reference * 100, 0) : null,
+      status: row.total === null ? null : (limit && row.total > row.max ? 'over' : 'ok')
+    };
+  });
+}
+
+/**
+ * Daily intake report: totals against profile targets, optionally with a product
+ * the user is considering ("does this push me over on caffeine?")
+ * @param {Array<Object>} items - createStackItem() entries
+ * @param {Object} userContext
+ * @param {Object|null} [candidateProduct] - Product record; ignored when already in the stack
+ * @returns {Object} { items, rows, targets, incomplete, candidate: { title, servings_per_day, rows }|null }
+ */
+export function buildStackReport(items, userContext = {}, candidateProduct = null) {
+  const targets = deriveDailyTargets(userContext);
+  const totals = computeStackTotals(items);
+
+  let candidate = null;
+  const candidateItem = candidateProduct ? createStackItem(candidateProduct) : null;
+  if (candidateItem?.per_serving && !items.some(item => item.id === candidateItem.id)) {
+    candidate = {
+      title: candidateItem.title,
+      servings_per_day: candidateItem.servings_per_day,
+      rows: targetRows(computeStackTotals([...items, candidateItem]), targets)
+    };
+  }
+
+  return {
+    items: items.map(item => ({
+      title: item.title,
+      servings_per_day: item.servings_per_day,
+      per_serving: item.per_serving
+    })),
+    rows: targetRows(totals, targets),
+    targets,
+    incomplete: totals.incomplete,
+    candidate
+  };
+}
@@ -1,45 +1,151 @@
 /**
  * WhatFits Storage Module
- * Chrome storage wrapper for user context and API key
+ * Chrome storage wrapper for user profiles and API keys (plaintext or encrypted vault)
  */
 
+import { DEFAULT_USER_CONTEXT, PROFILE_SCHEMA_VERSION, migrateUserContext } from './profiles.js';
+import { createVault, openVault, encryptSecret, decryptSecret, exportVaultKey, importVaultKey } from './vault.js';
+
 const STORAGE_KEYS = {
-  USER_CONTEXT: 'whatfits_user_context',
-  API_KEY: 'whatfits_api_key'
+  USER_CONTEXT: 'whatfits_user_context',         // Single pre-profiles context, migrated on first read
+  PROFILES: 'whatfits_profiles',                  // { active_id, profiles: { [id]: profile } }
+  API_KEY: 'whatfits_api_key',                   // OpenAI (kept for existing installs)
+  GEMINI_API_KEY: 'whatfits_gemini_api_key',
+  ANTHROPIC_API_KEY: 'whatfits_anthropic_api_key',
+  LOCAL_API_KEY: 'whatfits_local_api_key',        // Optional for self-hosted servers
+  LLM_SETTINGS: 'whatfits_llm_settings',
+  PRODUCT_CACHE: 'whatfits_product_cache',        // Extracted product pages (cart enrichment)
+  LIBRARY: 'whatfits_library',                    // Every analyzed product + chat transcripts
+  VAULT: 'whatfits_vault'                         // Encrypted API keys (vault mode), replaces the plaintext keys
+};
+
+// Unlocked vault key, in chrome.storage.session (memory only, not readable by content scripts).
+// The service worker removes it on idle, keep the name in sync there.
+const SESSION_VAULT_KEY = 'whatfits_vault_key';
+const DEFAULT_VAULT_IDLE_MINUTES = 15;
+
+// Secure wipe: random data written over each record before removal (capped per record)
+const WIPE_MAX_CHARS = 1024 * 1024;
+// crypto.getRandomValues() fills at most 65536 bytes per call
+const RANDOM_CHUNK_BYTES = 65536;
+
+// Product cache limits
+const PRODUCT_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24h
+const PRODUCT_CACHE_MAX_ENTRIES = 100;
+
+// Storage key per LLM provider
+const API_KEY_BY_PROVIDER = {
+  openai: STORAGE_KEYS.API_KEY,
+  gemini: STORAGE_KEYS.GEMINI_API_KEY,
+  anthropic: STORAGE_KEYS.ANTHROPIC_API_KEY,
+  local: STORAGE_KEYS.LOCAL_API_KEY
 };
 
-// Default context (Schema v3 - with profile)
-const DEFAULT_USER_CONTEXT = {
-  // User Profile
-  age: null,               // Number or null
-  weight_kg: null,         // Number or null
-  height_cm: null,         // Number or null
-  gender: '',              // 'male', 'female', 'prefer_not_to_say', or ''
-
-  // Questionnaire
-  primary_goal: [],        // Q1
-  training_frequency: '',  // Q2
-  training_style: [],      // Q3
-  nutrition_priority: [],  // Q4
-  dietary_style: [],       // Q5
-  avoidances: [],          // Q6
-  supplements_intake: '',  // Q7
-  current_focus: '',       // Q8
-  mental_focus: '',        // Q9
-  joint_protection: [],    // Q10
-  additional_context: ''   // Free text (500 chars)
+// Default LLM settings (model per provider; null = provider default)
+const DEFAULT_LLM_SETTINGS = {
+  provider: 'openai',
+  models: {
+    openai: null,
+    gemini: null,
+    anthropic: null,
+    local: null
+  },
+  endpoints: {
+    local: 'http://localhost:11434/v1' // Ollama default
+  },
+  budgets: {} // Prompt token budget per model id; missing = model default (see providers.getContextBudget)
 };
 
 /**
- * Get user context from storage
+ * Generate a profile id
+ */
+function newProfileId() {
+  return `profile_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Name not used by another profile ("Cutting phase" -> "Cutting phase (2)")
+ */
+function uniqueProfileName(profiles, name, exceptId = null) {
+  const taken = new Set(Object.values(profiles).filter(p => p.id !== exceptId).map(p => p.name.toLowerCase()));
+  const wanted = (name || '').trim() || 'Profile';
+  if (!taken.has(wanted.toLowerCase())) return wanted;
+  const base = wanted.replace(/ \(\d+\)$/, '');
+  let candidate = base;
+  for (let i = 2; taken.has(candidate.toLowerCase()); i++) candidate = `${base} (${i})`;
+  return candidate;
+}
+
+function createProfileRecord(profiles, name, context, stack = []) {
+  const now = Date.now();
+  const id = newProfileId();
+  profiles[id] = {
+    id,
+    name: uniqueProfileName(profiles, name),
+    schema_version: PROFILE_SCHEMA_VERSION,
+    context: migrateUserContext(context, PROFILE_SCHEMA_VERSION),
+    stack, // Daily intake entries (see lib/stack.js)
+    created_at: now,
+    updated_at: now
+  };
+  return id;
+}
+
+/**
+ * Read the profile store, migrating older data on the way:
+ * the single pre-profiles context becomes the "Default" profile, and
+ * profiles saved with an older schema are brought up to date
+ */
+async function readProfileStore() {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.PROFILES, STORAGE_KEYS.USER_CONTEXT]);
+  let store = result[STORAGE_KEYS.PROFILES];
+  let changed = false;
+
+  if (!store?.profiles || Object.keys(store.profiles).length === 0) {
+    const profiles = {};
+    const legacy = result[STORAGE_KEYS.USER_CONTEXT];
+    const id = createProfileRecord(profiles, 'Default', legacy ? migrateUserContext(legacy) : DEFAULT_USER_CONTEXT);
+    store = { active_id: id, profiles };
+    changed = true;
+  }
+
+  Object.values(store.profiles).forEach(profile => {
+    if (profile.schema_version === PROFILE_SCHEMA_VERSION) return;
+    profile.context = migrateUserContext(profile.context, profile.schema_version);
+    profile.schema_version = PROFILE_SCHEMA_VERSION;
+    changed = true;
+  });
+
+  if (!store.profiles[store.active_id]) {
+    store.active_id = Object.keys(store.profiles)[0];
+    changed = true;
+  }
+
+  if (changed) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.PROFILES]: store });
+    if (result[STORAGE_KEYS.USER_CONTEXT]) await chrome.storage.local.remove(STORAGE_KEYS.USER_CONTEXT);
+  }
+  return store;
+}
+
+/**
+ * Read-modify-write helper for the profile store
+ */
+async function updateProfiles(mutate) {
+  const store = await readProfileStore();
+  const value = mutate(store);
+  await chrome.storage.local.set({ [STORAGE_KEYS.PROFILES]: store });
+  return value;
+}
+
+/**
+ * Get user context from storage (the active profile)
  * @returns {Promise<Object|null>} User context merged with defaults
  */
 export async function getUserContext() {
   try {
-    const result = await chrome.storage.local.get(STORAGE_KEYS.USER_CONTEXT);
-    const stored = result[STORAGE_KEYS.USER_CONTEXT] || {};
-    // Merge with defaults to ensure all fields exist
-    return { ...DEFAULT_USER_CONTEXT, ...stored };
+    const store = await readProfileStore();
+    return { ...DEFAULT_USER_CONTEXT, ...store.profiles[store.active_id].context };
   } catch (error) {
     console.error('[WhatFits] Error getting user context:', error);
     return DEFAULT_USER_CONTEXT;
@@ -47,13 +153,17 @@ export async function getUserContext() {
 }
 
 /**
- * Save user context to storage
+ * Save user context to storage (into the active profile)
  * @param {Object} context - User context object
  * @returns {Promise<boolean>} Success status
  */
 export async function saveUserContext(context) {
   try {
-    await chrome.storage.local.set({ [STORAGE_KEYS.USER_CONTEXT]: context });
+    await updateProfiles(store => {
+      const profile = store.profiles[store.active_id];
+      profile.context = migrateUserContext(context, PROFILE_SCHEMA_VERSION);
+      profile.updated_at = Date.now();
+    });
     return true;
   } catch (error) {
     console.error('[WhatFits] Error saving user context:', error);
@@ -61,14 +171,230 @@ export async function saveUserContext(context) {
   }
 }
 
+/**
+ * Get all profiles (oldest first) and the active one
+ * @returns {Promise<{active_id: string|null, profiles: Array<Object>}>}
+ *   Profiles: { id, name, schema_version, context, created_at, updated_at }
+ */
+export async function getProfiles() {
+  try {
+    const store = await readProfileStore();
+    return {
+      active_id: store.active_id,
+      profiles: Object.values(store.profiles).sort((a, b) => a.created_at - b.created_at)
+    };
+  } catch (error) {
+    console.error('[WhatFits] Error getting profiles:', error);
+    return { active_id: null, profiles: [] };
+  }
+}
+
+/**
+ * Switch the active profile
+ * @param {string} id - Profile id
+ * @returns {Promise<boolean>} Success status
+ */
+export async function setActiveProfile(id) {
+  try {
+    return await updateProfiles(store => {
+      if (!store.profiles[id]) return false;
+      store.active_id = id;
+      return true;
+    });
+  } catch (error) {
+    console.error('[WhatFits] Error switching profile:', error);
+    return false;
+  }
+}
+
+/**
+ * Create a profile and make it active
+ * @param {string} name - Display name (made unique)
+ * @param {Object} [context] - Initial context, empty questionnaire by default
+ * @returns {Promise<string|null>} Profile id, or null on failure
+ */
+export async function createProfile(name, context = DEFAULT_USER_CONTEXT) {
+  try {
+    return await updateProfiles(store => {
+      const id = createProfileRecord(store.profiles, name, context);
+      store.active_id = id;
+      return id;
+    });
+  } catch (error) {
+    console.error('[WhatFits] Error creating profile:', error);
+    return null;
+  }
+}
+
+/**
+ * Rename a profile
+ * @param {string} id - Profile id
+ * @param {string} name - New name (made unique)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function renameProfile(id, name) {
+  try {
+    return await updateProfiles(store => {
+      const profile = store.profiles[id];
+      if (!profile) return false;
+      profile.name = uniqueProfileName(store.profiles, name, id);
+      profile.updated_at = Date.now();
+      return true;
+    });
+  } catch (error) {
+    console.error('[WhatFits] Error renaming profile:', error);
+    return false;
+  }
+}
+
+/**
+ * Delete a profile (the last one is kept); the oldest remaining becomes active
+ * @param {string} id - Profile id
+ * @returns {Promise<boolean>} Success status
+ */
+export async function deleteProfile(id) {
+  try {
+    return await updateProfiles(store => {
+      if (!store.profiles[id] || Object.keys(store.profiles).length <= 1) return false;
+      delete store.profiles[id];
+      if (store.active_id === id) {
+        store.active_id = Object.values(store.profiles).sort((a, b) => a.created_at - b.created_at)[0].id;
+      }
+      return true;
+    });
+  } catch (error) {
+    console.error('[WhatFits] Error deleting profile:', error);
+    return false;
+  }
+}
+
+/**
+ * Add imported profiles (see profiles.parseProfilesImport); names clashing with existing ones get a suffix
+ * @param {Array<{name: string, context: Object, stack: Array<Object>}>} profiles
+ * @returns {Promise<number>} Number of profiles added
+ */
+export async function importProfiles(profiles) {
+  try {
+    return await updateProfiles(store => {
+      profiles.forEach(profile => createProfileRecord(store.profiles, profile.name, profile.context, profile.stack));
+      return profiles.length;
+    });
+  } catch (error) {
+    console.error('[WhatFits] Error importing profiles:', error);
+    return 0;
+  }
+}
+
+/**
+ * Get the daily stack of the active profile
+ * @returns {Promise<Array<Object>>} Stack entries (see stack.createStackItem), oldest first
+ */
+export async function getStack() {
+  try {
+    const store = await readProfileStore();
+    return store.profiles[store.active_id].stack || [];
+  } catch (error) {
+    console.error('[WhatFits] Error getting stack:', error);
+    return [];
+  }
+}
+
+/**
+ * Add a product to the active profile's stack (replaces the entry of the same product)
+ * @param {Object} item - stack.createStackItem() entry
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveStackItem(item) {
+  try {
+    await updateProfiles(store => {
+      const profile = store.profiles[store.active_id];
+      const stack = (profile.stack || []).filter(entry => entry.id !== item.id);
+      profile.stack = [...stack, item];
+    });
+    return true;
+  } catch (error) {
+    console.error('[WhatFits] Error saving stack item:', error);
+    return false;
+  }
+}
+
+/**
+ * Change the servings per day of a stack entry
+ * @param {string} id - Entry id
+ * @param {number} servingsPerDay
+ * @returns {Promise<boolean>} Success status
+ */
+export async function updateStackServings(id, servingsPerDay) {
+  try {
+    return await updateProfiles(store => {
+      const item = (store.profiles[store.active_id].stack || []).find(entry => entry.id === id);
+      if (!item) return false;
+      item.servings_per_day = servingsPerDay;
+      item.servings_stated = false;
+      return true;
+    });
+  } catch (error) {
+    console.error('[WhatFits] Error updating stack servings:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove a product from the active profile's stack
+ * @param {string} id - Entry id
+ * @returns {Promise<boolean>} Success status
+ */
+export async function removeStackItem(id) {
+  try {
+    await updateProfiles(store => {
+      const profile = store.profiles[store.active_id];
+      profile.stack = (profile.stack || []).filter(entry => entry.id !== id);
+    });
+    return true;
+  } catch (error) {
+    console.error('[WhatFits] Error removing stack item:', error);
+    return false;
+  }
+}
+
+/**
+ * Stored vault (encrypted keys), or null when keys are stored in plaintext
+ */
+async function getVaultRecord() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.VAULT);
+  return result[STORAGE_KEYS.VAULT] || null;
+}
+
+/**
+ * Vault key of this browser session, or null when locked
+ */
+async function getSessionVaultKey() {
+  const result = await chrome.storage.session.get(SESSION_VAULT_KEY);
+  return result[SESSION_VAULT_KEY] ? importVaultKey(result[SESSION_VAULT_KEY]) : null;
+}
+
+async function storeSessionVaultKey(key) {
+  await chrome.storage.session.set({ [SESSION_VAULT_KEY]: await exportVaultKey(key) });
+}
+
 /**
  * Get API key from storage
+ * In vault mode the key is decrypted with the session key; null while the vault is locked.
+ * @param {string} [provider] - 'openai' (default), 'gemini', 'anthropic' or 'local'
  * @returns {Promise<string|null>} API key or null if not set
  */
-export async function getApiKey() {
+export async function getApiKey(provider = 'openai') {
+  const key = API_KEY_BY_PROVIDER[provider] || STORAGE_KEYS.API_KEY;
   try {
-    const result = await chrome.storage.local.get(STORAGE_KEYS.API_KEY);
-    return result[STORAGE_KEYS.API_KEY] || null;
+    const vault = await getVaultRecord();
+    if (vault) {
+      const secret = vault.keys[API_KEY_BY_PROVIDER[provider] ? provider : 'openai'];
+      const vaultKey = secret ? await getSessionVaultKey() : null;
+      return vaultKey ? await decryptSecret(vaultKey, secret) : null;
+    }
+
+    const result = await chrome.storage.local.get(key);
+    return result[key] || null;
   } catch (error) {
     console.error('[WhatFits] Error getting API key:', error);
     return null;
@@ -76,13 +402,24 @@ export async function getApiKey() {
 }
 
 /**
- * Save API key to storage
- * @param {string} apiKey - OpenAI API key
+ * Save API key to storage (encrypted in vault mode, which must be unlocked)
+ * @param {string} apiKey - Provider API key
+ * @param {string} [provider] - 'openai' (default), 'gemini', 'anthropic' or 'local'
  * @returns {Promise<boolean>} Success status
  */
-export async function saveApiKey(apiKey) {
+export async function saveApiKey(apiKey, provider = 'openai') {
+  const key = API_KEY_BY_PROVIDER[provider] || STORAGE_KEYS.API_KEY;
   try {
-    await chrome.storage.local.set({ [STORAGE_KEYS.API_KEY]: apiKey });
+    const vault = await getVaultRecord();
+    if (vault) {
+      const vaultKey = await getSessionVaultKey();
+      if (!vaultKey) return false;
+      vault.keys[API_KEY_BY_PROVIDER[provider] ? provider : 'openai'] = await encryptSecret(vaultKey, apiKey);
+      await chrome.storage.local.set({ [STORAGE_KEYS.VAULT]: vault });
+      return true;
+    }
+
+    await chrome.storage.local.set({ [key]: apiKey });
     return true;
   } catch (error) {
     console.error('[WhatFits] Error saving API key:', error);
@@ -91,15 +428,432 @@ export async function saveApiKey(apiKey) {
 }
 
 /**
- * Clear all stored data
+ * Vault state for the UI
+ * @returns {Promise<{enabled: boolean, unlocked: boolean, idle_minutes: number}>}
+ */
+export async function getVaultStatus() {
+  try {
+    const vault = await getVaultRecord();
+    return {
+      enabled: Boolean(vault),
+      unlocked: vault ? Boolean(await getSessionVaultKey()) : true,
+      idle_minutes: vault?.idle_minutes || DEFAULT_VAULT_IDLE_MINUTES
+    };
+  } catch (error) {
+    console.error('[WhatFits] Error getting vault status:', error);
+    return { enabled: false, unlocked: true, idle_minutes: DEFAULT_VAULT_IDLE_MINUTES };
+  }
+}
+
+/**
+ * Turn on vault mode: encrypt the stored keys under a passphrase and remove the plaintext copies
+ * The vault starts unlocked for this session.
+ * @param {string} passphrase
+ * @param {number} [idleMinutes] - Re-lock after this long without user activity
  * @returns {Promise<boolean>} Success status
  */
-export async function clearStorage() {
+export async function enableVault(passphrase, idleMinutes = DEFAULT_VAULT_IDLE_MINUTES) {
+  try {
+    if (await getVaultRecord()) return false;
+    const { vault, key } = await createVault(passphrase);
+    vault.idle_minutes = idleMinutes;
+
+    const plaintext = await chrome.storage.local.get(Object.values(API_KEY_BY_PROVIDER));
+    for (const [provider, storageKey] of Object.entries(API_KEY_BY_PROVIDER)) {
+      if (plaintext[storageKey]) vault.keys[provider] = await encryptSecret(key, plaintext[storageKey]);
+    }
+
+    // Vault first: a failure in between leaves the keys readable rather than lost
+    await chrome.storage.local.set({ [STORAGE_KEYS.VAULT]: vault });
+    await chrome.storage.local.remove(Object.values(API_KEY_BY_PROVIDER));
+    await storeSessionVaultKey(key);
+    return true;
+  } catch (error) {
+    console.error('[WhatFits] Error enabling vault:', error);
+    return false;
+  }
+}
+
+/**
+ * Unlock the vault for this browser session
+ * @param {string} passphrase
+ * @returns {Promise<boolean>} false when the passphrase is wrong
+ */
+export async function unlockVault(passphrase) {
   try {
-    await chrome.storage.local.remove([STORAGE_KEYS.USER_CONTEXT, STORAGE_KEYS.API_KEY]);
+    const vault = await getVaultRecord();
+    const key = vault ? await openVault(vault, passphrase) : null;
+    if (!key) return false;
+    await storeSessionVaultKey(key);
     return true;
+  } catch (error) {
+    console.error('[WhatFits] Error unlocking vault:', error);
+    return false;
+  }
+}
+
+/**
+ * Lock the vault (forget the session key)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function lockVault() {
+  try {
+    await chrome.storage.session.remove(SESSION_VAULT_KEY);
+    return true;
+  } catch (error) {
+    console.error('[WhatFits] Error locking vault:', error);
+    return false;
+  }
+}
+
+/**
+ * Set the idle delay before the vault re-locks
+ * @param {number} minutes
+ * @returns {Promise<boolean>} Success status
+ */
+export async function setVaultIdleMinutes(minutes) {
+  try {
+    const vault = await getVaultRecord();
+    if (!vault) return false;
+    vault.idle_minutes = minutes;
+    await chrome.storage.local.set({ [STORAGE_KEYS.VAULT]: vault });
+    return true;
+  } catch (error) {
+    console.error('[WhatFits] Error saving vault idle delay:', error);
+    return false;
+  }
+}
+
+/**
+ * Call back when the vault is locked or unlocked (by the user, or by the service worker on idle)
+ * @param {Function} callback
+ */
+export function onVaultLockChange(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'session' && SESSION_VAULT_KEY in changes) callback();
+  });
+}
+
+/**
+ * Turn off vault mode: keys go back to plaintext storage (the vault must be unlocked)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function disableVault() {
+  try {
+    const vault = await getVaultRecord();
+    const key = vault ? await getSessionVaultKey() : null;
+    if (!key) return false;
+
+    const plaintext = {};
+    for (const [provider, secret] of Object.entries(vault.keys)) {
+      plaintext[API_KEY_BY_PROVIDER[provider]] = await decryptSecret(key, secret);
+    }
+    await chrome.storage.local.set(plaintext);
+    await chrome.storage.local.remove(STORAGE_KEYS.VAULT);
+    await chrome.storage.session.remove(SESSION_VAULT_KEY);
+    return true;
+  } catch (error) {
+    console.error('[WhatFits] Error disabling vault:', error);
+    return false;
+  }
+}
+
+/**
+ * Get LLM settings (selected provider and model per provider)
+ * @returns {Promise<Object>} Settings merged with defaults
+ */
+export async function getLlmSettings() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.LLM_SETTINGS);
+    const stored = result[STORAGE_KEYS.LLM_SETTINGS] || {};
+    return {
+      ...DEFAULT_LLM_SETTINGS,
+      ...stored,
+      models: { ...DEFAULT_LLM_SETTINGS.models, ...(stored.models || {}) },
+      endpoints: { ...DEFAULT_LLM_SETTINGS.endpoints, ...(stored.endpoints || {}) },
+      budgets: { ...(stored.budgets || {}) }
+    };
+  } catch (error) {
+    console.error('[WhatFits] Error getting LLM settings:', error);
+    return DEFAULT_LLM_SETTINGS;
+  }
+}
+
+/**
+ * Save LLM settings
+ * @param {Object} settings - { provider, models: { openai, gemini, anthropic, local }, endpoints: { local },
+ *   budgets: { [model]: tokens } }
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveLlmSettings(settings) {
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEYS.LLM_SETTINGS]: settings });
+    return true;
+  } catch (error) {
+    console.error('[WhatFits] Error saving LLM settings:', error);
+    return false;
+  }
+}
+
+// Query parameter selecting a size/flavour variant (MyProtein "?variation=")
+const VARIANT_PARAM = 'variation';
+
+/**
+ * Normalize a product URL for use as a cache key
+ * Drops query string, hash and trailing slash; lowercases the host.
+ * @param {string} url
+ * @param {Object} [options] - { keepVariant: keep the variant parameter so variants stay distinct }
+ * @returns {string}
+ */
+export function normalizeProductUrl(url, { keepVariant = false } = {}) {
+  try {
+    const parsed = new URL(url);
+    const base = `${parsed.protocol}//${parsed.host.toLowerCase()}${parsed.pathname.replace(/\/+$/, '')}`;
+    const variant = keepVariant ? parsed.searchParams.get(VARIANT_PARAM) : null;
+    return variant ? `${base}?${VARIANT_PARAM}=${variant}` : base;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Get cached product data for a URL
+ * @param {string} url - Product page URL
+ * @param {number} [ttlMs] - Max age in ms
+ * @returns {Promise<Object|null>} Extracted product data or null if missing/expired
+ */
+export async function getCachedProduct(url, ttlMs = PRODUCT_CACHE_TTL_MS) {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.PRODUCT_CACHE);
+    const entry = (result[STORAGE_KEYS.PRODUCT_CACHE] || {})[normalizeProductUrl(url, { keepVariant: true })];
+    if (!entry || Date.now() - entry.cached_at > ttlMs) return null;
+    return entry.data;
+  } catch (error) {
+    console.error('[WhatFits] Error reading product cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Save extracted product data to the cache
+ * Prunes expired entries and keeps at most PRODUCT_CACHE_MAX_ENTRIES (newest first).
+ * @param {string} url - Product page URL
+ * @param {Object} data - Extracted product data
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveCachedProduct(url, data) {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.PRODUCT_CACHE);
+    const cache = result[STORAGE_KEYS.PRODUCT_CACHE] || {};
+    const now = Date.now();
+
+    cache[normalizeProductUrl(url, { keepVariant: true })] = { data, cached_at: now };
+
+    const fresh = Object.entries(cache)
+      .filter(([, entry]) => now - entry.cached_at <= PRODUCT_CACHE_TTL_MS)
+      .sort((a, b) => b[1].cached_at - a[1].cached_at)
+      .slice(0, PRODUCT_CACHE_MAX_ENTRIES);
+
+    await chrome.storage.local.set({ [STORAGE_KEYS.PRODUCT_CACHE]: Object.fromEntries(fresh) });
+    return true;
+  } catch (error) {
+    console.error('[WhatFits] Error saving product cache:', error);
+    return false;
+  }
+}
+
+/**
+ * Get all product library entries, most recently used first
+ * @returns {Promise<Array<Object>>} Library entries
+ */
+export async function getLibrary() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.LIBRARY);
+    return Object.values(result[STORAGE_KEYS.LIBRARY] || {})
+      .sort((a, b) => b.updated_at - a.updated_at);
+  } catch (error) {
+    console.error('[WhatFits] Error getting library:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a single library entry
+ * @param {string} id - Entry id (normalized product URL)
+ * @returns {Promise<Object|null>} Entry or null if not found
+ */
+export async function getLibraryEntry(id) {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.LIBRARY);
+    return (result[STORAGE_KEYS.LIBRARY] || {})[id] || null;
+  } catch (error) {
+    console.error('[WhatFits] Error getting library entry:', error);
+    return null;
+  }
+}
+
+/**
+ * Read-modify-write helper for the library map
+ */
+async function updateLibrary(mutate) {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.LIBRARY);
+  const library = result[STORAGE_KEYS.LIBRARY] || {};
+  const value = mutate(library);
+  await chrome.storage.local.set({ [STORAGE_KEYS.LIBRARY]: library });
+  return value;
+}
+
+/**
+ * Save (or refresh) an analyzed product in the library
+ * Existing chat transcripts for the same product are kept.
+ * @param {Object} productData - Full extractProductData payload
+ * @returns {Promise<string|null>} Entry id, or null on failure
+ */
+export async function saveLibraryProduct(productData) {
+  if (!productData?.url) return null;
+  const id = normalizeProductUrl(productData.url);
+
+  try {
+    return await updateLibrary(library => {
+      const now = Date.now();
+      const existing = library[id];
+      library[id] = {
+        id,
+        url: productData.url,
+        title: productData.title || null,
+        price: productData.price || null,
+        variant: productData.variant || null, // { id, size, flavour } selected when saved
+        // The fit verdict is kept until a new one is generated (saveLibraryVerdict)
+        product: { ...productData, fit_verdict: productData.fit_verdict ?? existing?.product?.fit_verdict ?? null },
+        fit_score: productData.fit_verdict?.overall_score ?? existing?.fit_score ?? null, // For sorting by fit
+        chats: existing?.chats || [],   // [{ started_at, updated_at, messages }], newest first
+        created_at: existing?.created_at || now,
+        updated_at: now
+      };
+      return id;
+    });
+  } catch (error) {
+    console.error('[WhatFits] Error saving library product:', error);
+    return null;
+  }
+}
+
+/**
+ * Store the fit verdict of a library entry (kept on the product record, score copied for sorting)
+ * Verdicts carrying an `error` (rules-only fallback) are not stored.
+ * @param {string} id - Entry id
+ * @param {Object} verdict - Merged verdict (see lib/verdict.js)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveLibraryVerdict(id, verdict) {
+  if (verdict?.error) return false;
+  try {
+    return await updateLibrary(library => {
+      const entry = library[id];
+      if (!entry) return false;
+      entry.product = { ...entry.product, fit_verdict: verdict };
+      entry.fit_score = verdict?.overall_score ?? null;
+      return true;
+    });
+  } catch (error) {
+    console.error('[WhatFits] Error saving library verdict:', error);
+    return false;
+  }
+}
+
+/**
+ * Save a chat transcript for a library entry
+ * One transcript per chat session, identified by its start timestamp.
+ * @param {string} id - Entry id
+ * @param {number} startedAt - Chat session start (ms)
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveLibraryChat(id, startedAt, messages) {
+  try {
+    return await updateLibrary(library => {
+      const entry = library[id];
+      if (!entry) return false;
+
+      const now = Date.now();
+      const others = entry.chats.filter(chat => chat.started_at !== startedAt);
+      entry.chats = [{ started_at: startedAt, updated_at: now, messages }, ...others]
+        .sort((a, b) => b.updated_at - a.updated_at);
+      entry.updated_at = now;
+      return true;
+    });
+  } catch (error) {
+    console.error('[WhatFits] Error saving library chat:', error);
+    return false;
+  }
+}
+
+/**
+ * Delete a library entry
+ * @param {string} id - Entry id
+ * @returns {Promise<boolean>} Success status
+ */
+export async function deleteLibraryEntry(id) {
+  try {
+    return await updateLibrary(library => {
+      delete library[id];
+      return true;
+    });
+  } catch (error) {
+    console.error('[WhatFits] Error deleting library entry:', error);
+    return false;
+  }
+}
+
+/**
+ * Clear all stored data
+ * The secure path wipes every WhatFits record, including keys left by older versions:
+ * values are overwritten with random data before removal, and the session (chat
+ * history, loaded products, unlocked vault key) is cleared. The browser's storage
+ * engine may still hold stale copies on disk until it compacts.
+ * @param {Object} [options] - { secure: overwrite and remove everything }
+ * @returns {Promise<boolean>} Success status (false on the secure path when the overwrite failed,
+ *   even though the records were still removed)
+ */
+export async function clearStorage({ secure = false } = {}) {
+  try {
+    if (!secure) {
+      await chrome.storage.local.remove(Object.values(STORAGE_KEYS));
+      return true;
+    }
+
+    const stored = await chrome.storage.local.get(null);
+    const keys = Object.keys(stored).filter(key => key.startsWith('whatfits_'));
+
+    // A failed overwrite must not keep the records (and plaintext keys) from being removed
+    let overwritten = true;
+    try {
+      const overwrite = Object.fromEntries(keys.map(key =>
+        [key, randomHex(Math.min(JSON.stringify(stored[key]).length, WIPE_MAX_CHARS))]));
+      await chrome.storage.local.set(overwrite);
+    } catch (error) {
+      overwritten = false;
+      console.error('[WhatFits] Error overwriting storage before removal:', error);
+    }
+
+    await chrome.storage.local.remove(keys);
+    await chrome.storage.session.clear();
+    return overwritten;
   } catch (error) {
     console.error('[WhatFits] Error clearing storage:', error);
     return false;
   }
 }
+
+/**
+ * Random hex string of the given length (filled in getRandomValues-sized chunks)
+ * @param {number} length
+ * @returns {string}
+ */
+function randomHex(length) {
+  const bytes = new Uint8Array(Math.ceil(length / 2));
+  for (let offset = 0; offset < bytes.length; offset += RANDOM_CHUNK_BYTES) {
+    crypto.getRandomValues(bytes.subarray(offset, offset + RANDOM_CHUNK_BYTES));
+  }
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,175 @@
+/**
+ * WhatFits Value Module
+ * Price parsing and cost per serving / per kg / per 20g protein (no LLM)
+ */
+
+import { parseLocaleNumber } from './nutrition.js';
+
+// Reference protein amount for "cost per 20g protein"
+export const PROTEIN_REFERENCE_G = 20;
+
+// Currency symbols and codes seen on MyProtein country sites -> ISO 4217
+const CURRENCIES = [
+  { pattern: /€|\beur\b/i, code: 'EUR' },
+  { pattern: /£|\bgbp\b/i, code: 'GBP' },
+  { pattern: /\bchf\b/i, code: 'CHF' },
+  { pattern: /\bsek\b|\bkr\b/i, code: 'SEK' },
+  { pattern: /\bdkk\b/i, code: 'DKK' },
+  { pattern: /\bnok\b/i, code: 'NOK' },
+  { pattern: /zł|\bpln\b/i, code: 'PLN' },
+  { pattern: /kč|\bczk\b/i, code: 'CZK' },
+  { pattern: /\$|\busd\b/i, code: 'USD' }
+];
+
+// "Portions par contenant : 40", "Servings per container: 40", "40 portions", "40 servings"
+const SERVINGS_PATTERNS = [
+  /(?:portions?|servings?|doses?)\s*(?:par|per)\s*(?:contenant|container|pot|sachet|boîte|boite|pack)\s*:?\s*(?:environ|approx\.?|~)?\s*(\d+)/i,
+  /(\d+)\s*(?:portions|servings|doses)\b(?!\s*(?:par|per|a|each)\s*(?:jour|day))/i
+];
+
+// Pack size in the variant/title: "1kg", "2,5 kg", "500g", "1 x 2.5kg"
+const PACK_SIZE_PATTERN = /(\d+(?:[.,]\d+)?)\s*(kg|g)\b/i;
+
+function round(value, decimals = 2) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Strip tags from accordion HTML so label sentences can be matched
+ */
+function plainText(html) {
+  return (html || '').replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ');
+}
+
+/**
+ * Parse a price string into a number and ISO currency
+ * Handles "29,99 €", "€29.99", "£1,234.56" and "1.234,56 €".
+ * @param {string|null} text
+ * @returns {{amount: number, currency: string|null}|null}
+ */
+export function parsePrice(text) {
+  if (!text || typeof text !== 'string') return null;
+  const match = text.match(/\d[\d\s.,  ]*/);
+  if (!match) return null;
+
+  let digits = match[0].replace(/[\s  ]/g, '').replace(/[.,]$/, '');
+  // The last separator followed by 1-2 digits is the decimal mark, others group thousands
+  const decimal = digits.match(/[.,](\d{1,2})$/);
+  if (decimal) {
+    digits = `${digits.slice(0, -decimal[0].length).replace(/[.,]/g, '')}.${decimal[1]}`;
+  } else {
+    digits = digits.replace(/[.,]/g, '');
+  }
+
+  const amount = parseFloat(digits);
+  if (!Number.isFinite(amount)) return null;
+
+  // Known symbols first, then any ISO 4217 code ("29.99 AUD" from structured data)
+  const currency = CURRENCIES.find(c => c.pattern.test(text));
+  const isoCode = text.match(/\b[A-Z]{3}\b/);
+  return { amount, currency: currency ? currency.code : (isoCode ? isoCode[0] : null) };
+}
+
+/**
+ * Format an amount in the given currency ("0,75 €" in French locale)
+ * @param {number|null} amount
+ * @param {string|null} currency - ISO 4217 code
+ * @returns {string}
+ */
+export function formatPrice(amount, currency) {
+  if (amount === null || amount === undefined) return 'n/a';
+  if (!currency) return amount.toFixed(2);
+  return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+}
+
+/**
+ * Pack size in grams from free text ("1kg", "2,5 kg", "500g")
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parsePackSizeG(text) {
+  const match = (text || '').match(PACK_SIZE_PATTERN);
+  if (!match) return null;
+  const value = parseLocaleNumber(match[1]);
+  return match[2].toLowerCase() === 'kg' ? value * 1000 : value;
+}
+
+/**
+ * Servings per container stated on the page
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseServingsPerContainer(text) {
+  const plain = plainText(text);
+  for (const pattern of SERVINGS_PATTERNS) {
+    const match = plain.match(pattern);
+    if (match) return parseInt(match[1], 10) || null;
+  }
+  return null;
+}
+
+/**
+ * Compute value metrics for a product
+ * Servings come from the label when stated, otherwise from pack size / serving size.
+ * The selected size variant wins over the title when reading the pack size.
+ * @param {Object} productData - Extracted product data
+ * @returns {{
+ *   price: number|null,
+ *   currency: string|null,
+ *   variant: Object|null,
+ *   pack_size_g: number|null,
+ *   serving_size_g: number|null,
+ *   servings_per_container: number|null,
+ *   servings_source: 'label'|'pack_size'|null,
+ *   cost_per_serving: number|null,
+ *   cost_per_kg: number|null,
+ *   cost_per_20g_protein: number|null,
+ *   protein_per_serving_g: number|null
+ * }}
+ */
+export function computeValue(productData) {
+  const parsedPrice = parsePrice(productData?.price);
+  const variant = productData?.variant || null;
+  const nutrition = productData?.nutrition || {};
+  const servingSize = nutrition.serving_size_g || null;
+  const proteinPerServing = nutrition.per_serving?.protein_g ?? null;
+
+  const packSize = parsePackSizeG(variant?.size) ??
+    parsePackSizeG(productData?.title) ??
+    parsePackSizeG(productData?.subtitle);
+
+  const statedServings = parseServingsPerContainer(productData?.product_details) ??
+    parseServingsPerContainer(productData?.nutrition_panel) ??
+    parseServingsPerContainer(variant?.size);
+
+  let servings = null;
+  let servingsSource = null;
+  if (statedServings) {
+    servings = statedServings;
+    servingsSource = 'label';
+  } else if (packSize && servingSize) {
+    servings = packSize / servingSize;
+    servingsSource = 'pack_size';
+  }
+
+  const price = parsedPrice?.amount ?? null;
+  const costPerServing = price !== null && servings ? price / servings : null;
+
+  return {
+    price,
+    currency: parsedPrice?.currency ?? null,
+    variant,
+    pack_size_g: packSize,
+    serving_size_g: servingSize,
+    servings_per_container: round(servings, 1),
+    servings_source: servingsSource,
+    cost_per_serving: round(costPerServing),
+    cost_per_kg: price !== null && packSize ? round(price / (packSize / 1000)) : null,
+    cost_per_20g_protein: costPerServing !== null && proteinPerServing
+      ? round(costPerServing * (PROTEIN_REFERENCE_G / proteinPerServing))
+      : null,
+    protein_per_serving_g: proteinPerServing
+  };
+}
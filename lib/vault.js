@@ -0,0 +1,116 @@
+/**
+ * WhatFits Vault Module
+ * Passphrase encryption for API keys (WebCrypto): PBKDF2-SHA-256 key
+ * derivation and AES-GCM 256 for each stored secret
+ */
+
+// OWASP 2023 recommendation for PBKDF2-HMAC-SHA256
+export const PBKDF2_ITERATIONS = 310000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12; // AES-GCM standard nonce size
+
+// Encrypted with the vault key to check a passphrase without storing it
+const CHECK_PLAINTEXT = 'whatfits-vault';
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive the AES-GCM key from a passphrase
+ * Extractable so the unlocked key can be kept in chrome.storage.session for the browser session.
+ * @param {string} passphrase
+ * @param {string} salt - Base64
+ * @param {number} [iterations]
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveVaultKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Export a vault key for session storage (base64 raw bytes)
+ * @param {CryptoKey} key
+ * @returns {Promise<string>}
+ */
+export async function exportVaultKey(key) {
+  return toBase64(await crypto.subtle.exportKey('raw', key));
+}
+
+/**
+ * Import a vault key saved with exportVaultKey
+ * @param {string} raw - Base64
+ * @returns {Promise<CryptoKey>}
+ */
+export async function importVaultKey(raw) {
+  return crypto.subtle.importKey('raw', fromBase64(raw), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt a secret (fresh random IV each time)
+ * @param {CryptoKey} key
+ * @param {string} plaintext
+ * @returns {Promise<{iv: string, data: string}>} Base64 IV and ciphertext (with GCM tag)
+ */
+export async function encryptSecret(key, plaintext) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypt a secret
+ * @param {CryptoKey} key
+ * @param {{iv: string, data: string}} secret
+ * @returns {Promise<string>} Rejects when the key is wrong or the data was tampered with
+ */
+export async function decryptSecret(key, secret) {
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(secret.iv) }, key, fromBase64(secret.data));
+  return new TextDecoder().decode(data);
+}
+
+/**
+ * New vault header for a passphrase: KDF parameters and the passphrase check
+ * @param {string} passphrase
+ * @returns {Promise<{vault: Object, key: CryptoKey}>} vault: { version, kdf, check, keys: {} }
+ */
+export async function createVault(passphrase) {
+  const salt = toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+  const key = await deriveVaultKey(passphrase, salt);
+  return {
+    vault: {
+      version: 1,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt },
+      check: await encryptSecret(key, CHECK_PLAINTEXT),
+      keys: {}
+    },
+    key
+  };
+}
+
+/**
+ * Derive the key of an existing vault, checking the passphrase
+ * @param {Object} vault - Stored vault (see createVault)
+ * @param {string} passphrase
+ * @returns {Promise<CryptoKey|null>} null when the passphrase is wrong
+ */
+export async function openVault(vault, passphrase) {
+  const key = await deriveVaultKey(passphrase, vault.kdf.salt, vault.kdf.iterations);
+  try {
+    return (await decryptSecret(key, vault.check)) === CHECK_PLAINTEXT ? key : null;
+  } catch (error) {
+    return null; // AES-GCM authentication failed: wrong passphrase
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * WhatFits Verdict Module
+ * Schema of the automatic "fit verdict" and its merge with the deterministic
+ * rule summary (rules always win over the model on hard conflicts)
+ */
+
+// Verdict levels, best first
+export const VERDICT_LABELS = {
+  good_fit: 'Good fit',
+  partial_fit: 'Partial fit',
+  poor_fit: 'Poor fit',
+  insufficient_data: 'Not enough data'
+};
+
+const ALIGNMENTS = ['aligned', 'neutral', 'conflicts', 'unknown'];
+const SEVERITIES = ['high', 'medium', 'low'];
+
+// Highest overall score allowed when the rules found a conflict of this severity
+const RULE_SCORE_CAPS = { high: 35, medium: 65 };
+
+/**
+ * JSON schema the model must answer with (OpenAI strict mode compatible:
+ * every property required, no additional properties)
+ */
+export const FIT_VERDICT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['overall_score', 'verdict', 'summary', 'goal_alignment', 'red_flags', 'evidence'],
+  properties: {
+    overall_score: {
+      type: 'integer',
+      description: 'Fit of the product for this user, 0 (unsuitable) to 100 (ideal)'
+    },
+    verdict: { type: 'string', enum: Object.keys(VERDICT_LABELS) },
+    summary: { type: 'string', description: 'One or two sentences, in the language of the product page' },
+    goal_alignment: {
+      type: 'array',
+      description: 'One entry per goal in primary_goal',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['goal', 'alignment', 'reason'],
+        properties: {
+          goal: { type: 'string' },
+          alignment: { type: 'string', enum: ALIGNMENTS },
+          reason: { type: 'string' }
+        }
+      }
+    },
+    red_flags: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['issue', 'severity', 'evidence_field'],
+        properties: {
+          issue: { type: 'string' },
+          severity: { type: 'string', enum: SEVERITIES },
+          evidence_field: { type: 'string', description: 'Product data field supporting the flag, e.g. "nutrition"' }
+        }
+      }
+    },
+    evidence: {
+      type: 'array',
+      description: 'Product data fields the verdict relies on, with the value quoted from the data',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['field', 'quote'],
+        properties: {
+          field: { type: 'string' },
+          quote: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Validate and normalize a model answer (clamps the score, drops unknown enum values)
+ * @param {Object|null} raw - Parsed structured response
+ * @returns {Object|null}
+ */
+export function normalizeFitVerdict(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const score = Number(raw.overall_score);
+  return {
+    overall_score: Number.isFinite(score) ? Math.max(0, Math.min(100, Math.round(score))) : null,
+    verdict: VERDICT_LABELS[raw.verdict] ? raw.verdict : 'insufficient_data',
+    summary: typeof raw.summary === 'string' ? raw.summary : '',
+    goal_alignment: (raw.goal_alignment || [])
+      .filter(entry => entry?.goal)
+      .map(entry => ({ ...entry, alignment: ALIGNMENTS.includes(entry.alignment) ? entry.alignment : 'unknown' })),
+    red_flags: (raw.red_flags || [])
+      .filter(flag => flag?.issue)
+      .map(flag => ({ ...flag, severity: SEVERITIES.includes(flag.severity) ? flag.severity : 'medium' })),
+    evidence: (raw.evidence || []).filter(item => item?.field)
+  };
+}
+
+/**
+ * Red flags from the deterministic rules (allergens, dietary conflicts, additives, avoided stimulants)
+ * Same conflict logic as the cart verdict in rules.js.
+ * @param {Object} ruleSummary - generateRuleSummary() output
+ * @param {Object} userContext
+ * @returns {Array<{issue: string, severity: string, evidence_field: string, source: 'rules'}>}
+ */
+export function ruleRedFlags(ruleSummary, userContext = {}) {
+  const flags = [];
+  (ruleSummary?.allergen_warnings || []).forEach(warning => {
+    flags.push({ issue: warning.reason, severity: warning.level === 'contains' ? 'high' : 'medium', evidence_field: 'allergens', source: 'rules' });
+  });
+  (ruleSummary?.dietary_reasons || []).forEach(mismatch => {
+    flags.push({ issue: mismatch.reason, severity: 'high', evidence_field: 'ingredients', source: 'rules' });
+  });
+  (ruleSummary?.additive_warnings || []).forEach(warning => {
+    flags.push({ issue: warning.reason, severity: warning.level === 'avoidance' ? 'high' : 'medium', evidence_field: 'ingredients', source: 'rules' });
+  });
+  if (ruleSummary?.stimulants?.present && (userContext?.avoidances || []).includes('stimulants')) {
+    flags.push({
+      issue: `Contains stimulants (${ruleSummary.stimulants.found.join(', ')}), which you marked to avoid.`,
+      severity: 'high',
+      evidence_field: 'ingredients',
+      source: 'rules'
+    });
+  }
+  return flags;
+}
+
+/**
+ * Merge the model verdict with the rule summary
+ * Rule flags come first and cap the score; without a model verdict (no API key,
+ * call failed) the result carries the rule flags only.
+ * @param {Object|null} llmVerdict - normalizeFitVerdict() output
+ * @param {Object} ruleSummary - generateRuleSummary() output
+ * @param {Object} userContext
+ * @returns {{
+ *   overall_score: number|null, verdict: string, summary: string, goal_alignment: Array,
+ *   red_flags: Array, evidence: Array, confidence: number, source: 'llm+rules'|'rules', generated_at: number,
+ *   context_key: string
+ * }}
+ */
+export function mergeFitVerdict(llmVerdict, ruleSummary, userContext = {}) {
+  const ruleFlags = ruleRedFlags(ruleSummary, userContext);
+  const flags = [...ruleFlags, ...(llmVerdict?.red_flags || []).map(flag => ({ ...flag, source: 'llm' }))];
+
+  const cap = Math.min(100, ...ruleFlags.map(flag => RULE_SCORE_CAPS[flag.severity] ?? 100));
+  const score = llmVerdict?.overall_score ?? null;
+  let verdict = llmVerdict?.verdict || 'insufficient_data';
+  if (ruleFlags.some(flag => flag.severity === 'high')) verdict = 'poor_fit';
+  else if (ruleFlags.length > 0 && verdict === 'good_fit') verdict = 'partial_fit';
+
+  return {
+    overall_score: score === null ? null : Math.min(score, cap),
+    verdict,
+    summary: llmVerdict?.summary || '',
+    goal_alignment: llmVerdict?.goal_alignment || [],
+    red_flags: flags,
+    evidence: llmVerdict?.evidence || [],
+    confidence: ruleSummary?.confidence_score ?? null,
+    source: llmVerdict ? 'llm+rules' : 'rules',
+    generated_at: Date.now(),
+    context_key: profileContextKey(userContext) // See isVerdictCurrent
+  };
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Fingerprint of the profile answers a verdict was generated for (FNV-1a of the sorted context)
+ * Switching profiles or editing the active one changes it.
+ * @param {Object} userContext
+ * @returns {string} 8 hex characters
+ */
+export function profileContextKey(userContext = {}) {
+  const text = stableStringify(userContext || {});
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Whether a stored verdict can be shown again instead of calling the model
+ * Degraded verdicts (no model answer, see `error`) and verdicts generated for
+ * another profile, or before the profile was edited, are regenerated.
+ * @param {Object|null} verdict - Stored mergeFitVerdict() output
+ * @param {Object} userContext - Active profile context
+ * @returns {boolean}
+ */
+export function isVerdictCurrent(verdict, userContext = {}) {
+  return Boolean(verdict) && !verdict.error && verdict.context_key === profileContextKey(userContext);
+}
@@ -3,18 +3,49 @@
  * Handles tab switching, user context form, and communication with content script
  */
 
-import { getUserContext, saveUserContext, getApiKey, saveApiKey } from '../lib/storage.js';
-import { chatWithProduct } from '../lib/llm.js';
+import {
+  getUserContext, saveUserContext, getApiKey, saveApiKey, getLlmSettings, saveLlmSettings,
+  getProfiles, setActiveProfile, createProfile, renameProfile, deleteProfile, importProfiles,
+  getStack, saveStackItem, updateStackServings, removeStackItem,
+  getVaultStatus, enableVault, unlockVault, lockVault, disableVault, setVaultIdleMinutes, onVaultLockChange, clearStorage,
+  getLibrary, getLibraryEntry, saveLibraryProduct, saveLibraryChat, saveLibraryVerdict, deleteLibraryEntry
+} from '../lib/storage.js';
+import { chatWithProduct, generateFitVerdict, testConnection } from '../lib/llm.js';
+import { PROVIDERS, getContextBudget, normalizeBaseUrl, isLocalServerUrl, LOCAL_SERVER_HOSTS } from '../lib/providers.js';
+import { generateRuleSummary, analyzeCart } from '../lib/rules.js';
+import { buildComparisonTable, MIN_PINNED, MAX_PINNED } from '../lib/compare.js';
+import { computeValue, formatPrice, PROTEIN_REFERENCE_G } from '../lib/value.js';
+import { getAdapterForUrl, PAGE_TYPE } from '../lib/adapters/index.js';
+import { extractProductData } from '../lib/extract.js';
+import { mergeFitVerdict, isVerdictCurrent, VERDICT_LABELS } from '../lib/verdict.js';
+import { extractCitations, groundAnswer, stripCitations, PLACEHOLDER_PATTERN } from '../lib/citations.js';
+import { buildProfilesExport, parseProfilesImport } from '../lib/profiles.js';
+import { createStackItem, buildStackReport } from '../lib/stack.js';
+import { ADDITIVE_CLASSES } from '../lib/additives.js';
 
 // DOM Elements
 const tabs = document.querySelectorAll('.tab');
 const tabContents = document.querySelectorAll('.tab-content');
 const contextForm = document.getElementById('context-form');
+const providerSelect = document.getElementById('llm-provider');
+const contextBudgetInput = document.getElementById('context-budget');
+const profileSwitcher = document.getElementById('profile-switcher');
+const profileNameInput = document.getElementById('profile-name');
+const profilesResult = document.getElementById('profiles-result');
+
+// API key input per provider (Settings tab)
+const API_KEY_INPUTS = {
+  openai: 'api-key',
+  gemini: 'gemini-key',
+  anthropic: 'claude-key',
+  local: 'local-key'
+};
 
 // Current tab ID for messaging
 let currentTabId = null;
 let currentProductData = null; // Store for Chat
 let previousProductData = null; // Store previous product for comparison
+let contextBudgets = {}; // Prompt token budget overrides per model (LLM settings)
 
 // Tab switching
 tabs.forEach(tab => {
@@ -48,19 +79,268 @@ function setCheckedValues(name, values) {
   });
 }
 
-// Load saved context on popup open
-async function loadContext() {
-  const context = await getUserContext();
-  const apiKey = await getApiKey();
+// Show only the key/model fields of the selected provider
+function showProviderFields(providerId) {
+  document.querySelectorAll('.provider-fields').forEach(el => {
+    el.classList.toggle('active', el.dataset.provider === providerId);
+  });
+}
+
+// Model currently chosen for the selected provider
+function selectedModel() {
+  const select = document.querySelector(`.model-select[data-provider="${providerSelect.value}"]`);
+  return select?.value || PROVIDERS[providerSelect.value].defaultModel;
+}
+
+// Context budget field shows the override for the selected model, its default as placeholder
+function renderContextBudget() {
+  const model = selectedModel();
+  contextBudgetInput.placeholder = `Default: ${getContextBudget(providerSelect.value, model)}`;
+  contextBudgetInput.value = contextBudgets[model] || '';
+}
+
+providerSelect.addEventListener('change', () => {
+  showProviderFields(providerSelect.value);
+  renderContextBudget();
+});
+document.querySelectorAll('.model-select').forEach(select => select.addEventListener('change', renderContextBudget));
+
+// Populate model selects and restore provider settings/keys
+async function loadLlmSettings() {
+  const settings = await getLlmSettings();
+
+  document.querySelectorAll('.model-select').forEach(select => {
+    const provider = PROVIDERS[select.dataset.provider];
+    // Local models are free text (with suggestions from Test connection)
+    if (select.tagName === 'SELECT') {
+      select.innerHTML = '';
+      provider.models.forEach(model => {
+        const option = document.createElement('option');
+        option.value = model;
+        option.textContent = model === provider.defaultModel ? `${model} (default)` : model;
+        select.appendChild(option);
+      });
+    }
+    select.value = settings.models[provider.id] || provider.defaultModel;
+  });
+
+  document.getElementById('local-url').value = settings.endpoints.local || '';
+
+  providerSelect.value = settings.provider;
+  showProviderFields(settings.provider);
+  contextBudgets = settings.budgets;
+  renderContextBudget();
+
+  await renderVaultState();
+}
 
+// API key fields: stored keys, or disabled while the vault is locked
+async function fillApiKeyInputs(locked) {
+  for (const [providerId, inputId] of Object.entries(API_KEY_INPUTS)) {
+    const input = document.getElementById(inputId);
+    input.dataset.placeholder = input.dataset.placeholder ?? input.placeholder;
+    input.disabled = locked;
+    input.placeholder = locked ? '🔒 Locked: unlock the vault to view or change' : input.dataset.placeholder;
+    input.value = locked ? '' : (await getApiKey(providerId)) || '';
+  }
+}
+
+const MIN_PASSPHRASE_LENGTH = 8;
+const vaultPassphraseInput = document.getElementById('vault-passphrase');
+const vaultResult = document.getElementById('vault-result');
+const chatVaultInput = document.getElementById('chat-vault-passphrase');
+
+function showVaultResult(text, type) {
+  vaultResult.className = `connection-result ${type || ''}`;
+  vaultResult.textContent = text;
+}
+
+// Vault section (Profile tab), key fields and the lock bar of the chat tab
+async function renderVaultState() {
+  const vault = await getVaultStatus();
+  const show = (id, visible) => { document.getElementById(id).style.display = visible ? '' : 'none'; };
+
+  document.getElementById('vault-state').textContent = !vault.enabled
+    ? 'Keys are stored unencrypted in this browser profile. Set a passphrase to encrypt them.'
+    : vault.unlocked
+      ? '🔓 Unlocked for this browser session.'
+      : '🔒 Locked. Enter your passphrase to use your API keys.';
+  document.getElementById('vault-idle').value = String(vault.idle_minutes);
+  document.querySelectorAll('.vault-setup-only').forEach(el => { el.style.display = vault.enabled ? 'none' : ''; });
+  document.querySelector('.vault-passphrase-group').style.display = vault.enabled && vault.unlocked ? 'none' : '';
+  show('vault-enable-btn', !vault.enabled);
+  show('vault-unlock-btn', vault.enabled && !vault.unlocked);
+  show('vault-lock-btn', vault.enabled && vault.unlocked);
+  show('vault-disable-btn', vault.enabled && vault.unlocked);
+  show('vault-lock-bar', vault.enabled && !vault.unlocked);
+
+  await fillApiKeyInputs(vault.enabled && !vault.unlocked);
+  return vault;
+}
+
+// Unlock from the Profile tab or the chat lock bar
+async function unlockFrom(input) {
+  if (!input.value) return false;
+  const unlocked = await unlockVault(input.value);
+  input.value = '';
+  if (unlocked) {
+    await renderVaultState();
+    showVaultResult('');
+  } else {
+    input.placeholder = 'Wrong passphrase';
+  }
+  return unlocked;
+}
+
+document.getElementById('vault-enable-btn').addEventListener('click', async () => {
+  const passphrase = vaultPassphraseInput.value;
+  const confirmInput = document.getElementById('vault-passphrase-confirm');
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    showVaultResult(`✗ Use at least ${MIN_PASSPHRASE_LENGTH} characters.`, 'error');
+    return;
+  }
+  if (passphrase !== confirmInput.value) {
+    showVaultResult('✗ The passphrases do not match.', 'error');
+    return;
+  }
+
+  // Keys typed but not saved yet go into the vault too
+  for (const [providerId, inputId] of Object.entries(API_KEY_INPUTS)) {
+    const apiKey = document.getElementById(inputId).value.trim();
+    if (apiKey) await saveApiKey(apiKey, providerId);
+  }
+  const enabled = await enableVault(passphrase, parseInt(document.getElementById('vault-idle').value, 10));
+  vaultPassphraseInput.value = '';
+  confirmInput.value = '';
+  await renderVaultState();
+  showVaultResult(enabled
+    ? '✓ Keys encrypted. There is no way to recover them without the passphrase.'
+    : '✗ Could not encrypt the keys.', enabled ? 'success' : 'error');
+});
+
+document.getElementById('vault-unlock-btn').addEventListener('click', async () => {
+  if (!(await unlockFrom(vaultPassphraseInput))) showVaultResult('✗ Wrong passphrase.', 'error');
+});
+vaultPassphraseInput.addEventListener('keypress', (e) => {
+  if (e.key === 'Enter' && document.getElementById('vault-unlock-btn').style.display !== 'none') {
+    e.preventDefault();
+    document.getElementById('vault-unlock-btn').click();
+  }
+});
+
+document.getElementById('chat-vault-unlock').addEventListener('click', () => unlockFrom(chatVaultInput));
+chatVaultInput.addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') unlockFrom(chatVaultInput);
+});
+
+document.getElementById('vault-lock-btn').addEventListener('click', async () => {
+  await lockVault();
+  await renderVaultState();
+});
+
+document.getElementById('vault-disable-btn').addEventListener('click', async () => {
+  if (!confirm('Store your API keys unencrypted again?')) return;
+  const disabled = await disableVault();
+  await renderVaultState();
+  showVaultResult(disabled ? 'Vault turned off: keys are stored unencrypted.' : '✗ Could not turn off the vault.', disabled ? '' : 'error');
+});
+
+document.getElementById('vault-idle').addEventListener('change', (e) => {
+  setVaultIdleMinutes(parseInt(e.target.value, 10));
+});
+
+// The service worker locks the vault on idle, possibly while the popup is open
+onVaultLockChange(renderVaultState);
+
+document.getElementById('wipe-data-btn').addEventListener('click', async () => {
+  if (!confirm('Erase every WhatFits profile, API key, library entry and chat from this browser? This cannot be undone.')) return;
+  const wipeResult = document.getElementById('wipe-result');
+  if (await clearStorage({ secure: true })) {
+    window.location.reload();
+    return;
+  }
+  const remaining = Object.keys(await chrome.storage.local.get(null)).filter(key => key.startsWith('whatfits_'));
+  wipeResult.className = 'connection-result error';
+  wipeResult.textContent = remaining.length > 0
+    ? `✗ Wipe failed: ${remaining.length} record(s) are still stored. Try again, or remove the extension to delete its data.`
+    : '✗ Data was removed, but could not be overwritten first. Stale copies may remain on disk until the browser compacts its storage.';
+});
+
+// Resolve the selected provider, its model and its key for a chat call
+async function getChatSettings() {
+  const settings = await getLlmSettings();
+  return {
+    provider: settings.provider,
+    model: settings.models[settings.provider] || null,
+    baseUrl: settings.endpoints[settings.provider] || null,
+    contextBudgets: settings.budgets,
+    apiKey: await getApiKey(settings.provider),
+    locked: !(await getVaultStatus()).unlocked
+  };
+}
+
+// Test connection to a local/OpenAI-compatible server and list its models
+document.getElementById('test-connection-btn').addEventListener('click', async (e) => {
+  const btn = e.currentTarget;
+  const resultEl = document.getElementById('test-connection-result');
+  const baseUrl = normalizeBaseUrl(document.getElementById('local-url').value);
+  const apiKey = document.getElementById('local-key').value.trim();
+
+  resultEl.className = 'connection-result';
+  if (!baseUrl) {
+    resultEl.textContent = 'Enter the server URL first.';
+    resultEl.classList.add('error');
+    return;
+  }
+
+  btn.disabled = true;
+  resultEl.textContent = 'Connecting...';
+
+  try {
+    // Self-hosted servers need a host permission (requested on this click), for local hosts only
+    if (!isLocalServerUrl(baseUrl)) {
+      throw new Error(`The server must run on this computer (${LOCAL_SERVER_HOSTS.join(' or ')}).`);
+    }
+    const origin = new URL(baseUrl).origin;
+    const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+    if (!granted) throw new Error(`Permission to access ${origin} was denied.`);
+
+    const result = await testConnection(baseUrl, apiKey);
+    if (!result.ok) throw new Error(result.error);
+
+    const datalist = document.getElementById('local-models');
+    datalist.innerHTML = '';
+    result.models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model;
+      datalist.appendChild(option);
+    });
+
+    const modelInput = document.getElementById('local-model');
+    if (!modelInput.value && result.models.length > 0) modelInput.value = result.models[0];
+
+    resultEl.textContent = result.models.length > 0
+      ? `✓ Connected. ${result.models.length} model(s): ${result.models.join(', ')}`
+      : '✓ Connected, but the server reported no models.';
+    resultEl.classList.add('success');
+  } catch (err) {
+    resultEl.textContent = `✗ ${err.message}`;
+    resultEl.classList.add('error');
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+// Fill the Profile form (every field is reset, so switching profiles leaves nothing behind)
+function fillContextForm(context) {
   if (context) {
     // User Profile fields
     const ageEl = document.getElementById('profile-age');
     const weightEl = document.getElementById('profile-weight');
     const heightEl = document.getElementById('profile-height');
-    if (ageEl && context.age) ageEl.value = context.age;
-    if (weightEl && context.weight_kg) weightEl.value = context.weight_kg;
-    if (heightEl && context.height_cm) heightEl.value = context.height_cm;
+    if (ageEl) ageEl.value = context.age || '';
+    if (weightEl) weightEl.value = context.weight_kg || '';
+    if (heightEl) heightEl.value = context.height_cm || '';
     setCheckedValues('gender', context.gender);
 
     // Questionnaire fields
@@ -79,12 +359,89 @@ async function loadContext() {
     const additionalContextEl = document.getElementById('additional-context');
     if (additionalContextEl) additionalContextEl.value = context.additional_context || '';
   }
+}
 
-  if (apiKey) {
-    document.getElementById('api-key').value = apiKey;
-  }
+// Header switcher and profile name field
+async function renderProfiles() {
+  const { active_id: activeId, profiles } = await getProfiles();
+  profileSwitcher.innerHTML = '';
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    profileSwitcher.appendChild(option);
+  });
+  profileSwitcher.value = activeId;
+  // Nothing to switch between with a single profile
+  profileSwitcher.style.display = profiles.length > 1 ? '' : 'none';
+  profileNameInput.value = profiles.find(profile => profile.id === activeId)?.name || '';
+  document.getElementById('delete-profile-btn').disabled = profiles.length <= 1;
+}
+
+function showProfilesResult(text, type) {
+  profilesResult.className = `connection-result ${type || ''}`;
+  profilesResult.textContent = text;
+}
+
+// Make a profile active and show its answers in the form
+async function switchProfile(id) {
+  await setActiveProfile(id);
+  await renderProfiles();
+  fillContextForm(await getUserContext());
+  showProfilesResult('');
 }
 
+// Load saved context on popup open
+async function loadContext() {
+  await renderProfiles();
+  fillContextForm(await getUserContext());
+  await loadLlmSettings();
+}
+
+document.getElementById('new-profile-btn').addEventListener('click', async () => {
+  await createProfile('New profile');
+  await renderProfiles();
+  fillContextForm(await getUserContext());
+  showProfilesResult('Created an empty profile: fill in the questions, name it and save.');
+  profileNameInput.focus();
+  profileNameInput.select();
+});
+
+document.getElementById('delete-profile-btn').addEventListener('click', async () => {
+  const name = profileNameInput.value || 'this profile';
+  if (!confirm(`Delete "${name}"? Its answers cannot be recovered (export it first to keep a copy).`)) return;
+  await deleteProfile(profileSwitcher.value);
+  await switchProfile((await getProfiles()).active_id);
+});
+
+document.getElementById('export-profiles-btn').addEventListener('click', async () => {
+  const { profiles } = await getProfiles();
+  const blob = new Blob([JSON.stringify(buildProfilesExport(profiles), null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `whatfits-profiles-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+  showProfilesResult(`Exported ${profiles.length} profile${profiles.length > 1 ? 's' : ''}.`, 'success');
+});
+
+const importFileInput = document.getElementById('import-profiles-file');
+document.getElementById('import-profiles-btn').addEventListener('click', () => importFileInput.click());
+importFileInput.addEventListener('change', async () => {
+  const file = importFileInput.files[0];
+  importFileInput.value = ''; // Importing the same file again still fires change
+  if (!file) return;
+
+  const result = parseProfilesImport(await file.text());
+  if (!result.ok) {
+    showProfilesResult(`✗ ${result.error}`, 'error');
+    return;
+  }
+  const count = await importProfiles(result.profiles);
+  await renderProfiles();
+  showProfilesResult(`✓ Imported ${count} profile${count > 1 ? 's' : ''}. Pick one in the header to use it.`, 'success');
+});
+
 // Save context form
 contextForm.addEventListener('submit', async (e) => {
   e.preventDefault();
@@ -96,7 +453,7 @@ contextForm.addEventListener('submit', async (e) => {
   const weightVal = document.getElementById('profile-weight').value;
   const heightVal = document.getElementById('profile-height').value;
 
-  // Construct context object (Schema v3)
+  // Construct context object (current schema, see lib/profiles.js)
   const context = {
     // User Profile
     age: ageVal ? parseInt(ageVal, 10) : null,
@@ -115,19 +472,35 @@ contextForm.addEventListener('submit', async (e) => {
     current_focus: getCheckedValues('current_focus')[0] || '',
     mental_focus: getCheckedValues('mental_focus')[0] || '',
     joint_protection: getCheckedValues('joint_protection'),
-    additional_context: document.getElementById('additional-context').value.trim(),
-
-    // Legacy/Computed fields for Rule Engine compatibility
-    dietary: dietaryStyle.includes('vegan') ? ['vegan'] : []
+    additional_context: document.getElementById('additional-context').value.trim()
   };
 
-  const apiKey = document.getElementById('api-key').value;
-
   await saveUserContext(context);
-  if (apiKey) {
-    await saveApiKey(apiKey);
+  if (profileNameInput.value.trim()) {
+    await renameProfile(profileSwitcher.value, profileNameInput.value);
+    await renderProfiles();
   }
 
+  for (const [providerId, inputId] of Object.entries(API_KEY_INPUTS)) {
+    const apiKey = document.getElementById(inputId).value.trim();
+    if (apiKey) {
+      await saveApiKey(apiKey, providerId);
+    }
+  }
+
+  const models = {};
+  document.querySelectorAll('.model-select').forEach(select => {
+    models[select.dataset.provider] = select.value;
+  });
+  const localUrl = normalizeBaseUrl(document.getElementById('local-url').value);
+  const budget = parseInt(contextBudgetInput.value, 10);
+  if (budget > 0) {
+    contextBudgets[selectedModel()] = budget;
+  } else {
+    delete contextBudgets[selectedModel()];
+  }
+  await saveLlmSettings({ provider: providerSelect.value, models, endpoints: { local: localUrl }, budgets: contextBudgets });
+
   // Show save confirmation
   const btn = contextForm.querySelector('button[type="submit"]');
   const originalText = btn.textContent;
@@ -149,8 +522,11 @@ async function checkCurrentPage() {
     currentTabId = tab.id;
     const url = tab.url || '';
 
-    const isMyProtein = url.includes('fr.myprotein.com');
-    const isProductPage = isMyProtein && (url.includes('/p/') || url.includes('/sports-nutrition/'));
+    const adapter = getAdapterForUrl(url);
+    const pageType = adapter ? adapter.detectPageType(url) : PAGE_TYPE.OTHER;
+    const canAnalyzeAnyway = !adapter && /^https?:/.test(url);
+    const isProductPage = pageType === PAGE_TYPE.PRODUCT;
+    const isCartPage = pageType === PAGE_TYPE.CART;
 
     // Update Chat tab status
     const chatStatus = document.getElementById('chat-status-text');
@@ -159,20 +535,214 @@ async function checkCurrentPage() {
     if (isProductPage) {
       if (chatStatus) chatStatus.textContent = 'Product page detected';
       if (startChatBtn) startChatBtn.disabled = false;
-    } else if (isMyProtein) {
+    } else if (adapter) {
       if (chatStatus) chatStatus.textContent = 'Navigate to a product page';
       if (startChatBtn) startChatBtn.disabled = true;
+    } else if (canAnalyzeAnyway) {
+      // Unknown shop: offer the generic structured-data extractor (reduced confidence)
+      if (chatStatus) chatStatus.textContent = 'Unsupported shop: basic analysis available';
+      if (startChatBtn) {
+        startChatBtn.disabled = false;
+        startChatBtn.textContent = 'Analyze This Page Anyway';
+      }
     } else {
-      if (chatStatus) chatStatus.textContent = 'Not on MyProtein';
+      if (chatStatus) chatStatus.textContent = 'Not on a supported shop';
       if (startChatBtn) startChatBtn.disabled = true;
     }
+
+    // Update Cart tab status
+    const cartStatus = document.getElementById('cart-status-text');
+    const analyzeCartBtn = document.getElementById('analyze-cart-btn');
+
+    if (isCartPage) {
+      if (cartStatus) cartStatus.textContent = 'Basket page detected';
+      if (analyzeCartBtn) analyzeCartBtn.disabled = false;
+    } else {
+      if (cartStatus) cartStatus.textContent = adapter ? 'Open your basket to analyze it' : 'Not on a supported shop';
+      if (analyzeCartBtn) analyzeCartBtn.disabled = true;
+    }
   } catch (error) {
     console.error('Error checking current page:', error);
   }
 }
 
+/**
+ * Extract the product on the tab's page
+ * Supported shops answer through their content script. Other pages are parsed here with
+ * the structured-data adapter (activeTab grants access to the current tab once the user
+ * opens the popup), so lib/ stays web-accessible to the supported shops only.
+ * @returns {Promise<{success: boolean, data: Object}>}
+ */
+async function requestProductData(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  if (getAdapterForUrl(tab.url || '')) {
+    return chrome.tabs.sendMessage(tabId, { type: 'EXTRACT_PRODUCT' });
+  }
+
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => document.documentElement.outerHTML
+  });
+  const doc = new DOMParser().parseFromString(injection.result, 'text/html');
+  return { success: true, data: extractProductData(doc, tab.url) };
+}
+
 // Product analysis removed - chat-first UX
 
+// --- CART ANALYSIS ---
+const VERDICT_BADGES = {
+  fits: { className: 'aligned', label: 'Fits' },
+  caution: { className: 'neutral', label: 'Check' },
+  conflict: { className: 'misaligned', label: 'Conflict' }
+};
+
+function createSection(title) {
+  const section = document.createElement('div');
+  section.className = 'result-section';
+  const heading = document.createElement('h4');
+  heading.textContent = title;
+  section.appendChild(heading);
+  return section;
+}
+
+function createTextLine(text) {
+  const line = document.createElement('p');
+  line.className = 'cart-line';
+  line.textContent = text;
+  return line;
+}
+
+// Render the deterministic cart report
+function renderCartReport(report) {
+  const container = document.getElementById('cart-results');
+  container.innerHTML = '';
+
+  if (report.items.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'error-text';
+    empty.textContent = 'No products found in this basket.';
+    container.appendChild(empty);
+    return;
+  }
+
+  const card = document.createElement('div');
+  card.className = 'result-card';
+
+  // Per-item fit verdict
+  const itemsSection = createSection(`Products (${report.items.length})`);
+  const list = document.createElement('ul');
+  list.className = 'cart-items';
+  report.items.forEach(item => {
+    const entry = document.createElement('li');
+    const row = document.createElement('div');
+    row.className = 'cart-item';
+
+    const name = document.createElement('span');
+    name.className = 'item-name';
+    name.textContent = item.name;
+
+    const qty = document.createElement('span');
+    qty.className = 'item-qty';
+    qty.textContent = `×${item.quantity || 1}`;
+
+    const badge = document.createElement('span');
+    const verdict = VERDICT_BADGES[item.verdict];
+    badge.className = `alignment-badge ${verdict.className}`;
+    badge.textContent = verdict.label;
+
+    row.append(name, qty, badge);
+    entry.appendChild(row);
+
+    if (item.reasons.length > 0) {
+      const reasons = document.createElement('ul');
+      reasons.className = 'warning-list cart-reasons';
+      item.reasons.forEach(reason => {
+        const li = document.createElement('li');
+        li.textContent = reason;
+        reasons.appendChild(li);
+      });
+      entry.appendChild(reasons);
+    }
+    list.appendChild(entry);
+  });
+  itemsSection.appendChild(list);
+  card.appendChild(itemsSection);
+
+  // Overlapping ingredients
+  const overlapSection = createSection('Overlapping ingredients');
+  if (report.redundancies.length > 0) {
+    report.redundancies.forEach(r => {
+      overlapSection.appendChild(createTextLine(`${r.ingredient}: ${r.products.join(', ')}`));
+    });
+  } else {
+    overlapSection.appendChild(createTextLine('No active ingredient appears in more than one product.'));
+  }
+  card.appendChild(overlapSection);
+
+  // Combined stimulant load
+  const stimSection = createSection('Combined stimulant load');
+  stimSection.appendChild(createTextLine(report.stimulant_load.products.length > 0
+    ? `${report.stimulant_load.found.join(', ')} across ${report.stimulant_load.products.length} product(s): ${report.stimulant_load.products.join(', ')}`
+    : 'No stimulants found in the ingredient lists.'));
+  card.appendChild(stimSection);
+
+  // Daily totals if everything is taken as directed
+  const totalsSection = createSection('Daily total if all taken as directed');
+  const { protein_g: protein, caffeine_mg: caffeine } = report.daily_totals;
+  totalsSection.appendChild(createTextLine(`Protein: ${protein !== null ? `${protein} g` : 'not listed'}`));
+  totalsSection.appendChild(createTextLine(`Caffeine: ${caffeine !== null ? `${caffeine} mg` : 'not listed'}`));
+  if (report.items.some(item => !item.daily_servings_stated)) {
+    totalsSection.appendChild(createTextLine('Assumes 1 serving/day where the label gives no daily amount.'));
+  }
+  card.appendChild(totalsSection);
+
+  container.appendChild(card);
+}
+
+// Extract, enrich and analyze the basket in the active tab
+async function handleAnalyzeCart() {
+  const btn = document.getElementById('analyze-cart-btn');
+  const cartStatus = document.getElementById('cart-status-text');
+  const statusIndicator = document.querySelector('#cart .status-indicator');
+
+  btn.disabled = true;
+  btn.textContent = 'Reading basket...';
+  statusIndicator?.classList.remove('success', 'warning', 'error');
+
+  try {
+    const cartResponse = await chrome.tabs.sendMessage(currentTabId, { type: 'EXTRACT_CART' });
+    if (!cartResponse?.success) throw new Error(cartResponse?.error || 'Could not extract cart data');
+
+    btn.textContent = `Reading ${cartResponse.data.items.length} product page(s)...`;
+    const enrichResponse = await chrome.tabs.sendMessage(currentTabId, { type: 'ENRICH_CART', items: cartResponse.data.items });
+    if (!enrichResponse?.success) throw new Error(enrichResponse?.error || 'Could not enrich cart data');
+
+    const userContext = await getUserContext();
+    const report = analyzeCart(enrichResponse.data, userContext);
+    renderCartReport(report);
+
+    const conflicts = report.items.filter(item => item.verdict === 'conflict').length;
+    const failed = enrichResponse.failed || 0;
+    if (cartStatus) {
+      const parts = [conflicts > 0
+        ? `${conflicts} product(s) conflict with your profile`
+        : `Analyzed ${report.items.length} product(s)`];
+      if (failed > 0) parts.push(`${failed} page(s) could not be read`);
+      cartStatus.textContent = parts.join(' · ');
+    }
+    statusIndicator?.classList.add(conflicts > 0 || failed > 0 ? 'warning' : 'success');
+  } catch (err) {
+    console.error('Error analyzing cart:', err);
+    if (cartStatus) cartStatus.textContent = 'Could not analyze cart. Reload the basket page and try again.';
+    statusIndicator?.classList.add('error');
+  } finally {
+    btn.disabled = false;
+    btn.textContent = 'Analyze Cart';
+  }
+}
+
+document.getElementById('analyze-cart-btn').addEventListener('click', handleAnalyzeCart);
+
 // Initialize & Chat Logic
 document.addEventListener('DOMContentLoaded', async () => {
   await loadContext();
@@ -181,35 +751,173 @@ document.addEventListener('DOMContentLoaded', async () => {
   // --- CHAT FEATURE LOGIC ---
   const chatInput = document.getElementById('chat-input');
   const chatSendBtn = document.getElementById('chat-send');
+  const chatStopBtn = document.getElementById('chat-stop');
   const startChatBtn = document.getElementById('start-chat-btn');
   const chatMessages = document.getElementById('chat-messages');
   const chatStatus = document.getElementById('chat-status-text');
-  const clearChatBtn = document.getElementById('clear-chat-btn');
+  const extractionBadge = document.getElementById('extraction-badge');
+  const copyDebugBtn = document.getElementById('copy-debug-btn');
+  // Comparison workspace, library and stack (looked up here: renderPinnedList runs as soon as the session is restored)
+  const compareBar = document.getElementById('compare-bar');
+  const pinnedList = document.getElementById('pinned-list');
+  const pinProductBtn = document.getElementById('pin-product-btn');
+  const compareBtn = document.getElementById('compare-btn');
+  const librarySearch = document.getElementById('library-search');
+  const librarySort = document.getElementById('library-sort');
+  const libraryList = document.getElementById('library-list');
+  const libraryEmpty = document.getElementById('library-empty');
+  const stackList = document.getElementById('stack-list');
+  const stackEmpty = document.getElementById('stack-empty');
+  const stackTotals = document.getElementById('stack-totals');
+  const addStackBtn = document.getElementById('add-stack-btn');
+  const stimulantBanner = document.getElementById('stimulant-banner');
+  const stimulantBannerReason = document.getElementById('stimulant-banner-reason');
+  const stimulantBannerDose = document.getElementById('stimulant-banner-dose');
+  const stimulantBannerAck = document.getElementById('stimulant-banner-ack');
 
   let currentChatHistory = [];
   let isChatActive = false;
-  let hasShownLengthWarning = false; // Only show warning once per session
-
-  // Count only user and assistant messages (not system messages)
-  function countConversationMessages() {
-    return currentChatHistory.filter(msg => msg.role === 'user' || msg.role === 'assistant').length;
-  }
-
-  // Update clear button visibility (show only when warning has been shown)
-  function updateClearButtonVisibility() {
-    if (clearChatBtn) {
-      clearChatBtn.style.display = hasShownLengthWarning ? 'block' : 'none';
-    }
-  }
+  let librarySession = null; // { id, started_at, start_index } - where this chat is saved in the library
+  let pinnedProducts = []; // Comparison set (2-5 product records)
+  let isCompareActive = false; // Questions scoped to the pinned set
+  let streamController = null; // AbortController of the answer being streamed
+  let stimulantFacts = null; // Latest rule summary rendered, drives the stimulant banner
+  let acknowledgedStimulantWarnings = []; // "url|warning" keys the user dismissed
+  let pendingVerdictLoad = null; // Fit verdict call held back until the stimulant warning is acknowledged
 
   // Session persistence keys
   const SESSION_KEYS = {
     CHAT_HISTORY: 'whatfits_chat_history',
     PRODUCT_DATA: 'whatfits_product_data',
     PREVIOUS_PRODUCT_DATA: 'whatfits_previous_product_data',
-    CHAT_ACTIVE: 'whatfits_chat_active'
+    CHAT_ACTIVE: 'whatfits_chat_active',
+    LIBRARY_SESSION: 'whatfits_library_session',
+    PINNED_PRODUCTS: 'whatfits_pinned_products',
+    COMPARE_ACTIVE: 'whatfits_compare_active',
+    STIMULANT_ACK: 'whatfits_stimulant_ack'
   };
 
+  // Status line: comparison set or loaded product
+  function updateChatStatus() {
+    if (!chatStatus) return;
+    const variant = variantLabel(currentProductData?.variant);
+    chatStatus.textContent = isCompareActive
+      ? `Comparing ${pinnedProducts.length} products`
+      : `Loaded: ${currentProductData?.title?.substring(0, 30) || 'Product'}...${variant ? ` (${variant})` : ''}`;
+    renderExtractionBadge();
+    renderStimulantBanner();
+  }
+
+  // Avoided-stimulant banner above the chat, kept until acknowledged for this product and warning.
+  // It blocks the chat: no question is sent and no verdict is requested while it is shown.
+  function stimulantWarningKey() {
+    return `${currentProductData?.url || ''}|${stimulantFacts?.stimulant_warning || ''}`;
+  }
+
+  function isStimulantWarningPending() {
+    return stimulantBanner.style.display !== 'none';
+  }
+
+  function renderStimulantBanner() {
+    const wasShown = isStimulantWarningPending();
+    const warning = isCompareActive ? null : stimulantFacts?.stimulant_warning;
+    const show = Boolean(warning) && !acknowledgedStimulantWarnings.includes(stimulantWarningKey());
+    stimulantBanner.style.display = show ? 'block' : 'none';
+    if (!show) {
+      if (wasShown && (isChatActive || isCompareActive) && !streamController) {
+        chatInput.disabled = false;
+        chatSendBtn.disabled = false;
+      }
+      return;
+    }
+
+    chatInput.disabled = true;
+    chatSendBtn.disabled = true;
+
+    const caffeinePerDay = stimulantFacts.stimulants?.caffeine_mg_per_day;
+    stimulantBannerReason.textContent = warning;
+    stimulantBannerDose.textContent = caffeinePerDay ? `About ${caffeinePerDay} mg caffeine per day as directed.` : '';
+    stimulantBannerDose.style.display = caffeinePerDay ? 'block' : 'none';
+  }
+
+  stimulantBannerAck.addEventListener('click', async () => {
+    acknowledgedStimulantWarnings.push(stimulantWarningKey());
+    renderStimulantBanner();
+    await saveChatSession();
+    if (pendingVerdictLoad) {
+      const load = pendingVerdictLoad;
+      pendingVerdictLoad = null;
+      load();
+    }
+  });
+
+  // Warning badge when the extraction missed a critical field (title, price, ingredients, nutrition)
+  function renderExtractionBadge() {
+    const diagnostics = isCompareActive ? null : currentProductData?.diagnostics;
+    const critical = diagnostics?.critical_missing || [];
+    extractionBadge.style.display = critical.length > 0 ? 'inline-block' : 'none';
+    extractionBadge.title = critical.length > 0
+      ? `Missing: ${critical.join(', ')}. Answers about these fields may be unreliable.`
+      : '';
+    copyDebugBtn.style.display = diagnostics ? 'inline-block' : 'none';
+  }
+
+  // Copy a JSON report of the last extraction, to paste into a bug report
+  copyDebugBtn.addEventListener('click', async () => {
+    if (!currentProductData?.diagnostics) return;
+    const report = {
+      extension_version: chrome.runtime.getManifest().version,
+      url: currentProductData.url,
+      title: currentProductData.title,
+      variant: currentProductData.variant,
+      missing_data: currentProductData.missing_data,
+      diagnostics: currentProductData.diagnostics,
+      copied_at: new Date().toISOString()
+    };
+
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+      copyDebugBtn.textContent = 'Copied!';
+    } catch (error) {
+      console.error('[WhatFits] Could not copy debug report:', error);
+      copyDebugBtn.textContent = 'Copy failed';
+    }
+    setTimeout(() => { copyDebugBtn.textContent = 'Copy debug report'; }, 1500);
+  });
+
+  // Header profile switcher: the next answers (and verdicts) use the chosen profile
+  profileSwitcher.addEventListener('change', async () => {
+    await switchProfile(profileSwitcher.value);
+    renderStack(); // Each profile has its own stack
+    renderStackButton();
+    if (!isChatActive && !isCompareActive) return;
+    const switchMsg = { role: 'system', content: `👤 Now answering for profile "${profileSwitcher.selectedOptions[0]?.textContent}".` };
+    currentChatHistory.push(switchMsg);
+    addChatMessage(switchMsg.role, switchMsg.content);
+    await saveChatSession();
+  });
+
+  // Render the active chat (product status + messages) from current state
+  function renderChatState() {
+    stimulantFacts = null; // Set again by the restored facts cards
+    startChatBtn.style.display = 'none';
+    chatInput.disabled = false;
+    chatSendBtn.disabled = false;
+    updateChatStatus();
+
+    // Restore chat messages (no animation for restored messages)
+    chatMessages.innerHTML = ''; // Clear default
+    currentChatHistory.forEach(msg => {
+      addChatMessage(msg.role, msg.content, false, msg);
+      if (msg.verdict) renderVerdictCard(msg.verdict, false);
+      if (msg.stopped) Array.from(chatMessages.querySelectorAll('.chat-bubble.assistant')).pop()?.classList.add('stopped');
+      if (msg.facts) renderFactsCard(msg.facts, false);
+      if (msg.value) renderValueCard(msg.value, false);
+      if (msg.comparison) renderComparisonCard(msg.comparison, false);
+    });
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
   // Load persisted session on popup open
   async function loadChatSession() {
     try {
@@ -217,26 +925,26 @@ document.addEventListener('DOMContentLoaded', async () => {
         SESSION_KEYS.CHAT_HISTORY,
         SESSION_KEYS.PRODUCT_DATA,
         SESSION_KEYS.PREVIOUS_PRODUCT_DATA,
-        SESSION_KEYS.CHAT_ACTIVE
+        SESSION_KEYS.CHAT_ACTIVE,
+        SESSION_KEYS.LIBRARY_SESSION,
+        SESSION_KEYS.PINNED_PRODUCTS,
+        SESSION_KEYS.COMPARE_ACTIVE,
+        SESSION_KEYS.STIMULANT_ACK
       ]);
 
-      if (session[SESSION_KEYS.CHAT_ACTIVE] && session[SESSION_KEYS.PRODUCT_DATA]) {
-        currentProductData = session[SESSION_KEYS.PRODUCT_DATA];
+      acknowledgedStimulantWarnings = session[SESSION_KEYS.STIMULANT_ACK] || [];
+      pinnedProducts = session[SESSION_KEYS.PINNED_PRODUCTS] || [];
+      isCompareActive = Boolean(session[SESSION_KEYS.COMPARE_ACTIVE]) && pinnedProducts.length >= MIN_PINNED;
+
+      if ((session[SESSION_KEYS.CHAT_ACTIVE] && session[SESSION_KEYS.PRODUCT_DATA]) || isCompareActive) {
+        currentProductData = session[SESSION_KEYS.PRODUCT_DATA] || null;
         previousProductData = session[SESSION_KEYS.PREVIOUS_PRODUCT_DATA] || null;
         currentChatHistory = session[SESSION_KEYS.CHAT_HISTORY] || [];
-        isChatActive = true;
+        librarySession = session[SESSION_KEYS.LIBRARY_SESSION] || null;
+        isChatActive = Boolean(currentProductData);
 
         // Restore UI state
-        startChatBtn.style.display = 'none';
-        chatInput.disabled = false;
-        chatSendBtn.disabled = false;
-        if (chatStatus) chatStatus.textContent = `Loaded: ${currentProductData?.title?.substring(0, 30) || 'Product'}...`;
-
-        // Restore chat messages (no animation for restored messages)
-        chatMessages.innerHTML = ''; // Clear default
-        currentChatHistory.forEach(msg => {
-          addChatMessage(msg.role, msg.content, false, false);
-        });
+        renderChatState();
       }
     } catch (err) {
       console.log('No persisted session found');
@@ -250,11 +958,23 @@ document.addEventListener('DOMContentLoaded', async () => {
         [SESSION_KEYS.CHAT_HISTORY]: currentChatHistory,
         [SESSION_KEYS.PRODUCT_DATA]: currentProductData,
         [SESSION_KEYS.PREVIOUS_PRODUCT_DATA]: previousProductData,
-        [SESSION_KEYS.CHAT_ACTIVE]: isChatActive
+        [SESSION_KEYS.CHAT_ACTIVE]: isChatActive,
+        [SESSION_KEYS.LIBRARY_SESSION]: librarySession,
+        [SESSION_KEYS.PINNED_PRODUCTS]: pinnedProducts,
+        [SESSION_KEYS.COMPARE_ACTIVE]: isCompareActive,
+        [SESSION_KEYS.STIMULANT_ACK]: acknowledgedStimulantWarnings
       });
     } catch (err) {
       console.error('Error saving session:', err);
     }
+
+    // Persist this product's transcript to the library once the user has asked something
+    if (librarySession) {
+      const transcript = currentChatHistory.slice(librarySession.start_index);
+      if (transcript.some(msg => msg.role === 'user')) {
+        await saveLibraryChat(librarySession.id, librarySession.started_at, transcript);
+      }
+    }
   }
 
   // Clear session
@@ -263,7 +983,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       await chrome.storage.session.remove([
         SESSION_KEYS.CHAT_HISTORY,
         SESSION_KEYS.PRODUCT_DATA,
-        SESSION_KEYS.CHAT_ACTIVE
+        SESSION_KEYS.CHAT_ACTIVE,
+        SESSION_KEYS.LIBRARY_SESSION
       ]);
     } catch (err) {
       console.error('Error clearing session:', err);
@@ -272,6 +993,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Load persisted session
   await loadChatSession();
+  renderPinnedList();
 
   // Check if current page is different from loaded product (for when popup reopens after navigation)
   async function checkForPageChange() {
@@ -288,7 +1010,13 @@ document.addEventListener('DOMContentLoaded', async () => {
       const currentBase = currentUrl.split('?')[0];
       const loadedBase = loadedUrl.split('?')[0];
 
-      if (currentBase !== loadedBase) {
+      if (currentBase === loadedBase) {
+        // Same product: pick up a size/flavour change made while the popup was closed
+        const response = await requestProductData(tab.id);
+        if (response?.success && variantKey(response.data.variant) !== variantKey(currentProductData.variant)) {
+          await applyVariantChange(response.data);
+        }
+      } else {
         addChatMessage('system', '📍 You are now on a different page. Click "Load New Product" to chat about this product instead.');
 
         // Show reload button
@@ -304,6 +1032,97 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  // --- VARIANTS ---
+  const loadVariantsBtn = document.getElementById('load-variants-btn');
+
+  function variantKey(variant) {
+    return variant ? [variant.id, variant.size, variant.flavour].join('|') : '';
+  }
+
+  function variantLabel(variant) {
+    return [variant?.size, variant?.flavour].filter(Boolean).join(' · ');
+  }
+
+  // Re-run facts and value for the newly selected size/flavour
+  async function applyVariantChange(productData) {
+    // Same product: keep the loaded variants and the fit verdict (not regenerated per flavour/size)
+    currentProductData = {
+      ...productData,
+      variant_snapshots: currentProductData?.variant_snapshots,
+      fit_verdict: currentProductData?.fit_verdict
+    };
+
+    const userContext = await getUserContext();
+    const facts = generateRuleSummary(currentProductData, userContext);
+    const value = computeValue(currentProductData);
+    const switchMsg = {
+      role: 'system',
+      content: `Switched to ${variantLabel(currentProductData.variant) || 'another variant'}. Answers now use this variant's label and price.`,
+      facts,
+      value
+    };
+    addChatMessage(switchMsg.role, switchMsg.content);
+    renderFactsCard(facts);
+    renderValueCard(value);
+    currentChatHistory.push(switchMsg);
+
+    updateChatStatus();
+    renderVariantButton();
+    await saveLibraryProduct(currentProductData);
+    await saveChatSession();
+  }
+
+  function renderVariantButton() {
+    const options = currentProductData?.variant_options || { size: [], flavour: [] };
+    const fetchable = [...options.size, ...options.flavour].filter(option => option.url && !option.selected);
+    loadVariantsBtn.style.display = fetchable.length > 0 ? 'block' : 'none';
+    loadVariantsBtn.disabled = false;
+    loadVariantsBtn.textContent = currentProductData?.variant_snapshots ? '🔄 Refresh variants' : '🧪 All variants';
+  }
+
+  // Fetch every size/flavour so questions like "which flavour has the least sugar" can be answered
+  loadVariantsBtn.addEventListener('click', async () => {
+    if (!currentTabId) return;
+    loadVariantsBtn.disabled = true;
+    loadVariantsBtn.textContent = 'Loading variants...';
+
+    try {
+      const response = await chrome.tabs.sendMessage(currentTabId, { type: 'FETCH_VARIANTS' });
+      if (!response?.success) throw new Error(response?.error || 'Could not fetch variants');
+
+      const snapshots = response.data.filter(snapshot => !snapshot.error);
+      const failed = response.data.length - snapshots.length;
+      currentProductData = { ...currentProductData, variant_snapshots: snapshots };
+
+      const comparison = buildComparisonTable(snapshots);
+      const variantsMsg = {
+        role: 'system',
+        content: `Loaded ${snapshots.length} variants${failed > 0 ? ` (${failed} could not be read)` : ''}. Ask which one fits you best.`,
+        comparison
+      };
+      addChatMessage(variantsMsg.role, variantsMsg.content);
+      renderComparisonCard(comparison);
+      currentChatHistory.push(variantsMsg);
+
+      await saveLibraryProduct(currentProductData);
+      await saveChatSession();
+    } catch (err) {
+      console.error('Error fetching variants:', err);
+      addChatMessage('system', 'Could not load the other variants of this product.');
+    } finally {
+      renderVariantButton();
+    }
+  });
+
+  // Live updates from the content script while the popup is open
+  chrome.runtime.onMessage.addListener((message, sender) => {
+    if (message.type !== 'VARIANT_CHANGED' || !isChatActive || sender.tab?.id !== currentTabId) return;
+    if (productKey(message.data) !== productKey(currentProductData)) return;
+    applyVariantChange(message.data);
+  });
+
+  renderVariantButton();
+
   // Check on popup open
   await checkForPageChange();
 
@@ -320,10 +1139,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       try {
         // Extract product data from page
-        const response = await chrome.tabs.sendMessage(currentTabId, { type: 'EXTRACT_PRODUCT' });
+        const response = await requestProductData(currentTabId);
 
-        if (!response.success) {
-          throw new Error('Could not extract product data');
+        if (!response?.success) {
+          throw new Error(response?.error || 'Could not extract product data');
         }
 
         // Store current as previous before loading new
@@ -333,6 +1152,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         currentProductData = response.data;
         isChatActive = true;
+        isCompareActive = false; // A newly loaded product takes the chat back to single-product mode
         // Keep chat history for context continuity
         startChatBtn.style.display = 'none';
         chatInput.disabled = false;
@@ -346,15 +1166,52 @@ document.addEventListener('DOMContentLoaded', async () => {
           statusIndicator.classList.add('success');
         }
 
-        if (chatStatus) {
-          chatStatus.textContent = `Loaded: ${currentProductData?.title?.substring(0, 30) || 'Product'}...`;
-        }
-
-        const welcomeMsg = { role: 'system', content: `Loaded "${currentProductData?.title || 'product'}"! Ask me anything about it.` };
+        updateChatStatus();
+
+        // Ground-truth layer: deterministic rules run before any LLM reply
+        const userContext = await getUserContext();
+        const facts = generateRuleSummary(currentProductData, userContext);
+        const value = computeValue(currentProductData);
+
+        // Save to the product library; this chat's transcript starts at the welcome message
+        const libraryId = await saveLibraryProduct(currentProductData);
+        librarySession = libraryId
+          ? { id: libraryId, started_at: Date.now(), start_index: currentChatHistory.length }
+          : null;
+
+        // Verdicts are cached per library item and profile: the model is called again on load
+        // for another (or edited) profile, or when the stored verdict is rules-only
+        const storedVerdict = libraryId ? (await getLibraryEntry(libraryId))?.product?.fit_verdict || null : null;
+        const cachedVerdict = isVerdictCurrent(storedVerdict, userContext) ? storedVerdict : null;
+        currentProductData.fit_verdict = cachedVerdict;
+        const product = currentProductData; // The verdict stays with this product if another one loads meanwhile
+
+        const genericNote = currentProductData.extraction_confidence < 1
+          ? ' This shop is not fully supported: only page metadata was read, so answers are less reliable.'
+          : '';
+        const welcomeMsg = { role: 'system', content: `Loaded "${currentProductData?.title || 'product'}"! Ask me anything about it.${genericNote}`, facts, value };
+        if (cachedVerdict) welcomeMsg.verdict = cachedVerdict;
         addChatMessage(welcomeMsg.role, welcomeMsg.content);
+        const verdictCard = renderVerdictCard(cachedVerdict, true, () => loadFitVerdict(welcomeMsg, verdictCard, libraryId, product));
+        renderFactsCard(facts);
+        renderValueCard(value);
         currentChatHistory.push(welcomeMsg);
+        renderPinnedList();
+        renderVariantButton();
         await saveChatSession();
 
+        // Fit verdict arrives in the background; the chat is usable meanwhile
+        pendingVerdictLoad = null;
+        if (!cachedVerdict) {
+          const load = () => loadFitVerdict(welcomeMsg, verdictCard, libraryId, product);
+          if (isStimulantWarningPending()) {
+            pendingVerdictLoad = load;
+            verdictCard.querySelector('.verdict-pending').textContent = 'Acknowledge the stimulant warning above to rate this product.';
+          } else {
+            load();
+          }
+        }
+
       } catch (err) {
         console.error('Error loading product:', err);
         addChatMessage('system', 'Could not load product data. Make sure you are on a product page.');
@@ -367,7 +1224,14 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Send Message Handler
   async function handleSendMessage() {
     const text = chatInput.value.trim();
-    if (!text) return;
+    if (!text || isStimulantWarningPending()) return;
+
+    // Locked vault: keep the question and point to the lock bar
+    if (!(await getVaultStatus()).unlocked) {
+      await renderVaultState();
+      chatVaultInput.focus();
+      return;
+    }
 
     // UI Update
     const userMsg = { role: 'user', content: text };
@@ -387,48 +1251,59 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     let streamedContent = '';
 
+    // Swap send for stop while the answer streams
+    streamController = new AbortController();
+    chatSendBtn.style.display = 'none';
+    chatStopBtn.style.display = 'flex';
+
     try {
       const userContext = await getUserContext();
-      const apiKey = await getApiKey();
+      const { provider, model, baseUrl, contextBudgets, apiKey } = await getChatSettings();
+      const stack = await getStack();
 
-      // Sliding window: only send last 15 messages to API
-      const historyForApi = currentChatHistory.slice(-15);
+      // Full history (role/content only, UI extras stay local): lib/context.js fits it to the model's budget
+      const historyForApi = currentChatHistory.map(({ role, content }) => ({ role, content }));
 
-      // Stream callback: append each chunk as raw text
+      // Stream callback: append each chunk as raw text (citation markers hidden until the answer is complete)
       const onChunk = (chunk) => {
         streamedContent += chunk;
-        assistantDiv.textContent = streamedContent;
+        assistantDiv.textContent = stripCitations(streamedContent);
         chatMessages.scrollTop = chatMessages.scrollHeight;
       };
 
-      const response = await chatWithProduct(historyForApi, currentProductData, previousProductData, userContext, apiKey, onChunk);
+      const response = await chatWithProduct(historyForApi, currentProductData, previousProductData, userContext, apiKey, onChunk, {
+        provider,
+        model,
+        baseUrl,
+        pinnedProducts: isCompareActive ? pinnedProducts : [],
+        contextBudgets,
+        stack,
+        signal: streamController.signal
+      });
+
+      // Stopped before the first word: nothing worth keeping
+      if (response.stopped && !response.content) {
+        assistantDiv.remove();
+        return;
+      }
 
-      // Stream complete: parse markdown and replace content
-      const html = parseMarkdown(response.content);
-      assistantDiv.innerHTML = html;
+      // Stream complete: check citations and numbers against the data, then render
+      const grounding = groundAnswer(response.content, groundingSources(userContext, stack));
+      renderAnswer(assistantDiv, response.content, grounding);
+      if (response.stopped) assistantDiv.classList.add('stopped');
 
       // Add to history and persist
-      currentChatHistory.push(response);
+      currentChatHistory.push({ role: 'assistant', content: response.content, ...grounding, ...(response.stopped && { stopped: true }) });
       await saveChatSession();
 
-      // Update clear button visibility
-      updateClearButtonVisibility();
-
-      // Show warning after 10 conversation messages (once per session)
-      if (!hasShownLengthWarning && countConversationMessages() >= 10) {
-        hasShownLengthWarning = true;
-        const warningDiv = document.createElement('div');
-        warningDiv.className = 'chat-bubble system warning';
-        warningDiv.textContent = '💡 Chat getting long. Consider clearing for better responses.';
-        chatMessages.appendChild(warningDiv);
-        chatMessages.scrollTop = chatMessages.scrollHeight;
-      }
-
     } catch (err) {
       assistantDiv.textContent = 'Error connecting to AI.';
       assistantDiv.classList.add('error');
       console.error(err);
     } finally {
+      streamController = null;
+      chatStopBtn.style.display = 'none';
+      chatSendBtn.style.display = 'flex';
       chatInput.disabled = false;
       chatInput.focus();
       chatMessages.scrollTop = chatMessages.scrollHeight;
@@ -436,10 +1311,83 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   if (chatSendBtn) chatSendBtn.addEventListener('click', handleSendMessage);
+  if (chatStopBtn) chatStopBtn.addEventListener('click', () => {
+    if (streamController) streamController.abort();
+  });
   if (chatInput) chatInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') handleSendMessage();
   });
 
+  // Data the chat answer was based on (same sections as the prompt), for the grounding checks
+  function groundingSources(userContext, stack = []) {
+    const questions = currentChatHistory.filter(msg => msg.role === 'user').map(msg => msg.content);
+    const stackExtra = stack.length > 0 ? { stack: buildStackReport(stack, userContext, isCompareActive ? null : currentProductData) } : {};
+    if (isCompareActive) {
+      return {
+        products: pinnedProducts,
+        extras: {
+          comparison: buildComparisonTable(pinnedProducts),
+          verified_facts: pinnedProducts.map(product => generateRuleSummary(product, userContext)),
+          ...stackExtra
+        },
+        other: [userContext, ...questions]
+      };
+    }
+    return {
+      products: [currentProductData, previousProductData].filter(Boolean),
+      extras: {
+        value: computeValue(currentProductData),
+        verified_facts: generateRuleSummary(currentProductData, userContext),
+        ...stackExtra
+      },
+      other: [userContext, ...questions]
+    };
+  }
+
+  // Render an answer: markdown, citation chips that expand to the quoted source, unsupported numbers warning
+  function renderAnswer(div, text, grounding = {}) {
+    const parsed = extractCitations(text);
+    // Answers saved before grounding existed only carry the raw markers
+    const citations = grounding.citations ||
+      parsed.citations.map(citation => ({ ...citation, snippet: citation.quote || '', verified: null, product_title: null }));
+
+    div.innerHTML = parseMarkdown(parsed.text)
+      .replace(PLACEHOLDER_PATTERN, (match, index) => `<button type="button" class="citation-chip" data-cite="${index}"></button>`);
+
+    div.querySelectorAll('.citation-chip').forEach(chip => {
+      const citation = citations[Number(chip.dataset.cite)];
+      if (!citation) {
+        chip.remove();
+        return;
+      }
+      chip.textContent = citation.field;
+      if (citation.verified === true) chip.classList.add('verified');
+      if (citation.verified === false) chip.classList.add('unverified');
+      chip.title = citation.verified === false ? 'Quote not found in this field' : 'Show source';
+
+      chip.addEventListener('click', () => {
+        const open = chip.nextElementSibling;
+        if (open?.classList.contains('citation-snippet')) {
+          open.remove();
+          return;
+        }
+        const snippet = document.createElement('span');
+        snippet.className = 'citation-snippet';
+        const source = citation.product_title && isCompareActive ? `${citation.product_title}: ` : '';
+        const note = citation.verified === false ? ' (quote not found, showing the start of the field)' : '';
+        snippet.textContent = `${source}${citation.snippet || 'Field not in the product data'}${note}`;
+        chip.after(snippet);
+      });
+    });
+
+    if (grounding.unsupported_numbers?.length > 0) {
+      const warning = document.createElement('div');
+      warning.className = 'grounding-warning';
+      warning.textContent = `⚠ Not found in the product data: ${grounding.unsupported_numbers.join(', ')}`;
+      div.appendChild(warning);
+    }
+  }
+
   // Simple markdown parser
   function parseMarkdown(text) {
     return text
@@ -456,7 +1404,586 @@ document.addEventListener('DOMContentLoaded', async () => {
       .replace(/\n/g, '<br>');
   }
 
-  function addChatMessage(role, text, scroll = true) {
+  // --- COMPARISON WORKSPACE ---
+  function productKey(product) {
+    return (product?.url || '').split('?')[0];
+  }
+
+  function isPinned(product) {
+    return pinnedProducts.some(p => productKey(p) === productKey(product));
+  }
+
+  function renderPinnedList() {
+    compareBar.style.display = isChatActive || pinnedProducts.length > 0 ? 'block' : 'none';
+
+    pinnedList.innerHTML = '';
+    pinnedProducts.forEach((product, index) => {
+      const chip = document.createElement('li');
+      chip.className = 'pinned-chip';
+      const title = document.createElement('span');
+      title.textContent = product.title || product.url;
+      title.title = product.title || product.url;
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Unpin';
+      removeBtn.addEventListener('click', () => unpinProduct(index));
+      chip.append(title, removeBtn);
+      pinnedList.appendChild(chip);
+    });
+
+    const canPin = currentProductData && !isPinned(currentProductData) && pinnedProducts.length < MAX_PINNED;
+    pinProductBtn.disabled = !canPin;
+    pinProductBtn.textContent = currentProductData && isPinned(currentProductData) ? '📌 Pinned' : '📌 Pin product';
+    compareBtn.disabled = pinnedProducts.length < MIN_PINNED;
+    compareBtn.textContent = isCompareActive ? 'Exit comparison' : `Compare (${pinnedProducts.length}/${MAX_PINNED})`;
+    renderStackButton();
+  }
+
+  // Pin a product record (no re-navigation needed: uses the extracted/saved data)
+  async function pinProduct(product) {
+    if (!product || isPinned(product) || pinnedProducts.length >= MAX_PINNED) return false;
+    pinnedProducts.push(product);
+    renderPinnedList();
+    await saveChatSession();
+    return true;
+  }
+
+  async function unpinProduct(index) {
+    pinnedProducts.splice(index, 1);
+    if (isCompareActive && pinnedProducts.length < MIN_PINNED) {
+      isCompareActive = false;
+      addChatMessage('system', 'Comparison ended: pin at least 2 products to compare.');
+    }
+    renderPinnedList();
+    await saveChatSession();
+  }
+
+  pinProductBtn.addEventListener('click', () => pinProduct(currentProductData));
+
+  compareBtn.addEventListener('click', async () => {
+    if (isCompareActive) {
+      isCompareActive = false;
+      const exitMsg = { role: 'system', content: `Back to "${currentProductData?.title || 'the loaded product'}".` };
+      addChatMessage(exitMsg.role, exitMsg.content);
+      currentChatHistory.push(exitMsg);
+    } else {
+      isCompareActive = true;
+      const comparison = buildComparisonTable(pinnedProducts);
+      const compareMsg = {
+        role: 'system',
+        content: `Comparing ${pinnedProducts.length} pinned products. Questions now cover the whole set.`,
+        comparison
+      };
+      addChatMessage(compareMsg.role, compareMsg.content);
+      renderComparisonCard(comparison);
+      currentChatHistory.push(compareMsg);
+
+      // Pinned products are enough context to chat, even without a loaded product
+      chatInput.disabled = false;
+      chatSendBtn.disabled = false;
+      chatInput.focus();
+    }
+
+    updateChatStatus();
+    renderPinnedList();
+    await saveChatSession();
+  });
+
+  // Render the deterministic comparison table (best value per row highlighted)
+  function renderComparisonCard(comparison, scroll = true) {
+    const card = document.createElement('div');
+    card.className = 'result-card facts-card compare-card';
+
+    const title = document.createElement('h4');
+    title.textContent = '⚖️ Comparison';
+    card.appendChild(title);
+
+    const table = document.createElement('table');
+    table.className = 'compare-table';
+
+    const headRow = document.createElement('tr');
+    headRow.appendChild(document.createElement('th'));
+    comparison.products.forEach(product => {
+      const th = document.createElement('th');
+      th.textContent = product.title;
+      headRow.appendChild(th);
+    });
+    table.appendChild(headRow);
+
+    comparison.rows.forEach(row => {
+      const tr = document.createElement('tr');
+      const label = document.createElement('th');
+      label.textContent = row.label;
+      tr.appendChild(label);
+      row.cells.forEach((cell, index) => {
+        const td = document.createElement('td');
+        td.textContent = cell;
+        if (row.best === index) td.className = 'best';
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+
+    card.appendChild(table);
+    chatMessages.appendChild(card);
+    if (scroll) chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
+  // --- PRODUCT LIBRARY ---
+  // Text used for library search: product fields + transcript
+  function librarySearchText(entry) {
+    const product = entry.product || {};
+    const chatText = entry.chats.flatMap(chat => chat.messages.map(msg => msg.content)).join(' ');
+    return [entry.title, product.subtitle, product.brand, entry.url, chatText].filter(Boolean).join(' ').toLowerCase();
+  }
+
+  async function renderLibrary() {
+    const query = librarySearch.value.trim().toLowerCase();
+    const entries = (await getLibrary()).filter(entry => !query || librarySearchText(entry).includes(query));
+    // Unrated products (no verdict yet) go last when sorting by fit
+    if (librarySort.value === 'fit') entries.sort((a, b) => (b.fit_score ?? -1) - (a.fit_score ?? -1));
+
+    libraryList.innerHTML = '';
+    libraryEmpty.style.display = entries.length === 0 ? 'block' : 'none';
+    libraryEmpty.textContent = query
+      ? 'No saved product matches your search.'
+      : 'No saved products yet. Load a product in the chat to save it here.';
+
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'library-item';
+
+      const info = document.createElement('div');
+      info.className = 'library-info';
+      const title = document.createElement('span');
+      title.className = 'item-name';
+      title.textContent = entry.title || entry.url;
+      const meta = document.createElement('span');
+      meta.className = 'library-meta';
+      const questions = entry.chats.reduce((n, chat) => n + chat.messages.filter(m => m.role === 'user').length, 0);
+      meta.textContent = [
+        new Date(entry.updated_at).toLocaleDateString(),
+        entry.price,
+        entry.fit_score !== null && entry.fit_score !== undefined ? `fit ${entry.fit_score}/100` : null,
+        `${questions} question(s)`
+      ].filter(Boolean).join(' · ');
+      info.append(title, meta);
+
+      const openBtn = document.createElement('button');
+      openBtn.className = 'btn-secondary library-btn';
+      openBtn.textContent = 'Open';
+      openBtn.addEventListener('click', () => reopenLibraryEntry(entry.id));
+
+      const pinBtn = document.createElement('button');
+      pinBtn.className = 'btn-secondary library-btn';
+      pinBtn.textContent = isPinned(entry.product) ? 'Pinned' : 'Pin';
+      pinBtn.disabled = isPinned(entry.product) || pinnedProducts.length >= MAX_PINNED;
+      pinBtn.addEventListener('click', async () => {
+        if (await pinProduct(entry.product)) renderLibrary();
+      });
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn-secondary library-btn';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', async () => {
+        await deleteLibraryEntry(entry.id);
+        if (librarySession?.id === entry.id) librarySession = null;
+        renderLibrary();
+      });
+
+      item.append(info, openBtn, pinBtn, deleteBtn);
+      libraryList.appendChild(item);
+    });
+  }
+
+  // Reopen the latest chat of a saved product (continues in the same transcript)
+  async function reopenLibraryEntry(id) {
+    const entry = await getLibraryEntry(id);
+    if (!entry) return;
+
+    const latestChat = entry.chats[0];
+    if (currentProductData && currentProductData.url !== entry.product.url) {
+      previousProductData = currentProductData;
+    }
+    currentProductData = entry.product;
+    currentChatHistory = latestChat
+      ? [...latestChat.messages]
+      : [{ role: 'system', content: `Loaded "${entry.title || 'product'}" from your library. Ask me anything about it.` }];
+    librarySession = { id, started_at: latestChat?.started_at || Date.now(), start_index: 0 };
+    isChatActive = true;
+    isCompareActive = false;
+
+    renderChatState();
+    renderPinnedList();
+    renderVariantButton();
+    await saveChatSession();
+    document.querySelector('.tab[data-tab="chat"]').click();
+    chatInput.focus();
+  }
+
+  librarySearch.addEventListener('input', renderLibrary);
+  librarySort.addEventListener('change', renderLibrary);
+  document.querySelector('.tab[data-tab="library"]').addEventListener('click', renderLibrary);
+
+  // --- DAILY STACK ---
+  function formatAmount(value, unit) {
+    if (value === null || value === undefined) return '—';
+    // Micronutrients are stored in mg; show µg below 1 mg
+    if (unit === 'mg' && value > 0 && value < 1) return `${Math.round(value * 1000 * 10) / 10} µg`;
+    return `${Math.round(value * 10) / 10} ${unit}`;
+  }
+
+  function targetText(row) {
+    if (row.key === 'energy_kcal') return row.max !== null ? `~${formatAmount(row.max, row.unit)}` : '—';
+    if (row.key === 'protein_g') return row.min !== null ? `${row.min}–${formatAmount(row.max, row.unit)}` : '—';
+    if (row.min !== null) return `NRV ${formatAmount(row.min, row.unit)}${row.max !== null ? `, max ${formatAmount(row.max, row.unit)}` : ''}`;
+    return row.max !== null ? `max ${formatAmount(row.max, row.unit)}` : '—';
+  }
+
+  async function renderStack() {
+    const stack = await getStack();
+    const report = buildStackReport(stack, await getUserContext());
+
+    stackList.innerHTML = '';
+    stackEmpty.style.display = stack.length === 0 ? 'block' : 'none';
+    stack.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'library-item';
+
+      const info = document.createElement('div');
+      info.className = 'library-info';
+      const title = document.createElement('span');
+      title.className = 'item-name';
+      title.textContent = entry.title || entry.url;
+      const meta = document.createElement('span');
+      meta.className = 'library-meta';
+      meta.textContent = [
+        variantLabel(entry.variant),
+        entry.per_serving ? null : 'no nutrition data',
+        entry.servings_stated ? 'servings from the label' : null
+      ].filter(Boolean).join(' · ');
+      info.append(title, meta);
+
+      const servings = document.createElement('input');
+      servings.type = 'number';
+      servings.className = 'stack-servings';
+      servings.min = '0';
+      servings.step = '0.5';
+      servings.value = entry.servings_per_day;
+      servings.title = 'Servings per day';
+      servings.addEventListener('change', async () => {
+        const value = parseFloat(servings.value);
+        if (!(value >= 0)) return;
+        await updateStackServings(entry.id, value);
+        renderStack();
+      });
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn-secondary library-btn';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', async () => {
+        await removeStackItem(entry.id);
+        renderStack();
+        renderStackButton();
+      });
+
+      item.append(info, servings, removeBtn);
+      stackList.appendChild(item);
+    });
+
+    stackTotals.innerHTML = '';
+    if (stack.length === 0) return;
+
+    const card = document.createElement('div');
+    card.className = 'result-card facts-card';
+    const heading = document.createElement('h4');
+    heading.textContent = '📊 Per day';
+    card.appendChild(heading);
+
+    const table = document.createElement('table');
+    table.className = 'compare-table';
+    const headRow = document.createElement('tr');
+    ['', 'Total', 'Target', '%'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+    table.appendChild(headRow);
+
+    report.rows.filter(row => row.total !== null).forEach(row => {
+      const tr = document.createElement('tr');
+      tr.title = report.targets.basis[row.key] || '';
+      const label = document.createElement('th');
+      label.textContent = row.label;
+      tr.appendChild(label);
+      [formatAmount(row.total, row.unit), targetText(row), row.percent !== null ? `${row.percent}%` : '—'].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (row.status === 'over') td.className = 'over';
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+    card.appendChild(table);
+
+    const note = document.createElement('p');
+    note.className = 'stack-note';
+    note.textContent = `Supplements only, food not included. Targets come from your profile (hover a row for the basis).${report.incomplete.length > 0 ? ` No nutrition data for: ${report.incomplete.join(', ')}.` : ''}`;
+    card.appendChild(note);
+    stackTotals.appendChild(card);
+  }
+
+  async function renderStackButton() {
+    const inStack = currentProductData && (await getStack()).some(entry => entry.id === createStackItem(currentProductData).id);
+    addStackBtn.disabled = !currentProductData || isCompareActive || inStack;
+    addStackBtn.textContent = inStack ? '✓ In your stack' : '➕ Add to stack';
+  }
+
+  addStackBtn.addEventListener('click', async () => {
+    if (!currentProductData) return;
+    const item = createStackItem(currentProductData);
+    await saveStackItem(item);
+    renderStackButton();
+    const stackMsg = {
+      role: 'system',
+      content: `Added "${item.title || 'product'}" to your stack (${item.servings_per_day} serving${item.servings_per_day > 1 ? 's' : ''}/day${item.servings_stated ? ', from the label' : ''}). Change it in the Stack tab.`
+    };
+    currentChatHistory.push(stackMsg);
+    addChatMessage(stackMsg.role, stackMsg.content);
+    await saveChatSession();
+  });
+
+  document.querySelector('.tab[data-tab="stack"]').addEventListener('click', renderStack);
+
+  // Render the deterministic "verified facts" card (rule summary) in the chat panel
+  function renderFactsCard(facts, scroll = true) {
+    const card = document.createElement('div');
+    card.className = 'result-card facts-card';
+
+    const title = document.createElement('h4');
+    title.textContent = '✅ Verified facts';
+    card.appendChild(title);
+
+    // Avoided stimulants get the banner above the chat
+    stimulantFacts = facts;
+    renderStimulantBanner();
+
+    // Hard warnings: allergens the user marked to avoid
+    if (facts.allergen_warnings?.length > 0) {
+      const alert = document.createElement('div');
+      alert.className = 'allergen-alert';
+      const heading = document.createElement('strong');
+      heading.textContent = '⛔ Allergen warning';
+      const list = document.createElement('ul');
+      facts.allergen_warnings.forEach(warning => {
+        const item = document.createElement('li');
+        item.textContent = warning.reason;
+        list.appendChild(item);
+      });
+      alert.append(heading, list);
+      card.appendChild(alert);
+    }
+
+    const addSection = (label, value, isWarning = false) => {
+      const section = document.createElement('div');
+      section.className = 'result-section';
+      const heading = document.createElement('h4');
+      heading.textContent = label;
+      const text = document.createElement('p');
+      text.textContent = value;
+      if (isWarning) text.className = 'facts-warning';
+      section.append(heading, text);
+      card.appendChild(section);
+    };
+
+    const stim = facts.stimulants;
+    const stimAmounts = (stim?.amounts || [])
+      .filter(item => item.mg_per_serving !== null)
+      .map(item => `${item.key} ${item.mg_per_serving} mg${item.caffeine_mg !== null ? ` (≈${item.caffeine_mg} mg caffeine)` : ''}`);
+    addSection('Stimulants',
+      stim?.present
+        ? `${stim.found.join(', ')} (${stim.type})${stimAmounts.length > 0 ? ` · per serving: ${stimAmounts.join(', ')}` : ''}`
+        : 'None found in ingredients',
+      stim?.present);
+    if (stim?.notes?.length > 0) addSection('Stimulant amounts', stim.notes.join(' '), stim.above_reference);
+
+    const additiveClasses = Object.keys(ADDITIVE_CLASSES).filter(type => facts.additives?.[type]?.length > 0);
+    if (facts.additives) {
+      addSection('Sweeteners & additives',
+        additiveClasses.length > 0
+          ? additiveClasses.map(type => `${ADDITIVE_CLASSES[type]}: ${facts.additives[type].join(', ')}`).join(' · ')
+          : 'None recognized in ingredients');
+    }
+    if (facts.additive_warnings?.length > 0) {
+      addSection('Additive preferences', facts.additive_warnings.map(warning => warning.reason).join(' '), true);
+    }
+
+    addSection('Dietary conflicts',
+      facts.dietary_reasons?.length > 0
+        ? facts.dietary_reasons.map(m => m.reason).join(' ')
+        : 'None with your dietary preferences',
+      facts.dietary_reasons?.length > 0);
+
+    if (facts.allergens) {
+      const parts = [];
+      if (facts.allergens.contains.length > 0) parts.push(`Contains: ${facts.allergens.contains.join(', ')}`);
+      if (facts.allergens.may_contain.length > 0) parts.push(`May contain: ${facts.allergens.may_contain.join(', ')}`);
+      addSection('Allergens (EU 14)', parts.length > 0 ? parts.join(' · ') : 'None detected on the label');
+    }
+
+    const missing = facts.missing_fields?.length > 0 ? ` (missing: ${facts.missing_fields.join(', ')})` : '';
+    addSection('Data completeness', `${Math.round(facts.data_completeness * 100)}%${missing}`);
+
+    addSection('Confidence', `${Math.round(facts.confidence_score * 100)}%`);
+
+    chatMessages.appendChild(card);
+    if (scroll) chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
+  // Generate the structured verdict, merge it with the rule checks and store it with the product
+  async function loadFitVerdict(message, card, libraryId, product) {
+    fillVerdictCard(card, null);
+    const userContext = await getUserContext();
+    const facts = generateRuleSummary(product, userContext);
+    const settings = await getChatSettings();
+    const result = settings.locked
+      ? { ok: false, verdict: null, error: 'API keys are locked.' }
+      : await generateFitVerdict(product, userContext, settings.apiKey, settings);
+
+    const verdict = mergeFitVerdict(result.verdict, facts, userContext);
+    if (!result.ok) verdict.error = result.error;
+    fillVerdictCard(card, verdict, () => loadFitVerdict(message, card, libraryId, product));
+
+    message.verdict = verdict;
+    // Rules-only fallbacks (no key, vault locked, call failed) are shown but never cached
+    if (!verdict.error) {
+      product.fit_verdict = verdict;
+      if (libraryId) await saveLibraryVerdict(libraryId, verdict);
+    }
+    await saveChatSession();
+  }
+
+  // Verdict card; null renders the pending state (filled in by fillVerdictCard)
+  function renderVerdictCard(verdict, scroll = true, onRerate = null) {
+    const card = document.createElement('div');
+    card.className = 'result-card facts-card verdict-card';
+    fillVerdictCard(card, verdict, onRerate);
+    chatMessages.appendChild(card);
+    if (scroll) chatMessages.scrollTop = chatMessages.scrollHeight;
+    return card;
+  }
+
+  // onRerate: adds a "Rate again" button (a new API call) to the card of the loaded product
+  function fillVerdictCard(card, verdict, onRerate = null) {
+    card.innerHTML = '';
+    const title = document.createElement('h4');
+    title.textContent = '🎯 Fit verdict';
+    card.appendChild(title);
+
+    if (!verdict) {
+      const pending = document.createElement('p');
+      pending.className = 'verdict-pending';
+      pending.textContent = 'Rating this product against your profile...';
+      card.appendChild(pending);
+      return;
+    }
+
+    const score = document.createElement('div');
+    score.className = `verdict-score ${verdict.verdict}`;
+    score.textContent = verdict.overall_score !== null
+      ? `${verdict.overall_score}/100 · ${VERDICT_LABELS[verdict.verdict]}`
+      : VERDICT_LABELS[verdict.verdict];
+    card.appendChild(score);
+
+    if (verdict.summary) {
+      const summary = document.createElement('p');
+      summary.textContent = verdict.summary;
+      card.appendChild(summary);
+    }
+
+    const addList = (label, items) => {
+      if (items.length === 0) return;
+      const section = document.createElement('div');
+      section.className = 'result-section';
+      const heading = document.createElement('h4');
+      heading.textContent = label;
+      const list = document.createElement('ul');
+      list.className = 'verdict-list';
+      items.forEach(({ text, className }) => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        if (className) item.className = className;
+        list.appendChild(item);
+      });
+      section.append(heading, list);
+      card.appendChild(section);
+    };
+
+    addList('Your goals', verdict.goal_alignment.map(goal => ({
+      text: `${goal.goal}: ${goal.alignment} - ${goal.reason}`,
+      className: `alignment-${goal.alignment}`
+    })));
+    addList('Red flags', verdict.red_flags.map(flag => ({
+      text: `${flag.issue} (${flag.source === 'rules' ? 'verified' : flag.evidence_field})`,
+      className: `severity-${flag.severity}`
+    })));
+    addList('Evidence', verdict.evidence.map(item => ({ text: `${item.field}: ${item.quote}` })));
+
+    if (verdict.error) {
+      const note = document.createElement('p');
+      note.className = 'facts-warning';
+      note.textContent = `AI verdict unavailable (${verdict.error}). Showing verified rule checks only.`;
+      card.appendChild(note);
+    }
+
+    if (onRerate) {
+      const rerate = document.createElement('button');
+      rerate.className = 'btn-link verdict-rerate';
+      rerate.textContent = 'Rate again';
+      rerate.title = 'Ask the model again (e.g. after changing your profile)';
+      rerate.addEventListener('click', () => { if (!isStimulantWarningPending()) onRerate(); });
+      card.appendChild(rerate);
+    }
+  }
+
+  // Render the value card (price per serving / kg / 20g protein)
+  function renderValueCard(value, scroll = true) {
+    if (value.price === null) return;
+
+    const card = document.createElement('div');
+    card.className = 'result-card facts-card value-card';
+
+    const title = document.createElement('h4');
+    title.textContent = '💶 Value';
+    card.appendChild(title);
+
+    const addSection = (label, text) => {
+      const section = document.createElement('div');
+      section.className = 'result-section';
+      const heading = document.createElement('h4');
+      heading.textContent = label;
+      const line = document.createElement('p');
+      line.textContent = text;
+      section.append(heading, line);
+      card.appendChild(section);
+    };
+
+    const variantText = [value.variant?.size, value.variant?.flavour].filter(Boolean).join(' · ');
+    addSection('Price', variantText ? `${formatPrice(value.price, value.currency)} (${variantText})` : formatPrice(value.price, value.currency));
+
+    if (value.servings_per_container) {
+      const source = value.servings_source === 'label' ? 'stated on the page' : 'estimated from pack size';
+      addSection('Servings', `${value.servings_per_container} (${source})`);
+    }
+    addSection('Per serving', formatPrice(value.cost_per_serving, value.currency));
+    addSection('Per kg', formatPrice(value.cost_per_kg, value.currency));
+    addSection(`Per ${PROTEIN_REFERENCE_G}g protein`, formatPrice(value.cost_per_20g_protein, value.currency));
+
+    chatMessages.appendChild(card);
+    if (scroll) chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
+  function addChatMessage(role, text, scroll = true, grounding = {}) {
     const div = document.createElement('div');
     div.className = `chat-bubble ${role}`;
     const id = Date.now();
@@ -465,7 +1992,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     if (role === 'assistant') {
       // Parse markdown and render instantly (streaming handles animation for new messages)
-      div.innerHTML = parseMarkdown(text);
+      renderAnswer(div, text, grounding);
     } else {
       // Plain text for user/system messages
       div.textContent = text;
@@ -473,19 +2000,6 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     if (scroll) chatMessages.scrollTop = chatMessages.scrollHeight;
 
-    // Update clear button visibility after adding message
-    updateClearButtonVisibility();
-
-    // Show warning after 10 conversation messages (once per session)
-    if (!hasShownLengthWarning && countConversationMessages() >= 10) {
-      hasShownLengthWarning = true;
-      const warningDiv = document.createElement('div');
-      warningDiv.className = 'chat-bubble system warning';
-      warningDiv.textContent = '💡 Chat getting long. Consider clearing for better responses.';
-      chatMessages.appendChild(warningDiv);
-      if (scroll) chatMessages.scrollTop = chatMessages.scrollHeight;
-    }
-
     return id;
   }
 });
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseAdditivePreferences } from '../lib/additives.js';
+
+const keys = text => parseAdditivePreferences(text).map(preference => preference.key);
+
+test('parseAdditivePreferences reads "no sugar alcohols" as a polyol preference, not added sugar', () => {
+  for (const text of [
+    'No sugar alcohols please',
+    'sugar-alcohol free',
+    'sans sucres-alcools',
+    'pas de sucre-alcool',
+    'sans alcools de sucre'
+  ]) {
+    assert.deepEqual(keys(text), ['no_polyols'], text);
+  }
+});
+
+test('parseAdditivePreferences still reads added sugar avoidance', () => {
+  for (const text of ['no added sugar', 'sugar-free only', 'sans sucres ajoutés', 'no sugar, no sugar alcohols']) {
+    assert.ok(keys(text).includes('no_added_sugars'), text);
+  }
+  assert.deepEqual(keys('no sugar alcohols, sans sucre'), ['no_polyols', 'no_added_sugars']);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractCitations, findUnsupportedNumbers, groundAnswer } from '../lib/citations.js';
+import { parseLocaleNumber } from '../lib/nutrition.js';
+
+const PRODUCT = {
+  title: 'Impact Whey Protein',
+  ingredients: 'Concentré de protéines de lactosérum (lait) 82%, émulsifiant',
+  nutrition: { per_100g: { energy_kj: 1611.5, protein_g: 74, salt_g: 0.45 } }
+};
+
+test('findUnsupportedNumbers reads numbers like parseLocaleNumber does', () => {
+  assert.equal(parseLocaleNumber('1,611.5'), 1611.5);
+  assert.deepEqual(findUnsupportedNumbers('About 1,611.5 kJ and 74 g protein, 0,45 g salt.', [PRODUCT]), []);
+  // French decimal comma: "1,611" is 1.611, not the 1611.5 kJ in the data
+  assert.deepEqual(findUnsupportedNumbers('About 1,611 kJ.', [PRODUCT]), ['1,611 kJ']);
+  assert.deepEqual(findUnsupportedNumbers('Contains 25 g sugar.', [PRODUCT]), ['25 g']);
+});
+
+test('groundAnswer resolves quoted citations against the product fields', () => {
+  const answer = 'It is mostly whey [[ingredients: "lactosérum (lait) 82%"]], not pea [[ingredients: "protéines de pois"]].';
+  assert.equal(extractCitations(answer).citations.length, 2);
+  const { citations, unsupported_numbers: unsupported } = groundAnswer(answer, { products: [PRODUCT] });
+  assert.deepEqual(citations.map(citation => citation.verified), [true, false]);
+  assert.deepEqual(unsupported, []);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeComparisonMetrics, buildComparisonTable } from '../lib/compare.js';
+
+const WHEY = {
+  url: 'https://fr.myprotein.com/p/whey/1/',
+  title: 'Impact Whey 1kg',
+  price: '30,00 €',
+  ingredients: 'Protéines de <strong>lait</strong> (80%), Arôme, Édulcorant (sucralose).',
+  nutrition: { serving_size_g: 25, per_100g: { protein_g: 80, sugars_g: 4 }, per_serving: { protein_g: 20 } },
+  diet: ['Halal']
+};
+const VEGAN = {
+  url: 'https://fr.myprotein.com/p/vegan/2/',
+  title: 'Vegan Blend 1kg',
+  price: '25,00 €',
+  ingredients: 'Protéines de pois, Caféine, Arôme.',
+  nutrition: { serving_size_g: 25, per_100g: { protein_g: 70, sugars_g: 2 }, per_serving: { protein_g: 17.5 } },
+  diet: ['Vegan']
+};
+
+test('computeComparisonMetrics reads nutrition, value, stimulants and allergens', () => {
+  const metrics = computeComparisonMetrics(WHEY);
+  assert.equal(metrics.protein_per_100g, 80);
+  assert.equal(metrics.price_per_serving, 0.75);
+  assert.equal(metrics.price_per_20g_protein, 0.75);
+  assert.deepEqual(metrics.allergens, ['milk']);
+  assert.deepEqual(computeComparisonMetrics(VEGAN).stimulants, ['caffeine']);
+});
+
+test('buildComparisonTable highlights the best value per row and skips ties', () => {
+  const table = buildComparisonTable([WHEY, VEGAN]);
+  const row = key => table.rows.find(r => r.key === key);
+  assert.deepEqual(table.products.map(p => p.title), ['Impact Whey 1kg', 'Vegan Blend 1kg']);
+  assert.equal(row('protein_per_100g').best, 0);
+  assert.equal(row('sugars_per_100g').best, 1);
+  assert.equal(row('price_per_serving').best, 1);
+  assert.equal(row('stimulants').cells[0], '—');
+  assert.equal(buildComparisonTable([WHEY, { ...WHEY, url: 'x' }]).rows[0].best, null);
+});
+
+test('buildComparisonTable does not rank prices across currencies', () => {
+  const table = buildComparisonTable([WHEY, { ...VEGAN, price: '£20.00' }]);
+  const price = table.rows.find(r => r.key === 'price_per_serving');
+  assert.equal(price.best, null);
+  assert.equal(price.values[1], 0.5);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { estimateTokens, htmlToText, compactObject, compactProduct, summarizeTurns, buildChatContext } from '../lib/context.js';
+
+test('htmlToText turns table rows into "cell | cell" lines and keeps inline words together', () => {
+  const html = '<table><tr><th>Pour 100 g</th><th></th></tr><tr><td>Protéines</td><td>80&nbsp;g</td></tr></table>' +
+    '<p>Protéines de <strong>lait</strong> &amp; soja</p>';
+  assert.equal(htmlToText(html), 'Pour 100 g\nProtéines | 80 g\nProtéines de lait & soja');
+  assert.equal(htmlToText(null), null);
+});
+
+test('compactProduct drops omitted and empty fields and reduces variant options to labels', () => {
+  const product = compactProduct({
+    title: 'Whey',
+    description: 'duplicate',
+    fit_verdict: { overall_score: 90 },
+    usage: '<p>1 dose</p>',
+    gtin: '',
+    allergens: [],
+    variant_options: { flavour: [{ label: 'Chocolat', id: 1 }] }
+  });
+  assert.deepEqual(product, { title: 'Whey', usage: '1 dose', variant_options: { flavour: ['Chocolat'] } });
+  assert.deepEqual(compactObject({ a: { b: null }, c: [[], 0] }), { c: [0] });
+});
+
+test('summarizeTurns keeps the newest lines within budget', () => {
+  const messages = Array.from({ length: 6 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `Turn ${i}. More text.` }));
+  const summary = summarizeTurns(messages, 20);
+  assert.match(summary, /^\(\d+ earlier turns omitted\)\n/);
+  assert.match(summary, /Assistant answered: Turn 5\.$/);
+  assert.ok(estimateTokens(summary.split('\n').slice(1).join('\n')) <= 20);
+});
+
+test('buildChatContext drops the previous product, then low-value fields, and keeps the last question', () => {
+  const productData = {
+    title: 'Whey',
+    image: 'https://example.com/whey.jpg',
+    why_choose: `<p>${'Great taste. '.repeat(100)}</p>`,
+    nutrition: { per_100g: { protein_g: 80 } },
+    nutrition_panel: '<table><tr><td>Protéines</td><td>80 g</td></tr></table>'
+  };
+  const messageHistory = [
+    { role: 'user', content: 'x'.repeat(400) },
+    { role: 'assistant', content: 'y'.repeat(400) },
+    { role: 'user', content: 'Is it vegan?' }
+  ];
+  const context = buildChatContext({ budget: 200, productData, previousProductData: { title: 'Old' }, messageHistory });
+
+  assert.equal(context.previousProduct, null);
+  assert.deepEqual(context.droppedFields.slice(0, 3), ['previous_product', 'image', 'why_choose']);
+  assert.equal(context.product.title, 'Whey');
+  assert.equal(context.messages.at(-1).content, 'Is it vegan?');
+  assert.ok(context.tokens <= 200);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractProductData, extractCartData } from '../lib/extract.js';
+import { extractAccordionSection } from '../lib/adapters/myprotein.js';
+import { loadFixture, PRODUCT_URL, BASKET_URL } from './helpers.js';
+
+test('extractAccordionSection returns the section HTML by title, case-insensitively', () => {
+  const doc = loadFixture('myprotein-product.html', PRODUCT_URL);
+  const usage = extractAccordionSection(doc, 'UTILISATION SUGGÉRÉE');
+  assert.equal(usage, '<p>Mélanger 1 portion (25 g) avec 250 ml d\'eau. 2 portions par jour.</p>');
+  assert.match(extractAccordionSection(doc, 'information nutritionnelle'), /^<table>/);
+  assert.equal(extractAccordionSection(doc, 'pourquoi choisir'), null);
+});
+
+test('extractProductData reads title, price, badges and variants', () => {
+  const data = extractProductData(loadFixture('myprotein-product.html', PRODUCT_URL), PRODUCT_URL);
+  assert.equal(data.source, 'myprotein');
+  assert.equal(data.extraction_confidence, 1);
+  assert.equal(data.title, 'Impact Whey Protein');
+  assert.equal(data.subtitle, 'Notre whey la plus vendue, 21 g de protéines par portion');
+  assert.equal(data.price, '29.99 EUR');
+  assert.deepEqual(data.badges, ['Végétarien', 'Informed Choice']);
+  assert.deepEqual(data.diet, data.badges);
+  assert.deepEqual(data.variant, { id: '10530943', size: '1kg', flavour: 'Chocolat Onctueux' });
+  assert.deepEqual(data.variant_options.size.map(option => option.label), ['250g', '1kg', '2.5kg']);
+  assert.equal(data.variant_options.flavour[1].url, `${PRODUCT_URL.split('?')[0]}?variation=10530950`);
+  assert.deepEqual(data.missing_data, []);
+});
+
+test('extractProductData tokenizes ingredients and parses the nutrition table', () => {
+  const data = extractProductData(loadFixture('myprotein-product.html', PRODUCT_URL), PRODUCT_URL);
+  assert.equal(data.ingredients_list[0].name, 'concentré de protéines de lactosérum');
+  assert.equal(data.ingredients_list[0].percent, 82);
+  assert.deepEqual(data.ingredients_list[3].children.map(child => child.name), ['gomme xanthane', 'gomme de guar']);
+  assert.ok(data.allergens.includes('lait'));
+
+  assert.equal(data.nutrition.serving_size_g, 25);
+  assert.equal(data.nutrition.per_100g.energy_kj, 1611);
+  assert.equal(data.nutrition.per_100g.energy_kcal, 381);
+  assert.equal(data.nutrition.per_100g.protein_g, 74);
+  assert.equal(data.nutrition.per_serving.sugars_g, 1.1);
+  assert.equal(data.nutrition.per_serving.micronutrients.calcium, 125);
+  assert.deepEqual(data.nutrition.derived, []);
+});
+
+test('extractProductData reports selectors and unmapped sections in diagnostics', () => {
+  const data = extractProductData(loadFixture('myprotein-product.html', PRODUCT_URL), PRODUCT_URL);
+  assert.equal(data.diagnostics.adapter, 'myprotein');
+  assert.equal(data.diagnostics.selectors.ingredients, 'accordion-item "ingrédients"');
+  assert.deepEqual(data.diagnostics.unmapped_sections, ['Avis clients']);
+  assert.deepEqual(data.diagnostics.critical_missing, []);
+});
+
+test('extractProductData flags missing sections on a page without accordions', () => {
+  const data = extractProductData(loadFixture('myprotein-basket.html', BASKET_URL), PRODUCT_URL);
+  assert.ok(data.missing_data.includes('ingredients'));
+  assert.deepEqual(data.ingredients_list, []);
+  assert.equal(data.nutrition, null);
+  assert.ok(data.diagnostics.critical_missing.includes('nutrition'));
+});
+
+test('extractCartData lists basket items with quantity, price and URL, without delivery lines', () => {
+  const cart = extractCartData(loadFixture('myprotein-basket.html', BASKET_URL), BASKET_URL);
+  assert.deepEqual(cart.items, [
+    { name: 'Impact Whey Protein', quantity: 2, price: '59,98 €', url: 'https://fr.myprotein.com/p/nutrition-sportive/impact-whey-protein/10530943/' },
+    { name: 'THE Pre-Workout', quantity: 1, price: '34,99 €', url: 'https://fr.myprotein.com/p/nutrition-sportive/the-pre-workout/12345678/' }
+  ]);
+  assert.equal(cart.total, '99,96 €');
+  assert.deepEqual(cart.missing_data, []);
+});
+
+test('extractCartData reports missing items on an unsupported site', () => {
+  const cart = extractCartData(loadFixture('myprotein-basket.html', BASKET_URL), 'https://example.com/cart');
+  assert.deepEqual(cart.items, []);
+  assert.deepEqual(cart.missing_data, ['items', 'total']);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fetchTextWithRetry, runQueue } from '../lib/fetcher.js';
+import { mockFetch } from './helpers.js';
+
+// Short delays so retries do not slow the suite down
+const FAST = { backoffMs: 1, timeoutMs: 200 };
+
+test('fetchTextWithRetry retries 5xx and 429 responses, then returns the body', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const statuses = [503, 429];
+  const fetchMock = mockFetch(() => {
+    const status = statuses.shift();
+    return status ? new Response('busy', { status, headers: { 'Retry-After': '0' } }) : new Response('<html>ok</html>');
+  });
+  try {
+    assert.equal(await fetchTextWithRetry('https://shop.example/p/1', FAST), '<html>ok</html>');
+    assert.equal(fetchMock.calls.length, 3);
+    assert.equal(fetchMock.calls[0].init.credentials, 'include');
+  } finally {
+    fetchMock.restore();
+  }
+});
+
+test('fetchTextWithRetry does not retry client errors', async () => {
+  const fetchMock = mockFetch(() => new Response('gone', { status: 404 }));
+  try {
+    await assert.rejects(fetchTextWithRetry('https://shop.example/p/1', FAST), /HTTP 404/);
+    assert.equal(fetchMock.calls.length, 1);
+  } finally {
+    fetchMock.restore();
+  }
+});
+
+test('fetchTextWithRetry gives up after the last retry and reports timeouts', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const fetchMock = mockFetch((url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  }));
+  try {
+    await assert.rejects(fetchTextWithRetry('https://shop.example/p/1', { ...FAST, retries: 1, timeoutMs: 20 }), /Timed out after 20ms/);
+    assert.equal(fetchMock.calls.length, 2);
+  } finally {
+    fetchMock.restore();
+  }
+});
+
+test('runQueue respects the concurrency limit and keeps results in input order', async () => {
+  let running = 0;
+  let peak = 0;
+  const task = (value, ms) => async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    running--;
+    if (value === 'bad') throw new Error('failed');
+    return value;
+  };
+
+  const results = await runQueue([task('a', 15), task('bad', 1), task('c', 5), task('d', 1)], { concurrency: 2, delayMs: 0 });
+  assert.equal(peak, 2);
+  assert.deepEqual(results.map(r => r.status), ['fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+  assert.deepEqual(results.map(r => r.value ?? r.reason.message), ['a', 'failed', 'c', 'd']);
+  assert.deepEqual(await runQueue([]), []);
+});
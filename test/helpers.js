@@ -0,0 +1,54 @@
+/**
+ * WhatFits Test Helpers
+ * Fixture loading (jsdom) and a mocked streaming fetch for the node:test suite
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+export const PRODUCT_URL = 'https://fr.myprotein.com/p/nutrition-sportive/impact-whey-protein/10530943/?variation=10530943';
+export const BASKET_URL = 'https://fr.myprotein.com/basket';
+
+/**
+ * Parse a saved page from test/fixtures into a Document
+ * @param {string} name - Fixture file name
+ * @param {string} url - Page URL (relative links resolve against it)
+ * @returns {Document}
+ */
+export function loadFixture(name, url) {
+  const html = readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+  return new JSDOM(html, { url }).window.document;
+}
+
+/**
+ * Streaming Response whose body yields the given text chunks
+ * Chunks are cut anywhere (mid-line, mid-event) like network reads.
+ * @param {string[]} chunks
+ * @param {Object} [init] - Response init (status, headers)
+ * @returns {Response}
+ */
+export function streamResponse(chunks, init = {}) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' }, ...init });
+}
+
+/**
+ * Replace globalThis.fetch for one test, recording each request
+ * @param {Function} respond - (url, init) => Response
+ * @returns {{calls: Array<{url: string, init: Object}>, restore: Function}}
+ */
+export function mockFetch(respond) {
+  const original = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, init });
+    return respond(url, init);
+  };
+  return { calls, restore: () => { globalThis.fetch = original; } };
+}
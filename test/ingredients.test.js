@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { tokenizeIngredients, flattenIngredientNames } from '../lib/ingredients.js';
+
+const ACCORDION = '<p><strong>Ingrédients :</strong> Protéines de <strong>lait</strong> (80%), Arôme, ' +
+  'Mélange (Citrate de magnésium, Vitamine B6 [pyridoxine]), Caféine (200mg), Sel 0,5%.</p>' +
+  '<p>Peut contenir du soja.</p>';
+
+test('tokenizeIngredients splits top-level entries and keeps nested groups as children', () => {
+  const { ingredients, allergens, statements } = tokenizeIngredients(ACCORDION);
+  assert.deepEqual(ingredients.map(token => token.name), ['protéines de lait', 'arôme', 'mélange', 'caféine', 'sel']);
+
+  const [protein, , blend, caffeine, salt] = ingredients;
+  assert.equal(protein.percent, 80);
+  assert.equal(salt.percent, 0.5); // Decimal comma is not a separator
+  assert.equal(caffeine.amount_mg, 200);
+  assert.deepEqual(blend.children.map(token => token.name), ['citrate de magnésium', 'vitamine b6']);
+  assert.deepEqual(blend.children[1].children.map(token => token.name), ['pyridoxine']);
+
+  assert.deepEqual(allergens, ['lait']);
+  assert.deepEqual(statements, ['Peut contenir du soja']);
+});
+
+test('tokenizeIngredients returns an empty result for missing input', () => {
+  assert.deepEqual(tokenizeIngredients(null), { ingredients: [], allergens: [], statements: [] });
+  assert.deepEqual(tokenizeIngredients(''), { ingredients: [], allergens: [], statements: [] });
+});
+
+test('flattenIngredientNames walks sub-ingredients and accepts plain strings', () => {
+  const { ingredients } = tokenizeIngredients(ACCORDION);
+  assert.deepEqual(flattenIngredientNames(ingredients.slice(2, 3)), ['mélange', 'citrate de magnésium', 'vitamine b6', 'pyridoxine']);
+  assert.deepEqual(flattenIngredientNames(['whey', '']), ['whey']);
+  assert.deepEqual(flattenIngredientNames(null), []);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chatWithProduct } from '../lib/llm.js';
+import { extractProductData } from '../lib/extract.js';
+import { loadFixture, mockFetch, streamResponse, PRODUCT_URL } from './helpers.js';
+
+const HISTORY = [
+  { role: 'system', content: 'Loaded "Impact Whey Protein"!' },
+  { role: 'user', content: 'Any hidden sugars?' }
+];
+
+function whey() {
+  return extractProductData(loadFixture('myprotein-product.html', PRODUCT_URL), PRODUCT_URL);
+}
+
+function openAIEvent(text) {
+  return `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`;
+}
+
+test('chatWithProduct streams OpenAI deltas split across network chunks', async (t) => {
+  const stream = openAIEvent('Sugars: ') + openAIEvent('1.1 g per serving.') + 'data: [DONE]\n\n';
+  // Cut inside the second event and inside "[DONE]"
+  const fetchMock = mockFetch(() => streamResponse([stream.slice(0, 40), stream.slice(40, 95), stream.slice(95)]));
+  t.after(fetchMock.restore);
+
+  const chunks = [];
+  const reply = await chatWithProduct(HISTORY, whey(), null, { avoidances: ['milk'] }, 'sk-test', chunk => chunks.push(chunk));
+
+  assert.deepEqual(chunks, ['Sugars: ', '1.1 g per serving.']);
+  assert.deepEqual(reply, { role: 'assistant', content: 'Sugars: 1.1 g per serving.' });
+
+  const [{ url, init }] = fetchMock.calls;
+  assert.equal(url, 'https://api.openai.com/v1/chat/completions');
+  assert.equal(init.headers.Authorization, 'Bearer sk-test');
+  const body = JSON.parse(init.body);
+  assert.equal(body.stream, true);
+  assert.match(body.messages[0].content, /VERIFIED FACTS/);
+  assert.match(body.messages[0].content, /"allergen_warnings":\[\{"allergen":"milk"/);
+  assert.deepEqual(body.messages.at(-1), { role: 'user', content: 'Any hidden sugars?' });
+});
+
+test('chatWithProduct reads Anthropic content_block_delta events', async (t) => {
+  const events = [
+    'event: message_start\ndata: {"type":"message_start"}\n\n',
+    'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hello"}}\n\n',
+    'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+  ];
+  const fetchMock = mockFetch(() => streamResponse(events));
+  t.after(fetchMock.restore);
+
+  const reply = await chatWithProduct(HISTORY, whey(), null, {}, 'sk-ant', null, { provider: 'anthropic' });
+  assert.equal(reply.content, 'Hello');
+  assert.match(fetchMock.calls[0].url, /anthropic/);
+});
+
+test('chatWithProduct turns HTTP and mid-stream errors into a message', async (t) => {
+  const original = console.error;
+  console.error = () => {};
+  t.after(() => { console.error = original; });
+
+  let fetchMock = mockFetch(() => new Response(JSON.stringify({ error: { message: 'Invalid API key' } }), { status: 401 }));
+  let reply = await chatWithProduct(HISTORY, whey(), null, {}, 'sk-bad', null);
+  fetchMock.restore();
+  assert.match(reply.content, /Invalid API key/);
+
+  fetchMock = mockFetch(() => streamResponse([openAIEvent('Partial'), 'data: {"error":{"message":"overloaded"}}\n\n']));
+  reply = await chatWithProduct(HISTORY, whey(), null, {}, 'sk-test', null);
+  fetchMock.restore();
+  assert.match(reply.content, /overloaded/);
+});
+
+test('chatWithProduct returns the partial answer when stopped', async (t) => {
+  const controller = new AbortController();
+  const fetchMock = mockFetch((url, init) => {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+      start(streamController) {
+        streamController.enqueue(encoder.encode(openAIEvent('Half an ')));
+        init.signal.addEventListener('abort', () => streamController.error(new DOMException('Aborted', 'AbortError')));
+      }
+    });
+    return new Response(body, { status: 200 });
+  });
+  t.after(fetchMock.restore);
+
+  const reply = await chatWithProduct(HISTORY, whey(), null, {}, 'sk-test', () => controller.abort(), { signal: controller.signal });
+  assert.deepEqual(reply, { role: 'assistant', content: 'Half an ', stopped: true });
+});
+
+test('chatWithProduct asks for an API key before calling the provider', async (t) => {
+  const fetchMock = mockFetch(() => assert.fail('fetch should not be called'));
+  t.after(fetchMock.restore);
+
+  const reply = await chatWithProduct(HISTORY, whey(), null, {}, '', null);
+  assert.match(reply.content, /No API key configured/);
+  assert.equal(fetchMock.calls.length, 0);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseLocaleNumber, parseNutritionPanel, parseNutritionInformation } from '../lib/nutrition.js';
+import { extractProductData } from '../lib/extract.js';
+import { loadFixture, PRODUCT_URL } from './helpers.js';
+
+const tables = loadFixture('nutrition-tables.html', PRODUCT_URL);
+const panel = (id, options) => parseNutritionPanel(tables.getElementById(id).innerHTML, options);
+
+test('parseLocaleNumber reads French and English decimals', () => {
+  assert.equal(parseLocaleNumber('7,5 g'), 7.5);
+  assert.equal(parseLocaleNumber('18.5'), 18.5);
+  assert.equal(parseLocaleNumber('<0,5'), 0.5);
+  assert.equal(parseLocaleNumber('0,450 g'), 0.45);
+  assert.equal(parseLocaleNumber('1,61'), 1.61);
+  assert.equal(parseLocaleNumber('n/a'), null);
+  assert.equal(parseLocaleNumber(null), null);
+});
+
+test('parseLocaleNumber keeps a comma before three digits decimal unless the text is English or a "." decimal follows', () => {
+  assert.equal(parseLocaleNumber('1,250 g'), 1.25);
+  assert.equal(parseLocaleNumber('2,500 µg', { locale: 'fr-FR' }), 2.5);
+  assert.equal(parseLocaleNumber('1 611 kJ'), 1611);
+  assert.equal(parseLocaleNumber('1,611.5'), 1611.5);
+  assert.equal(parseLocaleNumber('1,611 kJ', { locale: 'en-GB' }), 1611);
+  assert.equal(parseLocaleNumber('12,500,000', { locale: 'en' }), 12500000);
+});
+
+test('parseNutritionPanel reads a French table with three-decimal rows, a kcal continuation row and µg values', () => {
+  const nutrition = panel('fr-electrolytes', { locale: 'fr' });
+  assert.equal(nutrition.serving_size_g, 8);
+  assert.deepEqual(nutrition.derived, []);
+
+  assert.equal(nutrition.per_100g.energy_kj, 1250);
+  assert.equal(nutrition.per_100g.energy_kcal, 298);
+  assert.equal(nutrition.per_serving.energy_kcal, 24);
+  assert.equal(nutrition.per_100g.carbohydrate_g, 72.5);
+  assert.equal(nutrition.per_100g.sugars_g, 70);
+  assert.equal(nutrition.per_100g.salt_g, 1.25);
+  assert.equal(nutrition.per_serving.salt_g, 0.1);
+
+  // Micronutrients in mg, %VNR column ignored, µg-scale values kept exact
+  assert.equal(nutrition.per_100g.micronutrients.potassium, 2500);
+  assert.equal(nutrition.per_serving.micronutrients.potassium, 200);
+  assert.equal(nutrition.per_serving.micronutrients['vitamine b12'], 0.000625);
+  assert.equal(nutrition.per_100g.micronutrients['vitamine b12'], 0.0078125);
+});
+
+test('parseNutritionPanel derives per 100 g from a per-serving English table', () => {
+  const nutrition = panel('en-serving-only', { locale: 'en-GB' });
+  assert.equal(nutrition.serving_size_g, 50);
+  assert.deepEqual(nutrition.derived, ['per_100g']);
+  assert.equal(nutrition.per_serving.energy_kj, 1046);
+  assert.equal(nutrition.per_serving.energy_kcal, 250);
+  assert.equal(nutrition.per_100g.protein_g, 80);
+  assert.equal(nutrition.per_100g.salt_g, 0.5);
+  // Unit from the row label
+  assert.equal(nutrition.per_serving.micronutrients['vitamin d'], 0.005);
+  assert.equal(nutrition.per_100g.micronutrients['vitamin d'], 0.01);
+
+  assert.equal(parseNutritionPanel('<p>No table</p>'), null);
+  assert.equal(parseNutritionPanel(null), null);
+});
+
+test('extractProductData passes the page language to the nutrition parser', () => {
+  const doc = loadFixture('myprotein-product.html', PRODUCT_URL);
+  const row = [...doc.querySelectorAll('td')].find(cell => cell.textContent === '0,45 g');
+  row.textContent = '1,250 g';
+  assert.equal(extractProductData(doc, PRODUCT_URL).nutrition.per_100g.salt_g, 1.25);
+});
+
+test('parseNutritionInformation converts schema.org values per serving and derives per 100 g', () => {
+  const nutrition = parseNutritionInformation({
+    servingSize: '30 g', calories: '120 kcal', proteinContent: '24 g', sodiumContent: '200 mg'
+  });
+  assert.equal(nutrition.per_serving.protein_g, 24);
+  assert.equal(nutrition.per_serving.energy_kcal, 120);
+  assert.equal(nutrition.per_serving.salt_g, 0.5);
+  assert.equal(nutrition.per_100g.protein_g, 80);
+  assert.equal(parseNutritionInformation({}), null);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  PROFILE_SCHEMA_VERSION, DEFAULT_USER_CONTEXT, detectSchemaVersion, migrateUserContext,
+  buildProfilesExport, parseProfilesImport
+} from '../lib/profiles.js';
+
+const V1_CONTEXT = { goals: ['muscle_gain'], preferences: ['vegan', 'no_stimulants', 'dairy_free'], dietary: [] };
+
+test('detectSchemaVersion guesses unversioned shapes', () => {
+  assert.equal(detectSchemaVersion(V1_CONTEXT), 1);
+  assert.equal(detectSchemaVersion({ primary_goal: [] }), 2);
+  assert.equal(detectSchemaVersion({ age: 30, dietary: ['vegan'] }), 3);
+  assert.equal(detectSchemaVersion({ ...DEFAULT_USER_CONTEXT }), 3);
+});
+
+test('migrateUserContext maps v1 preferences onto the current questions', () => {
+  const context = migrateUserContext(V1_CONTEXT);
+  assert.deepEqual(context.primary_goal, ['muscle_gain']);
+  assert.deepEqual(context.dietary_style, ['vegan']);
+  assert.deepEqual(context.avoidances, ['stimulants', 'milk']);
+  assert.deepEqual(Object.keys(context), Object.keys(DEFAULT_USER_CONTEXT));
+});
+
+test('migrateUserContext merges the v3 dietary copy and drops unknown fields', () => {
+  const context = migrateUserContext({ age: 30, dietary: ['vegan'], dietary_style: ['high_protein'], bmi: 22 }, 3);
+  assert.deepEqual(context.dietary_style, ['high_protein', 'vegan']);
+  assert.equal(context.age, 30);
+  assert.equal('bmi' in context, false);
+  assert.equal('dietary' in context, false);
+});
+
+test('parseProfilesImport reads an export back', () => {
+  const exported = buildProfilesExport([{ name: 'Me', schema_version: PROFILE_SCHEMA_VERSION, context: { ...DEFAULT_USER_CONTEXT, age: 40 }, stack: [{ id: 'a' }, {}] }]);
+  const result = parseProfilesImport(JSON.stringify(exported));
+  assert.equal(result.ok, true);
+  assert.equal(result.profiles[0].name, 'Me');
+  assert.equal(result.profiles[0].context.age, 40);
+  assert.deepEqual(result.profiles[0].stack, [{ id: 'a' }]);
+});
+
+test('parseProfilesImport accepts a bare old context and rejects unusable files', () => {
+  const bare = parseProfilesImport(JSON.stringify(V1_CONTEXT));
+  assert.equal(bare.ok, true);
+  assert.equal(bare.profiles[0].name, 'Imported profile');
+  assert.deepEqual(bare.profiles[0].context.dietary_style, ['vegan']);
+
+  assert.equal(parseProfilesImport('{').error, 'Not a JSON file.');
+  assert.equal(parseProfilesImport('[]').error, 'Unrecognized profile file.');
+  assert.equal(parseProfilesImport(JSON.stringify({ format: 'whatfits-profiles', profiles: [] })).error, 'No profiles found in this file.');
+  const newer = { format: 'whatfits-profiles', profiles: [{ name: 'Later', schema_version: PROFILE_SCHEMA_VERSION + 1, context: {} }] };
+  assert.equal(parseProfilesImport(JSON.stringify(newer)).ok, false);
+});
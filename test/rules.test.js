@@ -0,0 +1,199 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as rules from '../lib/rules.js';
+import { extractProductData } from '../lib/extract.js';
+import { deriveDailyTargets } from '../lib/stack.js';
+import { loadFixture, PRODUCT_URL } from './helpers.js';
+
+const {
+  normalizeIngredients, checkStimulants, quantifyStimulants, detectAllergens, checkAllergenConflicts,
+  detectRedundancies, checkDietaryMismatches, detectMissingData, calculateAnalysisConfidence,
+  preprocessProductData, generateRuleSummary, estimateDailyServings, getCaffeinePerServingMg, analyzeCart,
+  caffeineDailyReference, CAFFEINE_SINGLE_DOSE_MG, CAFFEINE_DAILY_MG, CAFFEINE_DAILY_MG_PER_KG_UNDER_18
+} = rules;
+
+const TESTED_EXPORTS = [
+  'normalizeIngredients', 'checkStimulants', 'quantifyStimulants', 'detectAllergens', 'checkAllergenConflicts',
+  'detectRedundancies', 'checkDietaryMismatches', 'detectMissingData', 'calculateAnalysisConfidence',
+  'preprocessProductData', 'generateRuleSummary', 'estimateDailyServings', 'getCaffeinePerServingMg', 'analyzeCart',
+  'caffeineDailyReference', 'CAFFEINE_SINGLE_DOSE_MG', 'CAFFEINE_DAILY_MG', 'CAFFEINE_DAILY_MG_PER_KG_UNDER_18'
+];
+
+const PRE_WORKOUT = {
+  name: 'THE Pre-Workout',
+  title: 'THE Pre-Workout',
+  enriched: true,
+  ingredients: 'Citrulline malate, Extrait de guarana (Paullinia cupana) (titré à 22% en caféine) 500mg, Caféine anhydre (150mg), Théacrine (100mg), DMHA',
+  usage: '<p>1 dose par jour</p>',
+  nutrition: { serving_size_g: 10 }
+};
+
+function whey() {
+  return extractProductData(loadFixture('myprotein-product.html', PRODUCT_URL), PRODUCT_URL);
+}
+
+test('every lib/rules.js export has a test', () => {
+  assert.deepEqual(Object.keys(rules).sort(), [...TESTED_EXPORTS].sort());
+});
+
+test('normalizeIngredients lowercases, drops brackets and flattens sub-ingredients', () => {
+  assert.deepEqual(normalizeIngredients(['Whey (Milk) 80%', ' Cocoa ', 'whey (milk) 80%']), ['whey 80', 'cocoa']);
+  assert.deepEqual(normalizeIngredients('Épaississants (gomme xanthane, gomme de guar), Sel'),
+    ['épaississants', 'gomme xanthane', 'gomme de guar', 'sel']);
+  assert.deepEqual(normalizeIngredients(null), []);
+});
+
+test('checkStimulants types direct and botanical stimulants on whole words', () => {
+  assert.deepEqual(checkStimulants(['caféine anhydre', 'protéine de pois']), { present: true, found: ['caffeine'], type: 'direct' });
+  assert.deepEqual(checkStimulants(['extrait de guarana']), { present: true, found: ['guarana'], type: 'botanical' });
+  assert.deepEqual(checkStimulants(['tomate', 'pea protein']), { present: false, found: [], type: 'none' });
+  assert.deepEqual(checkStimulants(undefined), { present: false, found: [], type: 'none' });
+});
+
+test('checkStimulants keeps a botanical with a stated caffeine strength botanical', () => {
+  const guaranaOnly = preprocessProductData({ ingredients: 'Extrait de guarana (Paullinia cupana) (titré à 22% en caféine) 500mg, Citrulline' });
+  assert.deepEqual(checkStimulants(guaranaOnly.ingredients_list), { present: true, found: ['guarana'], type: 'botanical' });
+  assert.equal(generateRuleSummary({ ingredients: 'Guarana extract (22% caffeine), Beta-alanine' }).stimulants.type, 'botanical');
+  // An unmatched parent still exposes its stimulant sub-ingredients
+  assert.deepEqual(checkStimulants(preprocessProductData({ ingredients: 'Energy blend (caffeine anhydrous, taurine)' }).ingredients_list),
+    { present: true, found: ['caffeine'], type: 'direct' });
+});
+
+test('quantifyStimulants reads mg amounts and estimates caffeine from a stated extract strength', () => {
+  const result = quantifyStimulants(PRE_WORKOUT);
+  const guarana = result.amounts.find(item => item.key === 'guarana');
+  assert.equal(guarana.mg_per_serving, 500);
+  assert.equal(guarana.caffeine_mg, 110);
+  assert.equal(result.amounts.find(item => item.key === 'theacrine').mg_per_serving, 100);
+  assert.equal(result.caffeine_mg_per_serving, 260);
+  assert.equal(result.caffeine_mg_per_day, 260);
+  assert.equal(result.above_reference, true);
+  assert.ok(result.notes.some(note => note.includes('above the 200 mg single-intake reference')));
+  assert.ok(result.notes.some(note => note.startsWith('dmha is not authorised')));
+});
+
+test('quantifyStimulants prefers the nutrition panel and applies the under-18 reference', () => {
+  const product = {
+    ingredients: 'Whey, extrait de thé vert 5%',
+    usage: '2 portions par jour',
+    nutrition: { serving_size_g: 30, per_serving: { micronutrients: { 'caféine': 90 } } }
+  };
+  const result = quantifyStimulants(product, { age: 16, weight_kg: 50 });
+  assert.equal(result.caffeine_mg_per_serving, 90);
+  assert.equal(result.caffeine_mg_per_day, 180);
+  assert.equal(result.servings_per_day, 2);
+  assert.ok(result.notes[0].includes('above the 150 mg/day general reference for under-18s'));
+});
+
+test('detectAllergens separates contained allergens from precautionary ones', () => {
+  const report = detectAllergens(whey());
+  assert.deepEqual(report.contains.map(a => a.category).sort(), ['milk', 'soy']);
+  assert.deepEqual(report.may_contain.map(a => a.category).sort(), ['eggs', 'gluten', 'nuts']);
+});
+
+test('detectAllergens reports peanuts in peanut butter without reporting milk', () => {
+  const categories = ingredients => detectAllergens({ ingredients }).contains.map(a => a.category).sort();
+  assert.deepEqual(categories('Oats, <b>Peanut Butter</b> (20%), Cocoa Butter'), ['gluten', 'peanuts']);
+  assert.deepEqual(categories('Beurre de cacahuète, beurre de cacao, sucre'), ['peanuts']);
+  assert.deepEqual(categories('Beurre (<b>lait</b>), Peanut butter'), ['milk', 'peanuts']);
+  assert.deepEqual(categories('Butter, almond butter'), ['milk', 'nuts']);
+  assert.deepEqual(checkAllergenConflicts(['peanuts'], detectAllergens({ ingredients: 'Peanut Butter' })).warnings
+    .map(w => w.allergen), ['peanuts']);
+});
+
+test('checkAllergenConflicts warns only on avoided allergens', () => {
+  const { warnings } = checkAllergenConflicts(['milk', 'gluten', 'sesame'], detectAllergens(whey()));
+  assert.deepEqual(warnings.map(w => [w.allergen, w.level]), [['milk', 'contains'], ['gluten', 'may_contain']]);
+  assert.deepEqual(checkAllergenConflicts(null, {}), { warnings: [] });
+});
+
+test('detectRedundancies lists ingredients shared by several cart items', () => {
+  const { redundancies } = detectRedundancies([
+    { name: 'A', ingredients: ['Creatine monohydrate', 'Cocoa'] },
+    { name: 'B', ingredients: ['creatine monohydrate'] },
+    { name: 'C' }
+  ]);
+  assert.deepEqual(redundancies, [{ ingredient: 'creatine monohydrate', products: ['A', 'B'] }]);
+});
+
+test('checkDietaryMismatches flags dairy for vegan and lactose-free profiles', () => {
+  const { mismatches } = checkDietaryMismatches(['vegan', 'lactose_free', 'high_protein'], preprocessProductData(whey()));
+  assert.deepEqual(mismatches.map(m => m.preference).sort(), ['lactose_free', 'vegan']);
+  assert.deepEqual(checkDietaryMismatches(undefined, {}), { mismatches: [] });
+});
+
+test('detectMissingData reports empty expected fields', () => {
+  assert.deepEqual(detectMissingData({ title: 'X', price: ' ', ingredients: [], claims: ['a'] }),
+    { missing_data: ['price', 'ingredients'], completeness: 0.5 });
+});
+
+test('calculateAnalysisConfidence weighs completeness, rule coverage and extraction', () => {
+  const product = { title: 'X', price: '1 €', ingredients: 'Whey', claims: ['a'] };
+  assert.equal(calculateAnalysisConfidence(product, {}).confidence, 0.8);
+  assert.equal(calculateAnalysisConfidence(product, { primary_goal: ['muscle'], avoidances: ['soy'] }).confidence, 1);
+  const generic = calculateAnalysisConfidence({ ...product, extraction_confidence: 0.6 }, {});
+  assert.equal(generic.confidence, 0.48);
+  assert.match(generic.explanation, /unsupported shop/);
+});
+
+test('preprocessProductData keeps the raw list and normalizes ingredients', () => {
+  const processed = preprocessProductData({ ingredients: '<b>Lait</b> entier, Sucre' });
+  assert.equal(processed.ingredients_raw, '<b>Lait</b> entier, Sucre');
+  assert.deepEqual(processed.ingredients, ['lait entier', 'sucre']);
+  assert.deepEqual(processed.allergens, ['lait']);
+  const empty = { ingredients: null };
+  assert.equal(preprocessProductData(empty), empty);
+});
+
+test('generateRuleSummary combines the rule checks for the fixture product', () => {
+  const summary = generateRuleSummary(whey(), { avoidances: ['milk', 'artificial_sweeteners'], dietary_style: ['vegan'] });
+  assert.equal(summary.stimulants.present, false);
+  assert.equal(summary.stimulant_warning, null);
+  assert.deepEqual(summary.dietary_mismatches, ['vegan']);
+  assert.deepEqual(summary.allergen_warnings.map(w => w.allergen), ['milk']);
+  assert.deepEqual(summary.additives.artificial_sweetener, ['sucralose']);
+  assert.deepEqual(summary.additive_warnings.map(w => w.preference), ['artificial_sweeteners']);
+  assert.equal(summary.data_completeness, 1);
+  assert.equal(summary.ingredient_count, 10);
+});
+
+test('generateRuleSummary warns when the profile avoids stimulants', () => {
+  const summary = generateRuleSummary(PRE_WORKOUT, { avoidances: ['stimulants'] });
+  assert.equal(summary.stimulant_warning, 'Contains stimulants (caffeine, theacrine, dmha, guarana), which you marked to avoid.');
+});
+
+test('estimateDailyServings reads the stated servings per day', () => {
+  assert.deepEqual(estimateDailyServings('<p>Prendre 3 gélules par jour.</p>'), { servings: 3, stated: true });
+  assert.deepEqual(estimateDailyServings('1 scoop daily'), { servings: 1, stated: true });
+  assert.deepEqual(estimateDailyServings(null), { servings: 1, stated: false });
+});
+
+test('getCaffeinePerServingMg returns null when no caffeine amount is stated', () => {
+  assert.equal(getCaffeinePerServingMg(PRE_WORKOUT), 260);
+  assert.equal(getCaffeinePerServingMg(whey()), null);
+});
+
+test('analyzeCart totals daily protein and caffeine and gives a verdict per item', () => {
+  const report = analyzeCart([{ ...whey(), name: 'Impact Whey Protein', enriched: true }, PRE_WORKOUT], { avoidances: ['stimulants'] });
+  assert.deepEqual(report.items.map(item => item.verdict), ['fits', 'conflict']);
+  assert.equal(report.items[0].daily_protein_g, 37);
+  assert.deepEqual(report.stimulant_load.products, ['THE Pre-Workout']);
+  assert.deepEqual(report.daily_totals, { protein_g: 37, caffeine_mg: 260 });
+  assert.deepEqual(analyzeCart(null).items, []);
+});
+
+test('caffeineDailyReference is the EFSA reference shared by the product card and the stack', () => {
+  assert.equal(CAFFEINE_SINGLE_DOSE_MG, 200);
+  assert.deepEqual(caffeineDailyReference({ age: 30 }),
+    { mg: CAFFEINE_DAILY_MG, label: '400 mg/day general reference for healthy adults (EFSA)', under_18: false });
+  assert.equal(caffeineDailyReference({ age: 16, weight_kg: 50 }).mg, 50 * CAFFEINE_DAILY_MG_PER_KG_UNDER_18);
+
+  // Under 18 without a weight: adult reference plus a note, in both places
+  const noWeight = caffeineDailyReference({ age: 16 });
+  assert.equal(noWeight.mg, 400);
+  assert.match(noWeight.label, /under-18s is lower/);
+  assert.equal(deriveDailyTargets({ age: 16 }).caffeine_mg.max, noWeight.mg);
+  assert.equal(deriveDailyTargets({ age: 16, weight_kg: 50 }).caffeine_mg.max, 150);
+  assert.equal(deriveDailyTargets({ age: 16, avoidances: ['stimulants'] }).caffeine_mg.max, 0);
+});
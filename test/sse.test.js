@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSSEParser } from '../lib/sse.js';
+
+function parseChunks(chunks) {
+  const events = [];
+  const parser = createSSEParser(event => events.push(event));
+  chunks.forEach(chunk => parser.feed(chunk));
+  parser.end();
+  return events;
+}
+
+test('createSSEParser joins lines split across chunks and multi-line data', () => {
+  const events = parseChunks(['event: content_block_delta\nda', 'ta: {"a":1}\n', '\n: keep-alive\n\ndata: line one\r', '\ndata: line two\r\n\r\n']);
+  assert.deepEqual(events, [
+    { event: 'content_block_delta', data: '{"a":1}', id: null },
+    { event: 'message', data: 'line one\nline two', id: null }
+  ]);
+});
+
+test('createSSEParser keeps the last id, ignores unknown fields and flushes on end', () => {
+  const events = parseChunks(['id: 7\nretry: 1000\nfoo: bar\ndata:no space\n\n', 'data: [DONE]']);
+  assert.deepEqual(events, [
+    { event: 'message', data: 'no space', id: '7' },
+    { event: 'message', data: '[DONE]', id: '7' }
+  ]);
+});
+
+test('createSSEParser does not dispatch events without data', () => {
+  assert.deepEqual(parseChunks(['event: ping\n\n', ': comment\n\n']), []);
+});
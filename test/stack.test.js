@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createStackItem, deriveDailyTargets, computeStackTotals, buildStackReport } from '../lib/stack.js';
+
+const PRE_WORKOUT = {
+  url: 'https://fr.myprotein.com/p/pre-workout/123/?variation=1',
+  title: 'Pre-Workout',
+  usage: '<p>Prendre 1 dose par jour.</p>',
+  nutrition: { per_serving: { protein_g: 0, energy_kcal: 10, sugars_g: 1, micronutrients: { caféine: 200, 'vitamine b12': 0.0025 } } }
+};
+const WHEY = {
+  url: 'https://fr.myprotein.com/p/whey/456/',
+  title: 'Whey',
+  nutrition: { per_serving: { protein_g: 20, energy_kcal: 100, sugars_g: 2, micronutrients: { 'vitamin b12': 0.0005 } } }
+};
+
+test('createStackItem keeps per-serving nutrients and counts caffeine apart from micronutrients', () => {
+  const item = createStackItem(PRE_WORKOUT, 2);
+  assert.equal(item.id, 'https://fr.myprotein.com/p/pre-workout/123/');
+  assert.equal(item.servings_per_day, 2);
+  assert.equal(item.per_serving.caffeine_mg, 200);
+  assert.deepEqual(item.per_serving.micronutrients, { 'vitamine b12': 0.0025 });
+  assert.equal(createStackItem({ title: 'No label' }).per_serving, null);
+});
+
+test('deriveDailyTargets scales protein with weight and drops caffeine to zero when stimulants are avoided', () => {
+  const targets = deriveDailyTargets({ weight_kg: 80, primary_goal: ['muscle_gain'] });
+  assert.deepEqual(targets.protein_g, { min: 128, max: 176 });
+  assert.equal(targets.energy_kcal, null);
+  assert.equal(targets.sugars_g.max, 50);
+  assert.equal(targets.caffeine_mg.max, 400);
+  assert.equal(deriveDailyTargets({ avoidances: ['stimulants'] }).caffeine_mg.max, 0);
+});
+
+test('computeStackTotals multiplies by servings and merges micronutrient labels', () => {
+  const totals = computeStackTotals([createStackItem(PRE_WORKOUT, 2), createStackItem(WHEY, 1), { title: 'Unknown' }]);
+  assert.equal(totals.protein_g, 20);
+  assert.equal(totals.caffeine_mg, 400);
+  assert.deepEqual(totals.micronutrients.vitamin_b12, { label: 'Vitamin B12', mg: 0.0055 });
+  assert.deepEqual(totals.incomplete, ['Unknown']);
+});
+
+test('buildStackReport flags the caffeine limit a candidate product would cross', () => {
+  const report = buildStackReport([createStackItem(PRE_WORKOUT, 1)], { weight_kg: 60, age: 16 }, { ...PRE_WORKOUT, url: 'https://fr.myprotein.com/p/other/789/' });
+  const caffeine = report.rows.find(row => row.key === 'caffeine_mg');
+  assert.equal(caffeine.max, 180);
+  assert.equal(caffeine.status, 'over');
+  assert.equal(report.candidate.rows.find(row => row.key === 'caffeine_mg').total, 400);
+
+  // Already in the stack: no candidate preview
+  assert.equal(buildStackReport([createStackItem(PRE_WORKOUT, 1)], {}, PRE_WORKOUT).candidate, null);
+});
@@ -0,0 +1,52 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { clearStorage } from '../lib/storage.js';
+
+/**
+ * Minimal chrome.storage stand-in recording every write
+ */
+function mockChromeStorage(initial, { failSet = false } = {}) {
+  const local = { ...initial };
+  const writes = [];
+  let sessionCleared = false;
+  globalThis.chrome = {
+    storage: {
+      local: {
+        get: async () => ({ ...local }),
+        set: async items => {
+          if (failSet) throw new Error('QUOTA_BYTES quota exceeded');
+          writes.push(items);
+          Object.assign(local, items);
+        },
+        remove: async keys => { for (const key of [].concat(keys)) delete local[key]; }
+      },
+      session: { clear: async () => { sessionCleared = true; } }
+    }
+  };
+  return { local, writes, sessionCleared: () => sessionCleared };
+}
+
+afterEach(() => { delete globalThis.chrome; });
+
+test('clearStorage secure overwrites records larger than one getRandomValues call', async () => {
+  const library = { items: Array.from({ length: 2000 }, (_, i) => ({ id: i, chat: 'x'.repeat(100) })) };
+  const storage = mockChromeStorage({ whatfits_library: library, whatfits_api_key: 'sk-test', other_extension: 1 });
+  assert.ok(JSON.stringify(library).length > 2 * 65536);
+
+  assert.equal(await clearStorage({ secure: true }), true);
+  const noise = storage.writes[0].whatfits_library;
+  assert.match(noise, /^[0-9a-f]+$/);
+  assert.ok(noise.length >= JSON.stringify(library).length);
+  assert.deepEqual(Object.keys(storage.local), ['other_extension']);
+  assert.ok(storage.sessionCleared());
+});
+
+test('clearStorage secure still removes every record when the overwrite fails', async t => {
+  t.mock.method(console, 'error', () => {});
+  const storage = mockChromeStorage({ whatfits_profiles: { active_id: 'a' }, whatfits_api_key: 'sk-test' }, { failSet: true });
+
+  assert.equal(await clearStorage({ secure: true }), false);
+  assert.deepEqual(Object.keys(storage.local), []);
+  assert.ok(storage.sessionCleared());
+});
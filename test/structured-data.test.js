@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractStructuredProduct, formatStructuredPrice, STRUCTURED_DATA } from '../lib/adapters/structured-data.js';
+import { loadFixture } from './helpers.js';
+
+const SHOP_URL = 'https://shop.example/products/vegan-blend';
+
+test('extractStructuredProduct reads JSON-LD first and skips malformed blocks', () => {
+  const matched = {};
+  const product = extractStructuredProduct(loadFixture('shop-jsonld.html', SHOP_URL), matched);
+  assert.equal(product.title, 'Vegan Protein Blend');
+  assert.equal(product.brand, 'Example');
+  assert.equal(product.gtin, '5056104500000');
+  assert.equal(product.image, 'https://shop.example/blend.jpg');
+  assert.equal(formatStructuredPrice(product.price, product.currency), '24.90 EUR');
+  assert.equal(matched.title, 'json-ld');
+
+  assert.equal(product.nutrition.per_serving.protein_g, 21);
+  assert.equal(product.nutrition.per_serving.salt_g, 0.5);
+  assert.equal(product.nutrition.per_100g.protein_g, 70);
+});
+
+test('JSON-LD and microdata encodings of the same product give the same nutrition', () => {
+  const fromJsonLd = extractStructuredProduct(loadFixture('shop-jsonld.html', SHOP_URL)).nutrition;
+  const matched = {};
+  const fromMicrodata = extractStructuredProduct(loadFixture('shop-microdata.html', SHOP_URL), matched).nutrition;
+  assert.equal(matched.nutrition, 'microdata');
+  assert.deepEqual(fromMicrodata, fromJsonLd);
+  assert.deepEqual(fromMicrodata.per_serving.micronutrients, { 'unsaturated fat': 1500, 'trans fat': 0, cholesterol: 5 });
+});
+
+test('the structured-data adapter reports reduced confidence and no cart', () => {
+  const product = STRUCTURED_DATA.extractProduct(loadFixture('shop-microdata.html', SHOP_URL));
+  assert.equal(product.price, '24.90 EUR');
+  assert.equal(product.sections.ingredients, null);
+  assert.ok(STRUCTURED_DATA.confidence < 1);
+  assert.deepEqual(STRUCTURED_DATA.extractCart(), { items: [], total: null });
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parsePrice, parsePackSizeG, parseServingsPerContainer, computeValue } from '../lib/value.js';
+
+test('parsePrice reads both decimal marks and the currency', () => {
+  assert.deepEqual(parsePrice('29,99 €'), { amount: 29.99, currency: 'EUR' });
+  assert.deepEqual(parsePrice('£1,234.56'), { amount: 1234.56, currency: 'GBP' });
+  assert.deepEqual(parsePrice('1.234,56 €'), { amount: 1234.56, currency: 'EUR' });
+  assert.deepEqual(parsePrice('29.99 AUD'), { amount: 29.99, currency: 'AUD' });
+  assert.equal(parsePrice('Épuisé'), null);
+});
+
+test('parsePackSizeG and parseServingsPerContainer read label text', () => {
+  assert.equal(parsePackSizeG('Impact Whey 2,5 kg'), 2500);
+  assert.equal(parsePackSizeG('500g'), 500);
+  assert.equal(parsePackSizeG('Chocolat'), null);
+  assert.equal(parseServingsPerContainer('<p>Portions par contenant : 40</p>'), 40);
+  assert.equal(parseServingsPerContainer('Take 2 servings per day'), null);
+});
+
+test('computeValue prefers stated servings and falls back to pack size / serving size', () => {
+  const product = {
+    price: '30,00 €',
+    title: 'Impact Whey Protein',
+    variant: { size: '1kg' },
+    nutrition: { serving_size_g: 25, per_serving: { protein_g: 20 } }
+  };
+  const fromPack = computeValue(product);
+  assert.equal(fromPack.servings_source, 'pack_size');
+  assert.equal(fromPack.servings_per_container, 40);
+  assert.equal(fromPack.cost_per_serving, 0.75);
+  assert.equal(fromPack.cost_per_kg, 30);
+  assert.equal(fromPack.cost_per_20g_protein, 0.75);
+
+  const fromLabel = computeValue({ ...product, product_details: 'Servings per container: 30' });
+  assert.equal(fromLabel.servings_source, 'label');
+  assert.equal(fromLabel.cost_per_serving, 1);
+
+  assert.equal(computeValue({ price: null }).cost_per_serving, null);
+});
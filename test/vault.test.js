@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  PBKDF2_ITERATIONS, deriveVaultKey, exportVaultKey, importVaultKey,
+  encryptSecret, decryptSecret, createVault, openVault
+} from '../lib/vault.js';
+
+// Few iterations keep the key derivation tests fast; createVault/openVault use the real count
+const TEST_ITERATIONS = 1000;
+const SALT = btoa('0123456789abcdef');
+
+test('encryptSecret round-trips with a fresh IV each time', async () => {
+  const key = await deriveVaultKey('correct horse', SALT, TEST_ITERATIONS);
+  const first = await encryptSecret(key, 'sk-test-123');
+  const second = await encryptSecret(key, 'sk-test-123');
+  assert.notEqual(first.iv, second.iv);
+  assert.notEqual(first.data, second.data);
+  assert.equal(await decryptSecret(key, first), 'sk-test-123');
+});
+
+test('decryptSecret rejects a wrong key and tampered data', async () => {
+  const key = await deriveVaultKey('correct horse', SALT, TEST_ITERATIONS);
+  const other = await deriveVaultKey('battery staple', SALT, TEST_ITERATIONS);
+  const secret = await encryptSecret(key, 'sk-test-123');
+  await assert.rejects(decryptSecret(other, secret));
+
+  const bytes = Uint8Array.from(atob(secret.data), char => char.charCodeAt(0));
+  bytes[0] ^= 1;
+  await assert.rejects(decryptSecret(key, { iv: secret.iv, data: btoa(String.fromCharCode(...bytes)) }));
+});
+
+test('exported vault keys import back and still decrypt', async () => {
+  const key = await deriveVaultKey('correct horse', SALT, TEST_ITERATIONS);
+  const secret = await encryptSecret(key, 'sk-ant-456');
+  const restored = await importVaultKey(await exportVaultKey(key));
+  assert.equal(await decryptSecret(restored, secret), 'sk-ant-456');
+});
+
+test('openVault checks the passphrase of a vault made by createVault', async () => {
+  const { vault, key } = await createVault('correct horse');
+  assert.equal(vault.kdf.iterations, PBKDF2_ITERATIONS);
+  assert.deepEqual(vault.keys, {});
+
+  const reopened = await openVault(vault, 'correct horse');
+  assert.ok(reopened);
+  assert.equal(await exportVaultKey(reopened), await exportVaultKey(key));
+  assert.equal(await openVault(vault, 'wrong passphrase'), null);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeFitVerdict, isVerdictCurrent, profileContextKey } from '../lib/verdict.js';
+
+const PROFILE = { primary_goal: ['muscle_gain'], avoidances: ['milk'], weight_kg: 80 };
+const MODEL_VERDICT = { overall_score: 90, verdict: 'good_fit', summary: 'ok', goal_alignment: [], red_flags: [], evidence: [] };
+const MILK_SUMMARY = { allergen_warnings: [{ level: 'contains', reason: 'Contains milk, which you marked to avoid.' }], confidence_score: 0.9 };
+
+test('mergeFitVerdict lets a rule conflict cap the model score', () => {
+  const verdict = mergeFitVerdict(MODEL_VERDICT, MILK_SUMMARY, PROFILE);
+  assert.equal(verdict.verdict, 'poor_fit');
+  assert.equal(verdict.overall_score, 35);
+  assert.equal(verdict.red_flags[0].source, 'rules');
+  assert.equal(verdict.context_key, profileContextKey(PROFILE));
+});
+
+test('profileContextKey ignores key order and changes with the profile answers', () => {
+  assert.equal(profileContextKey({ weight_kg: 80, avoidances: ['milk'], primary_goal: ['muscle_gain'] }), profileContextKey(PROFILE));
+  assert.notEqual(profileContextKey({ ...PROFILE, avoidances: [] }), profileContextKey(PROFILE));
+});
+
+test('isVerdictCurrent rejects verdicts for another profile and rules-only fallbacks', () => {
+  const verdict = mergeFitVerdict(MODEL_VERDICT, {}, PROFILE);
+  assert.equal(isVerdictCurrent(verdict, PROFILE), true);
+  assert.equal(isVerdictCurrent(verdict, { ...PROFILE, avoidances: ['soy'] }), false);
+  assert.equal(isVerdictCurrent({ ...mergeFitVerdict(null, {}, PROFILE), error: 'API keys are locked.' }, PROFILE), false);
+  assert.equal(isVerdictCurrent({ ...verdict, context_key: undefined }, PROFILE), false); // Stored before profile keys
+  assert.equal(isVerdictCurrent(null, PROFILE), false);
+});